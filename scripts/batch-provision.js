@@ -0,0 +1,178 @@
+const N8NAPIManager = require('./create-api-key');
+const { createStorage } = require('./storage');
+const KeyEncryption = require('./key-encryption');
+const Config = require('./config');
+const logger = require('./logger');
+
+class BatchProvisioner {
+    constructor(config = {}) {
+        // Process-wide settings from the entry point, shared by every tenant's manager
+        this.settings = config.settings || Config.load({ required: false });
+        
+        // Tenants are read from the configured storage backend
+        this.storage = config.storage || createStorage({ settings: this.settings });
+        
+        // Batch settings
+        this.concurrency = this.settings.get('batch.concurrency');
+        this.limit = this.settings.get('batch.limit');
+    }
+
+    // Storage fields tenantConfig() reads
+    static get tenantFields() {
+        return ['instanceUrl', 'n8nUserEmail', 'n8nUserPassword', 'projectId', 'projectName'];
+    }
+
+    async findTenants() {
+        logger.info(`🔍 Looking for tenants in ${this.storage.describe()}...`);
+        
+        // Every tenant with an instance URL: a stored key may have expired or been revoked in N8N,
+        // which only ensure() can tell, and it reuses the keys that still work
+        let tenants;
+        try {
+            tenants = await this.storage.listRecords(BatchProvisioner.tenantFields, {
+                present: ['instanceUrl'],
+                limit: this.limit
+            });
+        } catch (error) {
+            logger.error('❌ Failed to query tenants:', error.message);
+            throw error;
+        }
+        
+        logger.info(`📋 Found ${tenants.length} tenant(s) to check`);
+        return tenants;
+    }
+
+    static tenantConfig(record, storage, settings = Config.load({ required: false })) {
+        // Per-tenant credentials fall back to the shared n8n.email/n8n.password settings in the
+        // manager; passwords written by the member provisioner are encrypted like API keys
+        const keyEncryption = KeyEncryption.fromSettings(settings);
+        return {
+            userId: record.userId,
+            baseUrl: record.instanceUrl,
+            email: record.n8nUserEmail || null,
+            password: record.n8nUserPassword ? keyEncryption.decrypt(record.n8nUserPassword) : null,
+            projectId: record.projectId,
+            projectName: record.projectName,
+            storage: storage,
+            settings: settings
+        };
+    }
+
+    async provisionTenant(tenant) {
+        const startTime = Date.now();
+        
+        try {
+            const manager = new N8NAPIManager(BatchProvisioner.tenantConfig(tenant, this.storage, this.settings));
+            const result = await manager.ensure();
+            
+            return {
+                userId: tenant.userId,
+                n8nUrl: tenant.instanceUrl,
+                status: result.path,
+                label: result.label,
+                durationSeconds: ((Date.now() - startTime) / 1000).toFixed(1)
+            };
+        } catch (error) {
+            logger.error(`❌ Provisioning failed for tenant ${tenant.userId}:`, error.message);
+            return {
+                userId: tenant.userId,
+                n8nUrl: tenant.instanceUrl,
+                status: 'failed',
+                error: error.message,
+                durationSeconds: ((Date.now() - startTime) / 1000).toFixed(1)
+            };
+        }
+    }
+
+    async run() {
+        logger.info('========================================');
+        logger.info('🏭 N8N Batch Provisioning Starting...');
+        logger.info('========================================');
+        logger.info(`🔀 Concurrency: ${this.concurrency}`);
+        logger.info(`🔢 Limit: ${this.limit}`);
+        logger.info('========================================');
+        
+        const tenants = await this.findTenants();
+        const results = [];
+        let next = 0;
+        
+        // Fixed pool of workers pulling tenants off a shared cursor
+        const worker = async () => {
+            while (next < tenants.length) {
+                const tenant = tenants[next++];
+                // Each tenant gets its own run id so interleaved log lines can be told apart
+                results.push(await logger.runWithContext({ userId: tenant.userId }, () => {
+                    logger.info(`🚀 Provisioning tenant ${tenant.userId} (${tenant.instanceUrl})...`);
+                    return this.provisionTenant(tenant);
+                }));
+            }
+        };
+        
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, tenants.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+        
+        const summary = {
+            total: results.length,
+            created: results.filter(r => r.status === 'created').length,
+            reused: results.filter(r => r.status === 'reused').length,
+            failed: results.filter(r => r.status === 'failed').length
+        };
+        
+        logger.info('========================================');
+        logger.info('📋 BATCH PROVISIONING REPORT');
+        logger.info('========================================');
+        logger.info(`📊 Total: ${summary.total}`);
+        logger.info(`🆕 Created: ${summary.created}`);
+        logger.info(`♻️ Reused: ${summary.reused}`);
+        logger.info(`❌ Failed: ${summary.failed}`);
+        logger.info('========================================');
+        
+        for (const result of results) {
+            const icon = result.status === 'failed' ? '❌' : '✅';
+            logger.info(`${icon} ${result.userId}: ${result.status} (${result.durationSeconds}s)`);
+            if (result.error) {
+                logger.info(`   └─ Error: ${result.error}`);
+            }
+        }
+        
+        logger.info('========================================');
+        
+        return {
+            success: summary.failed === 0,
+            summary: summary,
+            results: results,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+// Main execution
+async function main() {
+    try {
+        const provisioner = new BatchProvisioner({ settings: Config.loadForProcess({ required: false }) });
+        const result = await provisioner.run();
+        
+        if (result.success) {
+            logger.info('🎯 Batch provisioning completed successfully');
+            process.exit(0);
+        } else {
+            logger.warn(`⚠️ Batch provisioning completed with ${result.summary.failed} failure(s)`);
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('💥 Batch provisioning failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    logger.install();
+    N8NAPIManager.installProcessHandlers();
+    main();
+}
+
+module.exports = BatchProvisioner;
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const N8NPublicAPIClient = require('./n8n-public-api');
+const HttpClient = require('./http-client');
+const logger = require('./logger');
+
+const CANARY_NAME = 'N8N API Manager Canary';
+const CANARY_PATH = 'n8n-api-manager-canary';
+
+// Execution records are written after the webhook responds, so look a few times
+const EXECUTION_LOOKUP_ATTEMPTS = 5;
+const EXECUTION_LOOKUP_DELAY = 1000;
+
+class CanaryCheck {
+    constructor(config = {}) {
+        this.baseUrl = config.baseUrl;
+        this.http = config.httpClient || new HttpClient();
+        this.client = new N8NPublicAPIClient({
+            baseUrl: config.baseUrl,
+            apiKey: config.apiKey,
+            apiPath: config.apiPath,
+            timeout: 30000,
+            httpClient: this.http
+        });
+        // Production webhooks live under /webhook unless N8N_ENDPOINT_WEBHOOK moved them
+        this.webhookBaseUrl = (config.webhookBaseUrl || `${config.baseUrl}/webhook`).replace(/\/$/, '');
+        this.timeout = config.timeout || 30000;
+    }
+
+    // Webhook that echoes the posted nonce back through a Set node
+    static workflowDefinition() {
+        return {
+            name: CANARY_NAME,
+            nodes: [
+                {
+                    name: 'Canary Webhook',
+                    type: 'n8n-nodes-base.webhook',
+                    typeVersion: 2,
+                    position: [0, 0],
+                    webhookId: crypto.randomUUID(),
+                    parameters: {
+                        httpMethod: 'POST',
+                        path: CANARY_PATH,
+                        responseMode: 'lastNode',
+                        options: {}
+                    }
+                },
+                {
+                    name: 'Echo Nonce',
+                    type: 'n8n-nodes-base.set',
+                    typeVersion: 3.4,
+                    position: [220, 0],
+                    parameters: {
+                        mode: 'manual',
+                        assignments: {
+                            assignments: [
+                                { id: 'canary', name: 'canary', value: true, type: 'boolean' },
+                                { id: 'nonce', name: 'nonce', value: '={{ $json.body.nonce }}', type: 'string' }
+                            ]
+                        },
+                        options: {}
+                    }
+                }
+            ],
+            connections: {
+                'Canary Webhook': {
+                    main: [[{ node: 'Echo Nonce', type: 'main', index: 0 }]]
+                }
+            },
+            settings: {
+                saveDataSuccessExecution: 'all',
+                saveDataErrorExecution: 'all'
+            }
+        };
+    }
+
+    // Reuses the canary from an earlier run, creating and activating it when needed
+    async ensureWorkflow() {
+        const workflows = await this.client.listWorkflows({ name: CANARY_NAME });
+        let workflow = workflows.find(candidate => candidate.name === CANARY_NAME);
+        
+        if (!workflow) {
+            logger.info('🐤 Deploying canary workflow...');
+            workflow = await this.client.createWorkflow(CanaryCheck.workflowDefinition());
+        }
+        if (!workflow.active) {
+            await this.client.activateWorkflow(workflow.id);
+        }
+        
+        const webhookNode = (workflow.nodes || []).find(node => node.type === 'n8n-nodes-base.webhook');
+        return {
+            id: workflow.id,
+            path: webhookNode?.parameters?.path || CANARY_PATH
+        };
+    }
+
+    async findExecution(workflowId, nonce, since) {
+        for (let attempt = 1; attempt <= EXECUTION_LOOKUP_ATTEMPTS; attempt++) {
+            const { data } = await this.client.page('/executions', { workflowId: workflowId, limit: 5, includeData: true });
+            const execution = data.find(candidate =>
+                new Date(candidate.startedAt).getTime() >= since - 1000 &&
+                JSON.stringify(candidate.data || {}).includes(nonce));
+            
+            if (execution) {
+                return execution;
+            }
+            await new Promise(resolve => setTimeout(resolve, EXECUTION_LOOKUP_DELAY));
+        }
+        return null;
+    }
+
+    // Returns { valid, latencyMs, workflowId, executionId, reason }; null when the key may not deploy it
+    async run() {
+        logger.info('🐤 Running canary workflow check...');
+        
+        let workflow;
+        try {
+            workflow = await this.ensureWorkflow();
+        } catch (error) {
+            if (error.status === 403) {
+                logger.info('ℹ️ API key may not create or activate workflows, skipping canary check');
+                return null;
+            }
+            return { valid: false, reason: `Canary deployment failed: ${error.message}` };
+        }
+        
+        const nonce = crypto.randomBytes(12).toString('hex');
+        const startedAt = Date.now();
+        let response;
+        try {
+            response = await this.http.post('n8n', `${this.webhookBaseUrl}/${workflow.path}`, { nonce: nonce }, {
+                timeout: this.timeout,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'N8N-API-Manager/1.0'
+                },
+                validateStatus: () => true
+            });
+        } catch (error) {
+            return { valid: false, workflowId: workflow.id, reason: `Canary webhook unreachable: ${error.message}` };
+        }
+        const latencyMs = Date.now() - startedAt;
+        
+        if (response.status !== 200) {
+            return { valid: false, workflowId: workflow.id, latencyMs: latencyMs, status: response.status, reason: `Canary webhook returned status ${response.status}` };
+        }
+        
+        // responseMode lastNode answers with the first item, some versions wrap it in an array
+        const body = Array.isArray(response.data) ? response.data[0] : response.data;
+        if (!body || body.nonce !== nonce) {
+            return { valid: false, workflowId: workflow.id, latencyMs: latencyMs, webhookReached: true, reason: 'Canary response did not echo the nonce' };
+        }
+        
+        const execution = await this.findExecution(workflow.id, nonce, startedAt);
+        if (!execution) {
+            return { valid: false, workflowId: workflow.id, latencyMs: latencyMs, webhookReached: true, reason: 'No execution record found for the canary run' };
+        }
+        if (execution.status && execution.status !== 'success') {
+            return { valid: false, workflowId: workflow.id, executionId: execution.id, latencyMs: latencyMs, webhookReached: true, reason: `Canary execution finished with status ${execution.status}` };
+        }
+        
+        // Keep the execution list clean; a leftover record is harmless
+        try {
+            await this.client.deleteExecution(execution.id);
+        } catch (error) {
+            logger.warn(`⚠️ Could not delete canary execution ${execution.id}: ${error.message}`);
+        }
+        
+        logger.info(`✅ Canary workflow ran in ${latencyMs}ms (execution ${execution.id})`);
+        return {
+            valid: true,
+            workflowId: workflow.id,
+            executionId: execution.id,
+            latencyMs: latencyMs,
+            webhookReached: true
+        };
+    }
+}
+
+CanaryCheck.CANARY_NAME = CANARY_NAME;
+
+module.exports = CanaryCheck;
@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const util = require('util');
+const puppeteer = require('puppeteer');
+const Config = require('./config');
+const N8NAPIManager = require('./create-api-key');
+const CredentialValidator = require('./validate-credentials');
+const CredentialSeeder = require('./credential-seeder');
+const WorkflowDeployer = require('./workflow-deployer');
+const ProvisioningJournal = require('./provisioning-journal');
+const ReportFormatter = require('./report-formatter');
+const logger = require('./logger');
+
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    CONFIG: 3
+};
+
+// Where the container images ship Chrome; PUPPETEER_EXECUTABLE_PATH wins when set
+const CHROME_PATHS = ['/usr/bin/chromium-browser', '/usr/bin/chromium', '/usr/bin/google-chrome'];
+
+const GLOBAL_FLAGS = {
+    config: { type: 'string', description: 'JSON or YAML settings file (default: N8N_API_MANAGER_CONFIG)' },
+    profile: { type: 'string', description: 'Profile from the settings file (default: N8N_API_MANAGER_PROFILE)' },
+    help: { type: 'boolean', description: 'Show help' }
+};
+
+const COMMANDS = {
+    provision: {
+        summary: 'Create an API key unless the stored one is still valid, then validate, seed and deploy',
+        flags: {
+            force: { type: 'boolean', description: 'Create a new key even when the stored one is valid' },
+            'skip-validate': { type: 'boolean', description: 'Skip the credential validation afterwards' }
+        }
+    },
+    validate: {
+        summary: 'Check N8N, login, storage and the stored key, and report a health score',
+        flags: {
+            format: { type: 'string', description: `Report format: ${ReportFormatter.FORMATS.join(', ')}` },
+            output: { type: 'string', description: 'Write the report to this file (- for stdout)' },
+            'min-score': { type: 'string', description: 'Fail below this health score (default 40)' },
+            'fail-on': { type: 'string', description: 'Fail at this status or worse: warning, critical or error' }
+        }
+    },
+    rotate: {
+        summary: 'Replace the stored key and revoke the old one after a grace period',
+        flags: {
+            grace: { type: 'string', description: 'Seconds the old key stays valid (default API_KEY_ROTATION_GRACE_SECONDS)' }
+        }
+    },
+    revoke: {
+        summary: 'Revoke the stored key (and clear it), a key by label, or every orphaned key',
+        flags: {
+            label: { type: 'string', description: 'Revoke this key instead of the stored one' },
+            orphans: { type: 'boolean', description: 'Revoke managed keys other than the stored one' },
+            'dry-run': { type: 'boolean', description: 'Report what would be revoked' }
+        }
+    },
+    doctor: {
+        summary: 'Diagnose configuration, connectivity and the local environment without changing anything',
+        flags: {
+            format: { type: 'string', description: 'Output format: text or json' },
+            browser: { type: 'boolean', description: 'Also launch the browser used for the fallback creation path' }
+        }
+    }
+};
+
+// Every flag any command declares, so that a flag's value is never taken for the command name
+const ALL_FLAGS = Object.fromEntries([GLOBAL_FLAGS, ...Object.values(COMMANDS).map(command => command.flags)]
+    .flatMap(flags => Object.entries(flags).map(([name, { type }]) => [name, { type }])));
+
+class CLIError extends Error {
+    constructor(message, exitCode) {
+        super(message);
+        this.name = 'CLIError';
+        this.exitCode = exitCode;
+    }
+}
+
+// --name value, --name=value and boolean --name; anything not declared in flags is a usage error
+function parseArgs(args, flags) {
+    const values = {};
+    const positionals = [];
+
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (arg === '-h') {
+            values.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+        
+        const separator = arg.indexOf('=');
+        const name = separator > 0 ? arg.slice(2, separator) : arg.slice(2);
+        const flag = flags[name];
+        if (!flag) {
+            throw new CLIError(`Unknown option --${name}`, EXIT_CODES.USAGE);
+        }
+        
+        if (flag.type === 'boolean') {
+            if (separator > 0) {
+                throw new CLIError(`Option --${name} does not take a value`, EXIT_CODES.USAGE);
+            }
+            values[name] = true;
+            continue;
+        }
+        
+        const value = separator > 0 ? arg.slice(separator + 1) : args[++index];
+        if (value === undefined || (separator < 0 && value.startsWith('--'))) {
+            throw new CLIError(`Option --${name} needs a value`, EXIT_CODES.USAGE);
+        }
+        values[name] = value;
+    }
+
+    return { values, positionals };
+}
+
+class ManagerCLI {
+    constructor(config = {}) {
+        // Help and machine-readable output; logs go through the logger
+        this.stdout = config.stdout || process.stdout;
+    }
+
+    // Returns the exit code; nothing here calls process.exit so commands can be run from tests
+    async run(argv) {
+        let name = null;
+        try {
+            // The command is the first positional; flags are checked against it below
+            const { tokens } = util.parseArgs({ args: argv, options: ALL_FLAGS, strict: false, allowPositionals: true, tokens: true });
+            const first = tokens.find(token => token.kind === 'positional');
+            const commandIndex = first ? first.index : -1;
+            name = first ? first.value : null;
+            const command = COMMANDS[name];
+            if (name && !command) {
+                throw new CLIError(`Unknown command: ${name} (expected ${Object.keys(COMMANDS).join(', ')})`, EXIT_CODES.USAGE);
+            }
+            
+            const { values, positionals } = parseArgs(argv.filter((arg, index) => index !== commandIndex), {
+                ...GLOBAL_FLAGS,
+                ...(command ? command.flags : {})
+            });
+            if (values.help || !command) {
+                this.stdout.write(this.help(name));
+                return command || values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+            }
+            if (positionals.length > 0) {
+                throw new CLIError(`Unexpected argument: ${positionals[0]}`, EXIT_CODES.USAGE);
+            }
+            
+            this.loadSettings(name, values);
+            
+            return await logger.runWithContext({ userId: process.env.USER_ID }, () => this[name](values));
+        } catch (error) {
+            if (error instanceof CLIError) {
+                logger.error(`❌ ${error.message}`);
+                if (error.exitCode === EXIT_CODES.USAGE) {
+                    logger.error(`💡 Run n8n-api-manager ${name && COMMANDS[name] ? `${name} ` : ''}--help for usage`);
+                }
+                return error.exitCode;
+            }
+            logger.error(`💥 ${name} failed:`, error.message);
+            return EXIT_CODES.FAILED;
+        }
+    }
+
+    help(name) {
+        const command = COMMANDS[name];
+        const describeFlags = flags => Object.entries(flags).map(([flag, { type, description }]) => {
+            const usage = type === 'boolean' ? `--${flag}` : `--${flag} <value>`;
+            return `  ${usage.padEnd(22)} ${description}\n`;
+        }).join('');
+        
+        if (!command) {
+            return 'Usage: n8n-api-manager <command> [options]\n\nCommands:\n' +
+                Object.entries(COMMANDS).map(([commandName, { summary }]) => `  ${commandName.padEnd(10)} ${summary}\n`).join('') +
+                `\nOptions:\n${describeFlags(GLOBAL_FLAGS)}` +
+                `\nExit codes: ${EXIT_CODES.OK} success, ${EXIT_CODES.FAILED} failed, ${EXIT_CODES.USAGE} usage error, ${EXIT_CODES.CONFIG} configuration error\n`;
+        }
+        
+        return `Usage: n8n-api-manager ${name} [options]\n\n${command.summary}\n\nOptions:\n${describeFlags({ ...command.flags, ...GLOBAL_FLAGS })}`;
+    }
+
+    // Settings file, profile and environment; doctor reports problems as a failed check instead
+    loadSettings(name, values) {
+        this.settingsError = null;
+        try {
+            this.settings = Config.loadForProcess({ file: values.config, profile: values.profile });
+        } catch (error) {
+            if (!(error instanceof Config.ConfigError)) {
+                throw error;
+            }
+            if (name !== 'doctor') {
+                throw new CLIError(error.message, EXIT_CODES.CONFIG);
+            }
+            this.settingsError = error;
+        }
+    }
+
+    // The manager checks URL, credentials and storage settings as it is built
+    createManager() {
+        try {
+            return new N8NAPIManager({ settings: this.settings });
+        } catch (error) {
+            throw new CLIError(`Invalid configuration: ${error.message}`, EXIT_CODES.CONFIG);
+        }
+    }
+
+    findChrome() {
+        if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+            return process.env.PUPPETEER_EXECUTABLE_PATH;
+        }
+        
+        return CHROME_PATHS.find(candidate => {
+            try {
+                fs.accessSync(candidate, fs.constants.X_OK);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }) || null;
+    }
+
+    async provision(values) {
+        const manager = this.createManager();
+        
+        // The browser fallback uses the system Chrome when there is one
+        const chrome = this.findChrome();
+        if (chrome) {
+            process.env.PUPPETEER_EXECUTABLE_PATH = chrome;
+        }
+        
+        const result = values.force ? await manager.run() : await manager.ensure();
+        
+        if (!values['skip-validate']) {
+            const validation = await new CredentialValidator({ settings: this.settings, httpClient: manager.http, storage: manager.storage }).run();
+            if (!validation.success) {
+                logger.warn(`⚠️ Validation reported issues (score ${validation.healthScore}%); the key was still created and stored`);
+            }
+        }
+        
+        // Credentials first, so deployed workflows can reference them
+        if (this.settings.get('credentials.manifest')) {
+            const seeded = await new CredentialSeeder({ manager }).apply(result.apiKey);
+            if (!seeded.success) {
+                throw new Error('Credential seeding failed');
+            }
+        }
+        if (this.settings.get('workflows.dir')) {
+            const deployed = await new WorkflowDeployer({ manager }).deploy(result.apiKey);
+            if (!deployed.success) {
+                throw new Error('Workflow deployment failed');
+            }
+        }
+        
+        logger.info(`🎯 Provisioning completed (${result.path || 'created'}, key ${result.label})`);
+        return EXIT_CODES.OK;
+    }
+
+    async validate(values) {
+        let options;
+        try {
+            options = CredentialValidator.reportOptions({
+                format: values.format,
+                output: values.output,
+                minScore: values['min-score'],
+                failOn: values['fail-on']
+            }, this.settings);
+        } catch (error) {
+            throw new CLIError(error.message, EXIT_CODES.USAGE);
+        }
+        if (options.format !== 'text' && (!options.output || options.output === '-')) {
+            logger.useStderr();
+        }
+        
+        const result = await new CredentialValidator({ settings: this.settings }).run();
+        if (options.format !== 'text') {
+            ReportFormatter.write(result.report, options.format, options.output);
+        }
+        logger.info(`📊 Final Score: ${result.healthScore}%`);
+        
+        if (ReportFormatter.breachesThreshold(result.report, options.thresholds)) {
+            logger.info(`💥 ${result.report.overallStatus} is below the configured threshold`);
+            return EXIT_CODES.FAILED;
+        }
+        return EXIT_CODES.OK;
+    }
+
+    async rotate(values) {
+        const manager = this.createManager();
+        if (values.grace !== undefined) {
+            const seconds = Number(values.grace);
+            if (!Number.isFinite(seconds) || seconds < 0) {
+                throw new CLIError('--grace must be a number of seconds', EXIT_CODES.USAGE);
+            }
+            manager.rotationGracePeriod = seconds * 1000;
+        }
+        
+        await manager.rotate();
+        return EXIT_CODES.OK;
+    }
+
+    async revoke(values) {
+        if (values.orphans && values.label) {
+            throw new CLIError('--orphans and --label cannot be combined', EXIT_CODES.USAGE);
+        }
+        
+        const manager = this.createManager();
+        const dryRun = !!values['dry-run'];
+        const result = values.orphans
+            ? await manager.cleanup({ dryRun })
+            : await manager.revoke({ label: values.label, dryRun });
+        
+        return result.success ? EXIT_CODES.OK : EXIT_CODES.FAILED;
+    }
+
+    // Read-only checks, each pass, warn or fail; a failed configuration skips everything that needs it
+    async doctor(values) {
+        const format = (values.format || 'text').toLowerCase();
+        if (!['text', 'json'].includes(format)) {
+            throw new CLIError(`Unknown format: ${format} (expected text or json)`, EXIT_CODES.USAGE);
+        }
+        if (format === 'json') {
+            logger.useStderr();
+        }
+        
+        const checks = [];
+        const check = async (name, probe) => {
+            try {
+                checks.push({ name, ...await probe() });
+            } catch (error) {
+                checks.push({ name, status: 'fail', detail: error.message });
+            }
+        };
+        
+        let manager = null;
+        await check('configuration', async () => {
+            if (this.settingsError) {
+                return { status: 'fail', detail: this.settingsError.problems.join('; ') };
+            }
+            manager = this.createManager();
+            const from = this.settings.file ? ` (${this.settings.file}${this.settings.profile ? `, profile ${this.settings.profile}` : ''})` : '';
+            return { status: 'pass', detail: `${manager.baseUrl} as ${manager.email}, storage ${manager.storage.describe()}${from}` };
+        });
+        
+        if (manager) {
+            let capabilities = null;
+            await check('n8n', async () => {
+                capabilities = await manager.detectCapabilities();
+                if (!capabilities.detected) {
+                    return { status: 'fail', detail: `${manager.baseUrl}/rest/settings did not answer` };
+                }
+                return { status: 'pass', detail: capabilities.describe() };
+            });
+            
+            if (capabilities && capabilities.detected) {
+                await check('public_api', async () => capabilities.publicApi.enabled === false
+                    ? { status: 'fail', detail: 'the public API is disabled (N8N_PUBLIC_API_DISABLED)' }
+                    : { status: 'pass', detail: `enabled at ${capabilities.publicApi.path}` });
+                
+                await check('login', async () => {
+                    if (capabilities.userManagement.ownerSetUp === false) {
+                        return manager.ownerSetupEnabled
+                            ? { status: 'warn', detail: 'no owner account yet; provision will set it up' }
+                            : { status: 'fail', detail: 'no owner account yet and N8N_OWNER_SETUP=false' };
+                    }
+                    await manager.createSession();
+                    return { status: 'pass', detail: `logged in as ${manager.email}` };
+                });
+            }
+            
+            await check('storage', async () => {
+                const record = await manager.storage.getRecord(manager.userId, ['email']);
+                return record
+                    ? { status: 'pass', detail: `user ${manager.userId} found` }
+                    : { status: 'fail', detail: `user ${manager.userId} not found` };
+            });
+            
+            await check('encryption', async () => {
+                manager.keyEncryption.encrypt('doctor-probe');
+                return { status: 'pass', detail: 'stored keys can be encrypted' };
+            });
+            
+            await check('stored_key', async () => {
+                const storedKeyData = await manager.retrieveStoredAPIKey();
+                if (!storedKeyData) {
+                    return { status: 'warn', detail: 'no key stored yet' };
+                }
+                if (manager.isStoredKeyExpired(storedKeyData)) {
+                    return { status: 'warn', detail: `${storedKeyData.label || 'Unlabeled'} has expired; provision will replace it` };
+                }
+                return await manager.validateAPIKey(storedKeyData.apiKey)
+                    ? { status: 'pass', detail: `${storedKeyData.label || 'Unlabeled'} is accepted by N8N` }
+                    : { status: 'fail', detail: `${storedKeyData.label || 'Unlabeled'} is rejected by N8N` };
+            });
+            
+            await check('journal', async () => {
+                const journal = new ProvisioningJournal({ dir: manager.journalDir, userId: manager.userId });
+                journal.load();
+                return journal.unfinished
+                    ? { status: 'warn', detail: `unfinished ${journal.entry.operation} run ${journal.entry.runId}; the next run settles it` }
+                    : { status: 'pass', detail: 'no unfinished runs' };
+            });
+        }
+        
+        await check('browser', async () => {
+            const chrome = this.findChrome();
+            if (!values.browser) {
+                return chrome
+                    ? { status: 'pass', detail: `Chrome at ${chrome}` }
+                    : { status: 'warn', detail: 'Chrome not found; only needed for the browser fallback' };
+            }
+            
+            const browser = await puppeteer.launch({
+                headless: true,
+                executablePath: chrome || undefined,
+                args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+            });
+            await browser.close();
+            return { status: 'pass', detail: `launched ${chrome || 'bundled Chrome'}` };
+        });
+        
+        const failed = checks.filter(entry => entry.status === 'fail').length;
+        if (format === 'json') {
+            this.stdout.write(`${JSON.stringify({ healthy: failed === 0, checks }, null, 2)}\n`);
+        } else {
+            const icons = { pass: '✅', warn: '⚠️', fail: '❌' };
+            logger.info('========================================');
+            logger.info('🩺 N8N API Manager Doctor');
+            logger.info('========================================');
+            checks.forEach(entry => logger.info(`${icons[entry.status]} ${entry.name}: ${entry.detail}`));
+            logger.info('========================================');
+            logger.info(failed === 0 ? '🎯 No problems found' : `💥 ${failed} check(s) failed`);
+        }
+        
+        return failed === 0 ? EXIT_CODES.OK : EXIT_CODES.FAILED;
+    }
+}
+
+ManagerCLI.EXIT_CODES = EXIT_CODES;
+ManagerCLI.COMMANDS = COMMANDS;
+
+async function main() {
+    const exitCode = await new ManagerCLI().run(process.argv.slice(2));
+    process.exit(exitCode);
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    logger.install();
+    N8NAPIManager.installProcessHandlers();
+    main();
+}
+
+module.exports = ManagerCLI;
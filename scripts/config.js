@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+const SecretReference = require('./secret-reference');
+
+const usesSupabase = values => values['storage.backend'] === 'supabase';
+
+// Every setting the manager reads: its path in a config file, the environment variables that
+// override it (the first one set wins) and how its value is checked
+const SCHEMA = {
+    'n8n.url': { env: ['N8N_EDITOR_BASE_URL', 'N8N_URL'], type: 'url', required: true },
+    'n8n.email': { env: ['N8N_USER_EMAIL'], type: 'email', required: true },
+    'n8n.password': { env: ['N8N_USER_PASSWORD'], secret: true, required: true },
+    'n8n.encryptionKey': { env: ['N8N_ENCRYPTION_KEY'], secret: true },
+    'n8n.requestTimeoutMs': { env: ['N8N_REQUEST_TIMEOUT_MS'], type: 'integer', min: 1000, default: 30000 },
+    'n8n.longRequestTimeoutMs': { env: ['N8N_LONG_REQUEST_TIMEOUT_MS'], type: 'integer', min: 1000, default: 60000 },
+    'n8n.readinessSettleMs': { env: ['N8N_READINESS_SETTLE_MS'], type: 'integer', min: 0, default: 30000 },
+    'owner.setup': { env: ['N8N_OWNER_SETUP'], type: 'boolean', default: true },
+    'owner.firstName': { env: ['N8N_OWNER_FIRST_NAME'], default: 'Admin' },
+    'owner.lastName': { env: ['N8N_OWNER_LAST_NAME'], default: 'User' },
+    'owner.skipOnboardingSurvey': { env: ['N8N_SKIP_ONBOARDING_SURVEY'], type: 'boolean', default: false },
+    'user.id': { env: ['USER_ID'], required: true },
+    'project.id': { env: ['NORTHFLANK_PROJECT_ID'] },
+    'project.name': { env: ['NORTHFLANK_PROJECT_NAME'] },
+    'apiKey.expiresInDays': { env: ['API_KEY_EXPIRES_IN_DAYS'], type: 'integer', min: 1, default: 365 },
+    'apiKey.rotationGraceSeconds': { env: ['API_KEY_ROTATION_GRACE_SECONDS'], type: 'integer', min: 0, default: 300 },
+    'apiKey.scopeProfile': { env: ['API_KEY_SCOPE_PROFILE'] },
+    'apiKey.scopes': { env: ['API_KEY_SCOPES'], type: 'list' },
+    'apiKey.encryptionSecret': { env: ['API_KEY_ENCRYPTION_SECRET'], secret: true },
+    'apiKey.encryptionKeyVersion': { env: ['API_KEY_ENCRYPTION_KEY_VERSION'], default: '1' },
+    // Secrets of earlier key versions, keyed by version (API_KEY_ENCRYPTION_SECRET_V1, ...)
+    'apiKey.previousSecrets': { env: [], envPrefix: 'API_KEY_ENCRYPTION_SECRET_V', type: 'map', secret: true },
+    'storage.backend': { env: ['STORAGE_BACKEND'], type: 'enum', values: ['supabase', 'postgres', 'file', 'vault'], default: 'supabase' },
+    'storage.supabase.url': { env: ['SUPABASE_URL'], type: 'url', required: usesSupabase },
+    'storage.supabase.serviceRoleKey': { env: ['SUPABASE_SERVICE_ROLE_KEY'], secret: true, required: usesSupabase },
+    'storage.postgres.url': { env: ['POSTGRES_URL', 'DATABASE_URL'], secret: true },
+    'storage.table': { env: ['STORAGE_TABLE'] },
+    'storage.idColumn': { env: ['STORAGE_ID_COLUMN'] },
+    'storage.columnMap': { env: ['STORAGE_COLUMN_MAP'], type: 'json' },
+    'storage.file.path': { env: ['STORAGE_FILE_PATH'] },
+    'storage.vault.address': { env: ['VAULT_ADDR'], type: 'url' },
+    'storage.vault.token': { env: ['VAULT_TOKEN'], secret: true },
+    'storage.vault.namespace': { env: ['VAULT_NAMESPACE'] },
+    'storage.vault.mount': { env: ['VAULT_KV_MOUNT'] },
+    'storage.vault.prefix': { env: ['VAULT_KV_PREFIX'] },
+    'webhook.url': { env: ['WEBHOOK_URL'], type: 'url' },
+    'webhook.secret': { env: ['WEBHOOK_SECRET'], secret: true },
+    'webhook.deliveryLog': { env: ['WEBHOOK_DELIVERY_LOG'], default: '/app/logs/webhook-deliveries.jsonl' },
+    'webhook.maxAttempts': { env: ['WEBHOOK_MAX_ATTEMPTS'], type: 'integer', min: 1 },
+    'webhook.retryBaseMs': { env: ['WEBHOOK_RETRY_BASE_MS'], type: 'integer', min: 0 },
+    'http.retryPolicies': { env: ['HTTP_RETRY_POLICIES'], type: 'json' },
+    'http.circuitFailureThreshold': { env: ['HTTP_CIRCUIT_FAILURE_THRESHOLD'], type: 'integer', min: 1, default: 5 },
+    'http.circuitResetMs': { env: ['HTTP_CIRCUIT_RESET_MS'], type: 'integer', min: 0, default: 30000 },
+    'validation.canary': { env: ['VALIDATION_CANARY'], type: 'boolean', default: true },
+    'validation.canaryWebhookBaseUrl': { env: ['CANARY_WEBHOOK_BASE_URL'], type: 'url' },
+    'validation.reportOutput': { env: ['VALIDATION_REPORT_OUTPUT'] },
+    'validation.reportFormat': { env: ['VALIDATION_REPORT_FORMAT'] },
+    'validation.minScore': { env: ['VALIDATION_MIN_SCORE'], type: 'number', min: 0, default: 40 },
+    'validation.failOn': { env: ['VALIDATION_FAIL_ON'] },
+    'journal.dir': { env: ['PROVISIONING_JOURNAL_DIR'] },
+    'server.port': { env: ['PORT'], type: 'integer', min: 0, default: 3000 },
+    'server.token': { env: ['API_MANAGER_TOKEN'], secret: true },
+    'batch.concurrency': { env: ['BATCH_CONCURRENCY'], type: 'integer', min: 1, default: 3 },
+    'batch.limit': { env: ['BATCH_LIMIT'], type: 'integer', min: 1, default: 500 },
+    'renewal.windowDays': { env: ['RENEWAL_WINDOW_DAYS'], type: 'number', min: 0, default: 30 },
+    'renewal.intervalHours': { env: ['RENEWAL_INTERVAL_HOURS'], type: 'number', min: 0, default: 24 },
+    'renewal.concurrency': { env: ['RENEWAL_CONCURRENCY'], type: 'integer', min: 1, default: 2 },
+    'members.file': { env: ['MEMBERS_FILE'] },
+    'members.table': { env: ['MEMBERS_TABLE'] },
+    'credentials.manifest': { env: ['CREDENTIALS_MANIFEST'] },
+    'workflows.dir': { env: ['WORKFLOWS_DIR'] },
+    'workflows.activate': { env: ['WORKFLOWS_ACTIVATE'], type: 'boolean', default: false },
+    'backup.dir': { env: ['BACKUP_DIR'], default: '/app/backups' },
+    'logging.level': { env: ['LOG_LEVEL'], type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    'logging.format': { env: ['LOG_FORMAT'], type: 'enum', values: ['json', 'text'], default: 'json' }
+};
+
+// Each returns the checked value or throws with what was expected
+const TYPES = {
+    string: value => {
+        if (typeof value === 'object') {
+            throw new Error('must be a single value');
+        }
+        return String(value);
+    },
+    integer: (value, setting) => {
+        const number = typeof value === 'number' ? value : (/^-?\d+$/.test(String(value).trim()) ? Number(value) : NaN);
+        if (!Number.isInteger(number)) {
+            throw new Error('must be a whole number');
+        }
+        if (setting.min !== undefined && number < setting.min) {
+            throw new Error(`must be at least ${setting.min}`);
+        }
+        return number;
+    },
+    number: (value, setting) => {
+        const number = typeof value === 'number' ? value : (String(value).trim() === '' ? NaN : Number(value));
+        if (!Number.isFinite(number)) {
+            throw new Error('must be a number');
+        }
+        if (setting.min !== undefined && number < setting.min) {
+            throw new Error(`must be at least ${setting.min}`);
+        }
+        return number;
+    },
+    boolean: value => {
+        const text = String(value).toLowerCase();
+        if (!['true', 'false'].includes(text)) {
+            throw new Error('must be true or false');
+        }
+        return text === 'true';
+    },
+    list: value => (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean),
+    // A JSON object in a variable, or a map in a config file
+    json: value => {
+        let parsed = value;
+        if (typeof value === 'string') {
+            try {
+                parsed = JSON.parse(value);
+            } catch (error) {
+                throw new Error(`must be a JSON object (${error.message})`);
+            }
+        }
+        if (!Config.isMap(parsed)) {
+            throw new Error('must be a JSON object');
+        }
+        return parsed;
+    },
+    // Names to single values; references in the values are already resolved
+    map: value => {
+        if (!Config.isMap(value) || Object.values(value).some(item => item !== null && typeof item === 'object')) {
+            throw new Error('must be a map of names to values');
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, String(item)]));
+    },
+    enum: (value, setting) => {
+        if (!setting.values.includes(String(value))) {
+            throw new Error(`must be one of ${setting.values.join(', ')}`);
+        }
+        return String(value);
+    },
+    // Any http(s) URL; self-hosted Supabase and N8N behind a path are both fine
+    url: value => {
+        let url;
+        try {
+            url = new URL(String(value));
+        } catch (error) {
+            throw new Error('must be a URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('must start with http:// or https://');
+        }
+        return String(value).replace(/\/$/, '');
+    },
+    email: value => {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value))) {
+            throw new Error('must be an email address');
+        }
+        return String(value);
+    }
+};
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Resolved settings: schema defaults, then the config file, then the selected profile, then
+// environment variables. Values may be references (env:NAME, file:PATH) to where a secret is kept.
+// A Config is passed to whatever needs a setting; resolved values are never written back to the
+// environment, where child processes such as Chrome would inherit them.
+class Config {
+    constructor(values, sources, options = {}) {
+        this.values = values;
+        this.sources = sources;
+        this.file = options.file || null;
+        this.profile = options.profile || null;
+    }
+
+    get(name) {
+        if (!Object.prototype.hasOwnProperty.call(SCHEMA, name)) {
+            throw new Error(`Unknown setting: ${name}`);
+        }
+        return this.values[name];
+    }
+
+    // Where a value came from: an environment variable name, 'profile <name>', the file or 'default'
+    source(name) {
+        return this.sources[name];
+    }
+
+    // options.file / options.profile default to N8N_API_MANAGER_CONFIG / N8N_API_MANAGER_PROFILE;
+    // options.required: false skips required settings, for callers that pass them in directly.
+    // Loading never touches the environment.
+    static load(options = {}) {
+        const env = options.env || process.env;
+        const file = options.file || env.N8N_API_MANAGER_CONFIG || null;
+        const profile = options.profile || env.N8N_API_MANAGER_PROFILE || null;
+        const problems = [];
+        
+        let base = {};
+        let selected = {};
+        if (file) {
+            ({ base, selected } = Config.readFile(file, profile, problems));
+        } else if (profile) {
+            problems.push(`profile "${profile}" is selected but no config file is set (--config or N8N_API_MANAGER_CONFIG)`);
+        }
+        
+        const values = {};
+        const sources = {};
+        for (const [name, setting] of Object.entries(SCHEMA)) {
+            const variable = setting.env.find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+            const prefixed = setting.envPrefix ? Config.prefixedVariables(env, setting.envPrefix) : null;
+            let raw;
+            let source;
+            if (variable) {
+                raw = env[variable];
+                source = variable;
+            } else if (prefixed) {
+                raw = prefixed;
+                source = `${setting.envPrefix}*`;
+            } else if (name in selected) {
+                raw = selected[name];
+                source = `profile ${profile}`;
+            } else if (name in base) {
+                raw = base[name];
+                source = file;
+            } else {
+                values[name] = setting.default !== undefined ? setting.default : null;
+                sources[name] = 'default';
+                continue;
+            }
+            
+            try {
+                const resolved = setting.type === 'map' && Config.isMap(raw)
+                    ? Object.fromEntries(Object.entries(raw).map(([key, item]) => [key, SecretReference.resolve(item, { env: env })]))
+                    : SecretReference.resolve(raw, { env: env });
+                values[name] = resolved === null || resolved === undefined || resolved === '' ? null : TYPES[setting.type || 'string'](resolved, setting);
+                sources[name] = source;
+                if (setting.secret) {
+                    (Config.isMap(values[name]) ? Object.values(values[name]) : [values[name]]).forEach(value => logger.addSecret(value));
+                }
+            } catch (error) {
+                // Secrets are never echoed back, not even when they are malformed
+                const shown = setting.secret || typeof raw === 'object' ? '' : `, got "${raw}"`;
+                problems.push(`${name} (${source}) ${error.message}${shown}`);
+            }
+        }
+        
+        if (options.required !== false) {
+            for (const [name, setting] of Object.entries(SCHEMA)) {
+                const required = typeof setting.required === 'function' ? setting.required(values) : !!setting.required;
+                if (required && values[name] === null && !problems.some(problem => problem.startsWith(`${name} `))) {
+                    problems.push(`${name} is required (set ${setting.env.join(' or ')}${file ? `, or ${name} in ${file}` : ''})`);
+                }
+            }
+        }
+        
+        if (problems.length > 0) {
+            throw new ConfigError(problems);
+        }
+        
+        return new Config(values, sources, { file, profile });
+    }
+
+    // For entry points: settings are resolved once per process and passed down to whatever is
+    // built from them
+    static loadForProcess(options = {}) {
+        const config = Config.load(options);
+        // Log level and format may have come from the file
+        logger.configure(config);
+        return config;
+    }
+
+    // { '1': value, ... } for the variables that start with prefix, or null when none is set
+    static prefixedVariables(env, prefix) {
+        const found = Object.entries(env)
+            .filter(([variable, value]) => variable.startsWith(prefix) && variable.length > prefix.length && value)
+            .map(([variable, value]) => [variable.slice(prefix.length), value]);
+        return found.length > 0 ? Object.fromEntries(found) : null;
+    }
+
+    // File layout: nested settings (n8n.url as n8n: { url }) and `profiles` whose entries
+    // override the rest
+    static readFile(file, profile, problems) {
+        let parsed;
+        try {
+            const content = fs.readFileSync(file, 'utf8');
+            parsed = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+        } catch (error) {
+            throw new ConfigError([`config file ${file} could not be read: ${error.message}`]);
+        }
+        if (!Config.isMap(parsed)) {
+            throw new ConfigError([`config file ${file} must contain a map of settings`]);
+        }
+        
+        const { profiles, ...rest } = parsed;
+        const base = Config.readLayer(rest, file, problems);
+        let selected = {};
+        
+        if (profiles !== undefined && !Config.isMap(profiles)) {
+            problems.push(`profiles in ${file} must be a map of profile names to settings`);
+        } else if (profile) {
+            const available = Object.keys(profiles || {});
+            if (!available.includes(profile)) {
+                problems.push(`profile "${profile}" is not defined in ${file} (available: ${available.join(', ') || 'none'})`);
+            } else if (!Config.isMap(profiles[profile])) {
+                problems.push(`profile "${profile}" in ${file} must be a map of settings`);
+            } else {
+                selected = Config.readLayer(profiles[profile], `${file} profile ${profile}`, problems);
+            }
+        }
+        
+        return { base, selected };
+    }
+
+    static readLayer(object, label, problems) {
+        const settings = {};
+        
+        const flatten = (value, prefix) => {
+            for (const [key, child] of Object.entries(value)) {
+                const name = prefix ? `${prefix}.${key}` : key;
+                if (Object.prototype.hasOwnProperty.call(SCHEMA, name)) {
+                    settings[name] = child;
+                } else if (Config.isMap(child) && Object.keys(SCHEMA).some(known => known.startsWith(`${name}.`))) {
+                    flatten(child, name);
+                } else {
+                    problems.push(`unknown setting ${name} in ${label}`);
+                }
+            }
+        };
+        flatten(object, '');
+        return settings;
+    }
+
+    static isMap(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+Config.SCHEMA = SCHEMA;
+Config.ConfigError = ConfigError;
+
+module.exports = Config;
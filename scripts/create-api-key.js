@@ -1,70 +1,101 @@
 const axios = require('axios');
 const puppeteer = require('puppeteer');
-const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const KeyEncryption = require('./key-encryption');
+const { createStorage } = require('./storage');
+const WebhookNotifier = require('./webhook-notifier');
+const N8NPublicAPIClient = require('./n8n-public-api');
+const KeyScopes = require('./key-scopes');
+const N8NCapabilities = require('./n8n-capabilities');
+const HttpClient = require('./http-client');
+const Config = require('./config');
+const ProvisioningJournal = require('./provisioning-journal');
+const logger = require('./logger');
+
+// Stored expiry of a key that never expires. Postgres timestamp columns accept it too; an empty
+// expiry is left for keys stored before expiry tracking.
+const NEVER_EXPIRES = 'infinity';
 
 class N8NAPIManager {
-    constructor() {
-        // N8N Configuration - Support both environment variable names
-        this.baseUrl = process.env.N8N_EDITOR_BASE_URL || process.env.N8N_URL;
-        this.email = process.env.N8N_USER_EMAIL;
-        this.password = process.env.N8N_USER_PASSWORD;
-        this.encryptionKey = process.env.N8N_ENCRYPTION_KEY;
+    constructor(config = {}) {
+        // Settings file, profile and environment, checked against the schema in config.js. Entry
+        // points resolve them once and pass them in; loading here only reads the environment.
+        const settings = config.settings || Config.load({ required: false });
+        this.settings = settings;
         
-        // Supabase Configuration
-        this.supabaseUrl = process.env.SUPABASE_URL;
-        this.supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+        // N8N Configuration - values in config take precedence so one process can serve several tenants
+        this.baseUrl = config.baseUrl || settings.get('n8n.url');
+        this.email = config.email || settings.get('n8n.email');
+        this.password = config.password || settings.get('n8n.password');
+        this.encryptionKey = settings.get('n8n.encryptionKey');
         
         // User Information
-        this.userId = process.env.USER_ID;
-        this.projectId = process.env.NORTHFLANK_PROJECT_ID;
-        this.projectName = process.env.NORTHFLANK_PROJECT_NAME;
+        this.userId = config.userId || settings.get('user.id');
+        this.projectId = config.projectId || settings.get('project.id');
+        this.projectName = config.projectName || settings.get('project.name');
         
         // Optional webhook
-        this.webhookUrl = process.env.WEBHOOK_URL;
+        this.webhookUrl = settings.get('webhook.url');
+        this.webhook = new WebhookNotifier({ settings });
         
         // Request timeout settings
-        this.defaultTimeout = 30000;
-        this.longTimeout = 60000;
+        this.defaultTimeout = settings.get('n8n.requestTimeoutMs');
+        this.longTimeout = settings.get('n8n.longRequestTimeoutMs');
         
-        // Initialize Supabase client with error handling
-        if (this.supabaseUrl && this.supabaseKey) {
-            try {
-                this.supabase = createClient(this.supabaseUrl, this.supabaseKey, {
-                    auth: {
-                        autoRefreshToken: false,
-                        persistSession: false
-                    },
-                    db: {
-                        schema: 'public'
-                    },
-                    global: {
-                        headers: {
-                            'User-Agent': 'N8N-API-Manager/1.0'
-                        }
-                    }
-                });
-                console.log('✅ Supabase client initialized successfully');
-            } catch (error) {
-                console.error('❌ Failed to initialize Supabase client:', error.message);
-                throw error;
-            }
+        // Outbound calls retry under the policies in http-client.js (readiness polling included)
+        this.http = config.httpClient || new HttpClient({ settings });
+        
+        // Settle wait after an instance that was still starting first answers its health check
+        this.readinessSettleTime = config.readinessSettleTime ?? settings.get('n8n.readinessSettleMs');
+        
+        // Credentials are masked wherever they would show up in log output
+        logger.addSecret(this.password);
+        
+        // Encrypts API keys before they reach the database
+        this.keyEncryption = KeyEncryption.fromSettings(settings);
+        
+        // Lifetime requested for newly created API keys
+        this.apiKeyExpiresInDays = settings.get('apiKey.expiresInDays');
+        
+        // Scopes requested for new keys (API_KEY_SCOPE_PROFILE or API_KEY_SCOPES); empty means unscoped
+        this.keyScopes = new KeyScopes({ settings, profile: config.scopeProfile, scopes: config.scopes });
+        
+        // Version and feature probe, filled in lazily by detectCapabilities()
+        this.capabilities = null;
+        
+        // Fresh instances: create the owner from N8N_USER_EMAIL/N8N_USER_PASSWORD unless disabled
+        this.ownerSetupEnabled = settings.get('owner.setup');
+        this.ownerFirstName = settings.get('owner.firstName');
+        this.ownerLastName = settings.get('owner.lastName');
+        this.skipOnboardingSurvey = settings.get('owner.skipOnboardingSurvey');
+        
+        // Key rotation: how long the previous key stays valid after the new one is stored
+        this.rotationGracePeriod = settings.get('apiKey.rotationGraceSeconds') * 1000;
+        
+        // Run journal directory (PROVISIONING_JOURNAL_DIR) for rolling back or finishing interrupted runs
+        this.journalDir = config.journalDir || settings.get('journal.dir');
+        
+        // Initialize storage backend (Supabase unless STORAGE_BACKEND says otherwise)
+        try {
+            this.storage = config.storage || createStorage({ settings });
+            logger.info(`✅ Storage backend initialized: ${this.storage.describe()}`);
+        } catch (error) {
+            logger.error('❌ Failed to initialize storage backend:', error.message);
+            throw error;
         }
         
         this.validateEnvironment();
     }
 
     validateEnvironment() {
-        console.log('🔍 Validating environment configuration...');
+        logger.info('🔍 Validating environment configuration...');
         
-        const required = [
-            'N8N_USER_EMAIL', 
-            'N8N_USER_PASSWORD',
-            'SUPABASE_URL',
-            'SUPABASE_SERVICE_ROLE_KEY',
-            'USER_ID'
-        ];
+        const required = {
+            N8N_USER_EMAIL: this.email,
+            N8N_USER_PASSWORD: this.password,
+            USER_ID: this.userId
+        };
         
         // Check for N8N URL
         if (!this.baseUrl) {
@@ -80,7 +111,7 @@ class N8NAPIManager {
         // Remove trailing slash from URL
         this.baseUrl = this.baseUrl.replace(/\/$/, '');
         
-        const missing = required.filter(key => !process.env[key]);
+        const missing = Object.keys(required).filter(key => !required[key]);
         if (missing.length > 0) {
             throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
         }
@@ -91,34 +122,43 @@ class N8NAPIManager {
             throw new Error(`Invalid email format: ${this.email}`);
         }
         
-        // Validate Supabase URL format
-        const supabaseUrlRegex = /^https:\/\/[a-zA-Z0-9-]+\.supabase\.co$/;
-        if (!supabaseUrlRegex.test(this.supabaseUrl)) {
-            console.log('⚠️ Supabase URL format may be incorrect. Expected: https://project-id.supabase.co');
-        }
-        
-        console.log('✅ Environment validation passed');
-        console.log(`🔗 Using N8N URL: ${this.baseUrl}`);
-        console.log(`📧 User Email: ${this.email}`);
-        console.log(`🆔 User ID: ${this.userId}`);
+        logger.info('✅ Environment validation passed');
+        logger.info(`🔗 Using N8N URL: ${this.baseUrl}`);
+        logger.info(`📧 User Email: ${this.email}`);
+        logger.info(`🆔 User ID: ${this.userId}`);
+    }
+
+    generateKeyLabel() {
+        return `API-${this.userId}-${Date.now()}`;
+    }
+
+    isManagedKeyLabel(label) {
+        // Labels produced by generateKeyLabel() for this user
+        const prefix = `API-${this.userId}-`;
+        return typeof label === 'string' &&
+            label.startsWith(prefix) &&
+            /^\d+$/.test(label.slice(prefix.length));
+    }
+
+    // Creation time (ms) carried in a managed label
+    keyLabelTime(label) {
+        return parseInt(label.slice(`API-${this.userId}-`.length), 10);
     }
 
     async waitForN8NReady() {
-        console.log('⏳ Checking N8N availability and waiting for full readiness...');
-        const maxAttempts = 45; // 15 minutes with 20 second intervals
-        const delay = 20000; // 20 seconds
+        logger.info('⏳ Checking N8N availability and waiting for full readiness...');
+        const startedAt = Date.now();
+        // Try multiple health endpoints in order of preference
+        const endpoints = ['/healthz', '/healthz/readiness', '/api/v1/healthz', '/'];
         
-        for (let i = 0; i < maxAttempts; i++) {
-            try {
-                // Try multiple health endpoints in order of preference
-                const endpoints = ['/healthz', '/healthz/readiness', '/api/v1/healthz', '/'];
-                let healthCheckPassed = false;
-                
+        let attempts;
+        try {
+            attempts = await this.http.retry('readiness', async (attempt, timeout) => {
                 for (const endpoint of endpoints) {
                     try {
-                        console.log(`🔍 Testing endpoint: ${this.baseUrl}${endpoint}`);
+                        logger.info(`🔍 Testing endpoint: ${this.baseUrl}${endpoint}`);
                         const response = await axios.get(`${this.baseUrl}${endpoint}`, {
-                            timeout: 15000,
+                            timeout: timeout,
                             validateStatus: () => true,
                             headers: {
                                 'User-Agent': 'N8N-API-Manager/1.0',
@@ -127,65 +167,52 @@ class N8NAPIManager {
                         });
                         
                         if (response.status === 200) {
-                            console.log(`✅ N8N health check passed via ${endpoint}`);
-                            healthCheckPassed = true;
-                            break;
-                        } else {
-                            console.log(`📊 Endpoint ${endpoint} returned status: ${response.status}`);
+                            logger.info(`✅ N8N health check passed via ${endpoint}`);
+                            return attempt;
                         }
+                        logger.info(`📊 Endpoint ${endpoint} returned status: ${response.status}`);
                     } catch (error) {
-                        console.log(`⚠️ Endpoint ${endpoint} failed: ${error.message}`);
-                        continue;
+                        logger.warn(`⚠️ Endpoint ${endpoint} failed: ${error.message}`);
                     }
                 }
-                
-                if (healthCheckPassed) {
-                    // Additional validation - test login endpoint
-                    try {
-                        console.log('🔐 Validating login endpoint...');
-                        const loginTestResponse = await axios.post(`${this.baseUrl}/rest/login`, {
-                            emailOrLdapLoginId: 'test@test.com',
-                            password: 'test123'
-                        }, {
-                            timeout: 10000,
-                            validateStatus: (status) => status < 500,
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'User-Agent': 'N8N-API-Manager/1.0'
-                            }
-                        });
-                        
-                        console.log(`✅ Login endpoint is accessible (status: ${loginTestResponse.status})`);
-                        
-                        // Extra initialization wait
-                        console.log('⏳ Allowing extra time for N8N full initialization...');
-                        await new Promise(resolve => setTimeout(resolve, 30000));
-                        return true;
-                        
-                    } catch (loginError) {
-                        console.log('⚠️ Login endpoint test failed, but continuing...');
-                        await new Promise(resolve => setTimeout(resolve, 15000));
-                        return true;
-                    }
+                throw new Error('no health endpoint answered 200');
+            }, { label: 'N8N health check' });
+        } catch (error) {
+            const minutes = ((Date.now() - startedAt) / 1000 / 60).toFixed(1);
+            throw new Error(`N8N instance is not accessible after ${error.attempts} attempts over ${minutes} minutes`);
+        }
+        
+        // Additional validation - the login endpoint answers 4xx once the REST API is up
+        try {
+            logger.info('🔐 Validating login endpoint...');
+            const loginTestResponse = await this.http.post('readiness', `${this.baseUrl}/rest/login`, {
+                emailOrLdapLoginId: 'test@test.com',
+                password: 'test123'
+            }, {
+                timeout: 10000,
+                validateStatus: (status) => status < 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'N8N-API-Manager/1.0'
                 }
-                
-                console.log(`⌛ N8N not fully ready yet... (${i + 1}/${maxAttempts})`);
-                
-            } catch (error) {
-                console.log(`⌛ N8N health check failed... (${i + 1}/${maxAttempts}): ${error.message}`);
-            }
+            }, { idempotent: true });
             
-            if (i < maxAttempts - 1) {
-                console.log(`⏰ Waiting ${delay/1000} seconds before next attempt...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
+            logger.info(`✅ Login endpoint is accessible (status: ${loginTestResponse.status})`);
+        } catch (loginError) {
+            logger.warn(`⚠️ Login endpoint test failed, but continuing: ${loginError.message}`);
+        }
+        
+        // Only an instance that was still starting needs time to finish initializing
+        if (attempts > 1 && this.readinessSettleTime > 0) {
+            logger.info('⏳ Allowing extra time for N8N full initialization...');
+            await new Promise(resolve => setTimeout(resolve, this.readinessSettleTime));
         }
         
-        throw new Error(`N8N instance is not accessible after ${maxAttempts} attempts over ${(maxAttempts * delay / 1000 / 60).toFixed(1)} minutes`);
+        return true;
     }
 
     async createAPIKeyViaBrowser() {
-        console.log('🔧 Starting browser automation for API key creation...');
+        logger.info('🔧 Starting browser automation for API key creation...');
         
         let browser;
         let page;
@@ -226,11 +253,11 @@ class N8NAPIManager {
             
             // Enhanced error logging
             page.on('error', (error) => {
-                console.error('🐛 Page error:', error.message);
+                logger.error('🐛 Page error:', error.message);
             });
             
             page.on('pageerror', (error) => {
-                console.error('🐛 Page script error:', error.message);
+                logger.error('🐛 Page script error:', error.message);
             });
             
             // Set request headers
@@ -239,16 +266,16 @@ class N8NAPIManager {
             });
             
             // Navigate to N8N login
-            console.log('🔐 Navigating to N8N login page...');
+            logger.info('🔐 Navigating to N8N login page...');
             await page.goto(`${this.baseUrl}/signin`, { 
                 waitUntil: 'networkidle2',
                 timeout: 60000 
             });
             
-            console.log('✅ Successfully loaded login page');
+            logger.info('✅ Successfully loaded login page');
             
             // Wait for login form with multiple strategies
-            console.log('⏳ Waiting for login form elements...');
+            logger.info('⏳ Waiting for login form elements...');
             await page.waitForSelector('input[type="email"], input[name="email"], input[placeholder*="email" i]', { 
                 timeout: 30000 
             });
@@ -268,7 +295,7 @@ class N8NAPIManager {
                 try {
                     emailInput = await page.$(selector);
                     if (emailInput && await emailInput.isVisible()) {
-                        console.log(`📧 Found email input with selector: ${selector}`);
+                        logger.info(`📧 Found email input with selector: ${selector}`);
                         break;
                     }
                 } catch (e) {
@@ -284,7 +311,7 @@ class N8NAPIManager {
             await emailInput.click({ clickCount: 3 });
             await page.keyboard.press('Delete');
             await emailInput.type(this.email, { delay: 50 });
-            console.log('📧 Email entered successfully');
+            logger.info('📧 Email entered successfully');
             
             // Find password input
             const passwordSelectors = [
@@ -301,7 +328,7 @@ class N8NAPIManager {
                 try {
                     passwordInput = await page.$(selector);
                     if (passwordInput && await passwordInput.isVisible()) {
-                        console.log(`🔒 Found password input with selector: ${selector}`);
+                        logger.info(`🔒 Found password input with selector: ${selector}`);
                         break;
                     }
                 } catch (e) {
@@ -317,10 +344,10 @@ class N8NAPIManager {
             await passwordInput.click({ clickCount: 3 });
             await page.keyboard.press('Delete');
             await passwordInput.type(this.password, { delay: 50 });
-            console.log('🔒 Password entered successfully');
+            logger.info('🔒 Password entered successfully');
             
             // Submit login with enhanced error handling
-            console.log('🚀 Submitting login form...');
+            logger.info('🚀 Submitting login form...');
             const submitSelectors = [
                 'button[type="submit"]',
                 'button:contains("Sign in")',
@@ -336,7 +363,7 @@ class N8NAPIManager {
                 try {
                     const submitButton = await page.$(selector);
                     if (submitButton && await submitButton.isVisible()) {
-                        console.log(`🔘 Found submit button with selector: ${selector}`);
+                        logger.info(`🔘 Found submit button with selector: ${selector}`);
                         
                         // Wait for navigation promise
                         const navigationPromise = page.waitForNavigation({ 
@@ -350,14 +377,14 @@ class N8NAPIManager {
                         break;
                     }
                 } catch (e) {
-                    console.log(`⚠️ Submit button ${selector} failed: ${e.message}`);
+                    logger.warn(`⚠️ Submit button ${selector} failed: ${e.message}`);
                     continue;
                 }
             }
             
             // Fallback: Press Enter
             if (!loginSubmitted) {
-                console.log('🔄 Trying Enter key as fallback...');
+                logger.info('🔄 Trying Enter key as fallback...');
                 const navigationPromise = page.waitForNavigation({ 
                     waitUntil: 'networkidle2',
                     timeout: 60000 
@@ -367,21 +394,21 @@ class N8NAPIManager {
                     await navigationPromise;
                     loginSubmitted = true;
                 } catch (navError) {
-                    console.log('⚠️ Navigation after Enter failed, checking current state...');
+                    logger.warn('⚠️ Navigation after Enter failed, checking current state...');
                 }
             }
             
             // Verify login success
             await page.waitForTimeout(5000);
             const currentUrl = page.url();
-            console.log(`📍 Current URL after login: ${currentUrl}`);
+            logger.info(`📍 Current URL after login: ${currentUrl}`);
             
             // Check for error messages
             try {
                 const errorElements = await page.$$('.error, .alert-danger, .n8n-notice--error, [class*="error"]');
                 if (errorElements.length > 0) {
                     const errorText = await errorElements[0].evaluate(el => el.textContent);
-                    console.log(`⚠️ Found error message: ${errorText}`);
+                    logger.warn(`⚠️ Found error message: ${errorText}`);
                 }
             } catch (e) {
                 // No error messages found
@@ -391,10 +418,10 @@ class N8NAPIManager {
                 throw new Error('Login failed - still on signin page');
             }
             
-            console.log('✅ Login successful');
+            logger.info('✅ Login successful');
             
             // Navigate to API settings with multiple strategies
-            console.log('⚙️ Navigating to API settings...');
+            logger.info('⚙️ Navigating to API settings...');
             const settingsUrls = [
                 `${this.baseUrl}/settings/api`,
                 `${this.baseUrl}/settings/users-and-api`,
@@ -405,7 +432,7 @@ class N8NAPIManager {
             
             for (const settingsUrl of settingsUrls) {
                 try {
-                    console.log(`🔍 Trying settings URL: ${settingsUrl}`);
+                    logger.info(`🔍 Trying settings URL: ${settingsUrl}`);
                     await page.goto(settingsUrl, {
                         waitUntil: 'networkidle2',
                         timeout: 45000
@@ -418,19 +445,19 @@ class N8NAPIManager {
                     if (pageContent.toLowerCase().includes('api key') || 
                         pageContent.toLowerCase().includes('api token') ||
                         pageContent.toLowerCase().includes('create an api')) {
-                        console.log(`✅ Found API settings at: ${settingsUrl}`);
+                        logger.info(`✅ Found API settings at: ${settingsUrl}`);
                         apiSettingsFound = true;
                         break;
                     }
                 } catch (e) {
-                    console.log(`⚠️ Failed to navigate to: ${settingsUrl} - ${e.message}`);
+                    logger.warn(`⚠️ Failed to navigate to: ${settingsUrl} - ${e.message}`);
                     continue;
                 }
             }
             
             // If direct navigation failed, try menu navigation
             if (!apiSettingsFound) {
-                console.log('🔍 Trying menu navigation to find API settings...');
+                logger.info('🔍 Trying menu navigation to find API settings...');
                 await page.goto(`${this.baseUrl}`, { 
                     waitUntil: 'networkidle2',
                     timeout: 45000 
@@ -493,7 +520,7 @@ class N8NAPIManager {
             }
             
             // Create API key
-            console.log('🔑 Looking for API key creation interface...');
+            logger.info('🔑 Looking for API key creation interface...');
             await page.waitForTimeout(3000);
             
             // Look for create button with multiple selectors
@@ -514,7 +541,7 @@ class N8NAPIManager {
                     await page.waitForSelector(selector, { timeout: 5000 });
                     createButton = await page.$(selector);
                     if (createButton && await createButton.isVisible()) {
-                        console.log(`✅ Found create button with selector: ${selector}`);
+                        logger.info(`✅ Found create button with selector: ${selector}`);
                         break;
                     }
                 } catch (e) {
@@ -530,8 +557,8 @@ class N8NAPIManager {
             await page.waitForTimeout(5000);
             
             // Fill API key form
-            console.log('📝 Filling API key creation form...');
-            const keyLabel = `API-${this.userId}-${Date.now()}`;
+            logger.info('📝 Filling API key creation form...');
+            const keyLabel = this.generateKeyLabel();
             
             // Look for label input
             const labelSelectors = [
@@ -550,7 +577,7 @@ class N8NAPIManager {
                     if (labelInput && await labelInput.isVisible()) {
                         await labelInput.click({ clickCount: 3 });
                         await labelInput.type(keyLabel);
-                        console.log(`✅ Set API key label: ${keyLabel}`);
+                        logger.info(`✅ Set API key label: ${keyLabel}`);
                         labelSet = true;
                         break;
                     }
@@ -560,7 +587,7 @@ class N8NAPIManager {
             }
             
             if (!labelSet) {
-                console.log('⚠️ Could not set label, using default');
+                logger.warn('⚠️ Could not set label, using default');
             }
             
             // Try to set expiration if available
@@ -576,7 +603,7 @@ class N8NAPIManager {
                         const expirationSelect = await page.$(selector);
                         if (expirationSelect && await expirationSelect.isVisible()) {
                             await expirationSelect.select('365'); // 1 year
-                            console.log('✅ Set expiration to 1 year');
+                            logger.info('✅ Set expiration to 1 year');
                             break;
                         }
                     } catch (e) {
@@ -584,11 +611,11 @@ class N8NAPIManager {
                     }
                 }
             } catch (e) {
-                console.log('ℹ️ No expiration setting found, using default');
+                logger.info('ℹ️ No expiration setting found, using default');
             }
             
             // Submit API key creation form
-            console.log('📤 Submitting API key creation...');
+            logger.info('📤 Submitting API key creation...');
             const submitCreateSelectors = [
                 'button:contains("Create API key")',
                 'button:contains("Create")',
@@ -604,7 +631,7 @@ class N8NAPIManager {
                     const submitButton = await page.$(selector);
                     if (submitButton && await submitButton.isVisible()) {
                         await submitButton.click();
-                        console.log(`✅ Clicked create button: ${selector}`);
+                        logger.info(`✅ Clicked create button: ${selector}`);
                         submitted = true;
                         break;
                     }
@@ -618,11 +645,11 @@ class N8NAPIManager {
             }
             
             // Wait for API key to be generated
-            console.log('⏳ Waiting for API key generation...');
+            logger.info('⏳ Waiting for API key generation...');
             await page.waitForTimeout(8000);
             
             // Extract the generated API key
-            console.log('🔍 Extracting generated API key...');
+            logger.info('🔍 Extracting generated API key...');
             const apiKeySelectors = [
                 '[data-test-id="api-key-value"]',
                 'input[readonly][value*="n8n_api_"]',
@@ -648,7 +675,7 @@ class N8NAPIManager {
                         
                         if (value && (value.includes('n8n_api_') || value.length > 50)) {
                             apiKey = value.trim();
-                            console.log(`✅ Found API key with selector: ${selector}`);
+                            logger.info(`✅ Found API key with selector: ${selector}`);
                             break;
                         }
                     }
@@ -659,7 +686,7 @@ class N8NAPIManager {
             
             // Fallback: search page content
             if (!apiKey) {
-                console.log('🔍 Searching page content for API key...');
+                logger.info('🔍 Searching page content for API key...');
                 const pageContent = await page.content();
                 const apiKeyMatches = [
                     /n8n_api_[a-f0-9]{64}/gi,
@@ -671,7 +698,7 @@ class N8NAPIManager {
                     const matches = pageContent.match(regex);
                     if (matches && matches.length > 0) {
                         apiKey = matches[0].replace(/"/g, '');
-                        console.log('✅ Found API key in page content');
+                        logger.info('✅ Found API key in page content');
                         break;
                     }
                 }
@@ -684,27 +711,29 @@ class N8NAPIManager {
                         path: '/tmp/n8n-api-key-error.png', 
                         fullPage: true 
                     });
-                    console.log('📷 Screenshot saved to /tmp/n8n-api-key-error.png');
+                    logger.info('📷 Screenshot saved to /tmp/n8n-api-key-error.png');
                 } catch (screenshotError) {
-                    console.log('Could not take screenshot');
+                    logger.info('Could not take screenshot');
                 }
                 
                 throw new Error('Failed to extract valid API key from page');
             }
             
-            console.log('🎉 API key created successfully!');
-            console.log(`📋 Key label: ${keyLabel}`);
-            console.log(`🔑 API key: ${apiKey.substring(0, 20)}...`);
-            console.log(`📏 Key length: ${apiKey.length} characters`);
+            logger.addSecret(apiKey.trim());
+            logger.info('🎉 API key created successfully!');
+            logger.info(`📋 Key label: ${keyLabel}`);
+            logger.info(`📏 Key length: ${apiKey.length} characters`);
             
+            const createdAt = new Date().toISOString();
             return {
                 apiKey: apiKey.trim(),
                 label: keyLabel,
-                createdAt: new Date().toISOString()
+                createdAt: createdAt,
+                expiresAt: this.resolveKeyExpiry(apiKey.trim(), createdAt)
             };
             
         } catch (error) {
-            console.error('❌ Browser automation failed:', error.message);
+            logger.error('❌ Browser automation failed:', error.message);
             
             // Take error screenshot
             if (page) {
@@ -713,9 +742,9 @@ class N8NAPIManager {
                         path: '/tmp/n8n-browser-error.png', 
                         fullPage: true 
                     });
-                    console.log('📷 Error screenshot saved to /tmp/n8n-browser-error.png');
+                    logger.info('📷 Error screenshot saved to /tmp/n8n-browser-error.png');
                 } catch (screenshotError) {
-                    console.log('Could not take error screenshot');
+                    logger.info('Could not take error screenshot');
                 }
             }
             
@@ -724,61 +753,195 @@ class N8NAPIManager {
             if (browser) {
                 try {
                     await browser.close();
-                    console.log('🔒 Browser closed successfully');
+                    logger.info('🔒 Browser closed successfully');
                 } catch (closeError) {
-                    console.log('⚠️ Error closing browser:', closeError.message);
+                    logger.warn('⚠️ Error closing browser:', closeError.message);
                 }
             }
         }
     }
 
-    async createAPIKeyViaSession() {
-        console.log('🔧 Attempting API key creation via session-based authentication...');
+    async detectCapabilities() {
+        if (!this.capabilities) {
+            logger.info('🧭 Detecting N8N version and capabilities...');
+            this.capabilities = await N8NCapabilities.detect(this.baseUrl, { httpClient: this.http });
+            logger.info(`🧭 N8N: ${this.capabilities.describe()}`);
+        }
+        
+        return this.capabilities;
+    }
+
+    // Same rules the N8N owner setup form enforces
+    validateOwnerPassword() {
+        const problems = [];
+        if (this.password.length < 8 || this.password.length > 64) {
+            problems.push('8 to 64 characters');
+        }
+        if (!/\d/.test(this.password)) {
+            problems.push('at least one number');
+        }
+        if (!/[A-Z]/.test(this.password)) {
+            problems.push('at least one uppercase letter');
+        }
+        
+        if (problems.length > 0) {
+            throw new Error(`N8N_USER_PASSWORD cannot be used for the owner account, it needs ${problems.join(', ')}`);
+        }
+    }
+
+    // Completes owner setup on a fresh instance; returns a session cookie when it did
+    async ensureOwnerAccount() {
+        const capabilities = await this.detectCapabilities();
+        
+        // Unknown (settings unreadable) is treated as set up so login reports the real problem
+        if (capabilities.userManagement.ownerSetUp !== false) {
+            logger.info('✅ Owner account already set up');
+            return null;
+        }
+        
+        logger.info('🆕 N8N has no owner account yet');
+        if (!this.ownerSetupEnabled) {
+            throw new Error('N8N owner account is not set up and N8N_OWNER_SETUP=false; finish setup in the editor first');
+        }
+        
+        this.validateOwnerPassword();
+        
+        logger.info(`👤 Setting up owner account for ${this.email}...`);
+        // Safe to resend: a setup that already went through answers 400 "already", handled below
+        const response = await this.http.post('n8n', `${this.baseUrl}/rest/owner/setup`, {
+            email: this.email,
+            firstName: this.ownerFirstName,
+            lastName: this.ownerLastName,
+            password: this.password
+        }, {
+            timeout: this.defaultTimeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'N8N-API-Manager/1.0'
+            },
+            validateStatus: function (status) {
+                return status < 500;
+            }
+        }, { idempotent: true });
+        
+        if (response.status === 400 && /already/i.test(response.data?.message || '')) {
+            // Another job finished setup between the settings probe and this request
+            logger.info('ℹ️ Owner was set up concurrently, continuing with login');
+            capabilities.userManagement.ownerSetUp = true;
+            return null;
+        }
+        
+        if (response.status !== 200) {
+            throw new Error(`Owner setup failed with status ${response.status}: ${response.data?.message || 'no message'}`);
+        }
+        
+        capabilities.userManagement.ownerSetUp = true;
+        logger.info('✅ Owner account created');
+        
+        const cookies = response.headers['set-cookie'];
+        const cookieHeader = cookies && cookies.length > 0 ? cookies.join('; ') : await this.createSession();
+        
+        if (this.skipOnboardingSurvey) {
+            await this.skipPersonalizationSurvey(cookieHeader);
+        }
+        
+        return cookieHeader;
+    }
+
+    // Submits an empty survey so the editor does not prompt the owner on first login
+    async skipPersonalizationSurvey(cookieHeader) {
+        logger.info('⏭️ Skipping onboarding survey...');
         
         try {
-            // Login to establish session
-            console.log('🔐 Logging in to N8N...');
-            const loginResponse = await axios.post(`${this.baseUrl}/rest/login`, {
-                emailOrLdapLoginId: this.email,
-                password: this.password
+            const response = await this.http.post('n8n', `${this.baseUrl}/rest/me/survey`, {
+                version: 'v4',
+                personalization_survey_submitted_at: new Date().toISOString(),
+                personalization_survey_n8n_version: this.capabilities.version
             }, {
                 timeout: this.defaultTimeout,
-                withCredentials: true,
                 headers: {
                     'Content-Type': 'application/json',
+                    'Cookie': cookieHeader,
                     'User-Agent': 'N8N-API-Manager/1.0'
                 },
-                validateStatus: function (status) {
-                    return status < 500;
-                }
-            });
+                validateStatus: () => true
+            }, { idempotent: true });
             
-            if (loginResponse.status !== 200) {
-                console.log(`⚠️ Session login failed with status: ${loginResponse.status}`);
-                throw new Error(`Login failed with status ${loginResponse.status}`);
+            if (response.status === 200) {
+                logger.info('✅ Onboarding survey skipped');
+            } else {
+                logger.warn(`⚠️ Onboarding survey skip returned status: ${response.status}`);
             }
-            
-            const cookies = loginResponse.headers['set-cookie'];
-            if (!cookies || cookies.length === 0) {
-                console.log('⚠️ No session cookies received');
-                throw new Error('No session cookies received');
+        } catch (error) {
+            // Cosmetic only, never worth failing provisioning over
+            logger.warn(`⚠️ Could not skip onboarding survey: ${error.message}`);
+        }
+    }
+
+    async createSession() {
+        logger.info('🔐 Logging in to N8N...');
+        const loginResponse = await this.http.post('n8n', `${this.baseUrl}/rest/login`, {
+            emailOrLdapLoginId: this.email,
+            password: this.password
+        }, {
+            timeout: this.defaultTimeout,
+            withCredentials: true,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'N8N-API-Manager/1.0'
+            },
+            validateStatus: function (status) {
+                return status < 500;
+            }
+        }, { idempotent: true });
+        
+        if (loginResponse.status !== 200) {
+            logger.warn(`⚠️ Session login failed with status: ${loginResponse.status}`);
+            throw new Error(`Login failed with status ${loginResponse.status}`);
+        }
+        
+        const cookies = loginResponse.headers['set-cookie'];
+        if (!cookies || cookies.length === 0) {
+            logger.warn('⚠️ No session cookies received');
+            throw new Error('No session cookies received');
+        }
+        
+        logger.info('✅ Session established successfully');
+        return cookies.join('; ');
+    }
+
+    async createAPIKeyViaSession(cookieHeader) {
+        logger.info('🔧 Attempting API key creation via session-based authentication...');
+        
+        try {
+            // Login to establish session unless the caller already holds one
+            if (!cookieHeader) {
+                cookieHeader = await this.createSession();
             }
             
-            const cookieHeader = cookies.join('; ');
-            console.log('✅ Session established successfully');
+            const capabilities = await this.detectCapabilities();
+            if (this.keyScopes.enabled && capabilities.apiKeys.scopes === false) {
+                throw new Error(`N8N ${capabilities.version} does not support API key scopes`);
+            }
             
             // Generate API key data
-            const keyLabel = `API-${this.userId}-${Date.now()}`;
+            const keyLabel = this.generateKeyLabel();
             
-            // Try to create API key via REST API
-            console.log('🔑 Creating API key via REST API...');
-            const apiKeyPayload = {
+            // Payload shape and endpoint follow the detected N8N version
+            logger.info(`🔑 Creating API key via ${capabilities.apiKeyEndpoint}...`);
+            const apiKeyPayload = capabilities.buildKeyPayload({
                 label: keyLabel,
-                expiresIn: 365 // days
-            };
+                expiresInDays: this.apiKeyExpiresInDays,
+                scopes: this.keyScopes.enabled ? this.keyScopes.scopes : null
+            });
+            if (this.keyScopes.enabled) {
+                logger.info(`🔐 Requesting scopes: ${this.keyScopes.describe()}`);
+            }
             
-            const createResponse = await axios.post(
-                `${this.baseUrl}/rest/api-keys`, 
+            // Not idempotent: an ambiguous failure is only retried once any half-created key is gone
+            const createResponse = await this.http.post(
+                'n8n',
+                `${this.baseUrl}${capabilities.apiKeyEndpoint}`, 
                 apiKeyPayload,
                 {
                     timeout: this.defaultTimeout,
@@ -791,171 +954,539 @@ class N8NAPIManager {
                     validateStatus: function (status) {
                         return status < 500;
                     }
-                }
+                },
+                { reconcile: () => this.discardPartialKey(cookieHeader, keyLabel) }
             );
             
             if (createResponse.status === 201 || createResponse.status === 200) {
-                console.log('✅ API key created via session successfully');
-                const responseData = createResponse.data;
+                logger.info('✅ API key created via session successfully');
+                // Internal REST responses are usually wrapped in { data: ... }
+                const responseData = createResponse.data?.data || createResponse.data;
                 const apiKey = responseData.apiKey || responseData.key || responseData.token;
                 
                 if (apiKey && apiKey.length > 20) {
-                    console.log(`🔑 Session-created key: ${apiKey.substring(0, 20)}...`);
+                    logger.addSecret(apiKey);
+                    logger.info(`📏 Session-created key length: ${apiKey.length} characters`);
+                    const createdAt = new Date().toISOString();
                     return {
                         apiKey: apiKey,
+                        id: responseData.id,
                         label: keyLabel,
-                        createdAt: new Date().toISOString()
+                        createdAt: createdAt,
+                        // Versions without key expiry issue keys that never expire
+                        expiresAt: capabilities.apiKeys.expiry === false ? null : this.resolveKeyExpiry(apiKey, createdAt, responseData),
+                        // Prefer what n8n says it granted over what was asked for
+                        scopes: this.keyScopes.enabled ? KeyScopes.parse(responseData.scopes || this.keyScopes.scopes) : [],
+                        scopeProfile: this.keyScopes.profile
                     };
                 } else {
-                    console.log('⚠️ Session method returned invalid API key');
+                    logger.warn('⚠️ Session method returned invalid API key');
                     throw new Error('Invalid API key from session method');
                 }
+            } else if (createResponse.status === 400 && this.keyScopes.enabled) {
+                logger.warn('⚠️ N8N rejected the scoped key request');
+                throw new Error(`Scoped API key creation rejected (${createResponse.data?.message || 'HTTP 400'}); this N8N version may not support key scopes`);
             } else {
-                console.log(`⚠️ Session method failed with status: ${createResponse.status}`);
+                logger.warn(`⚠️ Session method failed with status: ${createResponse.status}`);
                 throw new Error(`Session API creation failed with status ${createResponse.status}`);
             }
             
         } catch (error) {
-            console.log('⚠️ Session-based creation failed:', error.message);
+            logger.warn('⚠️ Session-based creation failed:', error.message);
             throw error;
         }
     }
 
+    // API keys issued by recent N8N versions are JWTs; older ones are opaque strings
+    decodeKeyClaims(apiKey) {
+        const parts = apiKey.split('.');
+        if (parts.length !== 3) {
+            return null;
+        }
+        
+        try {
+            return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Expiry as an ISO string, or null for a key that never expires
+    resolveKeyExpiry(apiKey, createdAt, responseData = {}) {
+        const toISO = value => {
+            // N8N reports expiresAt in seconds; tolerate milliseconds and date strings
+            const ms = typeof value === 'number' ? (value < 1e12 ? value * 1000 : value) : new Date(value).getTime();
+            return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+        };
+        
+        if (responseData.expiresAt !== undefined && responseData.expiresAt !== null) {
+            return toISO(responseData.expiresAt);
+        }
+        
+        const claims = this.decodeKeyClaims(apiKey);
+        if (claims && claims.exp) {
+            return toISO(claims.exp);
+        }
+        
+        // An explicit null from N8N means the key was issued without an expiry
+        if (responseData.expiresAt === null) {
+            return null;
+        }
+        
+        return new Date(new Date(createdAt).getTime() + this.apiKeyExpiresInDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    async listAPIKeysViaSession(cookieHeader) {
+        logger.info('📋 Listing API keys via session...');
+        
+        const capabilities = await this.detectCapabilities();
+        if (capabilities.apiKeys.labelled === false) {
+            throw new Error(`N8N ${capabilities.version} keeps a single API key per user; listing keys is not supported`);
+        }
+        
+        const response = await this.http.get('n8n', `${this.baseUrl}/rest/api-keys`, {
+            timeout: this.defaultTimeout,
+            headers: {
+                'Cookie': cookieHeader,
+                'Accept': 'application/json',
+                'User-Agent': 'N8N-API-Manager/1.0'
+            },
+            validateStatus: function (status) {
+                return status < 500;
+            }
+        });
+        
+        if (response.status !== 200) {
+            throw new Error(`Listing API keys failed with status ${response.status}`);
+        }
+        
+        const keys = response.data?.data || response.data;
+        if (!Array.isArray(keys)) {
+            throw new Error('Unexpected response format from API keys endpoint');
+        }
+        
+        logger.info(`📋 Found ${keys.length} API key(s)`);
+        return keys;
+    }
+
+    // The public API cannot list credentials, so this goes through the session
+    async listCredentialsViaSession(cookieHeader) {
+        const response = await this.http.get('n8n', `${this.baseUrl}/rest/credentials`, {
+            timeout: this.defaultTimeout,
+            headers: {
+                'Cookie': cookieHeader,
+                'Accept': 'application/json',
+                'User-Agent': 'N8N-API-Manager/1.0'
+            },
+            validateStatus: function (status) {
+                return status < 500;
+            }
+        });
+        
+        if (response.status !== 200) {
+            throw new Error(`Listing credentials failed with status ${response.status}`);
+        }
+        
+        const credentials = response.data?.data || response.data;
+        if (!Array.isArray(credentials)) {
+            throw new Error('Unexpected response format from credentials endpoint');
+        }
+        
+        return credentials;
+    }
+
+    // Called before a key creation is resent: a key created by the failed attempt was never
+    // returned to us, so it is deleted instead of being left behind
+    async discardPartialKey(cookieHeader, label) {
+        const capabilities = await this.detectCapabilities();
+        if (capabilities.apiKeys.labelled === false) {
+            // The legacy endpoint replaces the single key, so resending is harmless
+            return true;
+        }
+        
+        const keys = await this.listAPIKeysViaSession(cookieHeader);
+        for (const key of keys.filter(candidate => candidate.label === label)) {
+            await this.deleteAPIKeyViaSession(cookieHeader, key.id);
+        }
+        return true;
+    }
+
+    async deleteAPIKeyViaSession(cookieHeader, keyId) {
+        logger.info(`🗑️ Deleting API key ${keyId} via session...`);
+        
+        const response = await this.http.delete('n8n', `${this.baseUrl}/rest/api-keys/${encodeURIComponent(keyId)}`, {
+            timeout: this.defaultTimeout,
+            headers: {
+                'Cookie': cookieHeader,
+                'Accept': 'application/json',
+                'User-Agent': 'N8N-API-Manager/1.0'
+            },
+            validateStatus: function (status) {
+                return status < 500;
+            }
+        });
+        
+        if (response.status !== 200 && response.status !== 204) {
+            throw new Error(`Deleting API key ${keyId} failed with status ${response.status}`);
+        }
+        
+        logger.info(`✅ API key ${keyId} deleted`);
+        return true;
+    }
+
     async validateAPIKey(apiKey) {
-        console.log('✅ Validating API key functionality...');
+        logger.info('✅ Validating API key against the public API...');
         
         if (!apiKey || apiKey.length < 20) {
-            console.log('❌ Invalid API key provided for validation');
+            logger.info('❌ Invalid API key provided for validation');
             return false;
         }
         
         try {
-            // Test with multiple endpoints
-            const testEndpoints = [
-                '/rest/workflows',
-                '/rest/credentials',
-                '/rest/executions'
-            ];
+            const client = new N8NPublicAPIClient({
+                baseUrl: this.baseUrl,
+                apiKey: apiKey,
+                apiPath: this.capabilities ? this.capabilities.publicApi.path : undefined,
+                httpClient: this.http
+            });
+            const result = await client.probe();
             
-            for (const endpoint of testEndpoints) {
-                try {
-                    console.log(`🧪 Testing API key with endpoint: ${endpoint}`);
-                    const response = await axios.get(`${this.baseUrl}${endpoint}`, {
-                        timeout: 20000,
-                        headers: {
-                            'X-N8N-API-KEY': apiKey,
-                            'Accept': 'application/json',
-                            'User-Agent': 'N8N-API-Manager/1.0'
-                        },
-                        validateStatus: function (status) {
-                            return status < 500;
-                        }
-                    });
-                    
-                    if (response.status === 200) {
-                        console.log(`✅ API key validated successfully with ${endpoint}`);
-                        if (endpoint === '/rest/workflows') {
-                            console.log(`📊 Found ${Array.isArray(response.data) ? response.data.length : 0} workflows`);
-                        }
-                        return true;
-                    } else if (response.status === 401) {
-                        console.log('❌ API key is invalid or expired');
-                        return false;
-                    } else if (response.status === 403) {
-                        console.log('⚠️ API key has limited permissions but is valid');
-                        return true;
-                    }
-                } catch (endpointError) {
-                    console.log(`⚠️ Endpoint ${endpoint} test failed: ${endpointError.message}`);
-                    continue;
-                }
+            if (!result.valid) {
+                logger.info(`❌ API key rejected by ${result.endpoint ? `${client.apiPath}${result.endpoint}` : 'public API'}: ${result.reason}`);
+                return false;
             }
             
-            console.log('⚠️ All validation endpoints failed, but API key might still be valid');
-            return true; // Assume valid if we can't definitively prove it's invalid
+            if (result.limited) {
+                logger.warn('⚠️ API key has limited permissions but is valid');
+            } else {
+                logger.info(`✅ API key validated successfully with ${client.apiPath}${result.endpoint}`);
+            }
+            return true;
             
         } catch (error) {
-            console.error('❌ API key validation failed:', error.message);
+            logger.error('❌ API key validation failed:', error.message);
             return false;
         }
     }
 
-    async storeAPIKeyInSupabase(apiKeyData) {
-        console.log('💾 Storing API key in Supabase database...');
-        
-        if (!this.supabase) {
-            throw new Error('Supabase client not initialized');
-        }
-        
+    storedKeyValues(apiKeyData) {
         const updateData = {
-            n8n_api_key: apiKeyData.apiKey,
-            n8n_api_key_label: apiKeyData.label,
-            n8n_api_key_created_at: apiKeyData.createdAt,
-            updated_at: new Date().toISOString()
+            apiKey: this.keyEncryption.encrypt(apiKeyData.apiKey),
+            apiKeyLabel: apiKeyData.label,
+            apiKeyCreatedAt: apiKeyData.createdAt,
+            apiKeyExpiresAt: apiKeyData.expiresAt === null ? NEVER_EXPIRES : (apiKeyData.expiresAt || null),
+            setupError: null,
+            updatedAt: new Date().toISOString()
         };
         
         // Add additional metadata if available
         if (this.projectId) {
-            updateData.northflank_project_id = this.projectId;
+            updateData.projectId = this.projectId;
         }
         if (this.projectName) {
-            updateData.northflank_project_name = this.projectName;
+            updateData.projectName = this.projectName;
         }
         if (this.baseUrl) {
-            updateData.n8n_instance_url = this.baseUrl;
+            updateData.instanceUrl = this.baseUrl;
+        }
+        if (apiKeyData.scopes && apiKeyData.scopes.length > 0) {
+            updateData.apiKeyScopes = KeyScopes.serialize(apiKeyData.scopes);
+            updateData.apiKeyScopeProfile = apiKeyData.scopeProfile;
         }
         
+        return updateData;
+    }
+
+    async storeAPIKey(apiKeyData) {
+        logger.info(`💾 Storing API key in ${this.storage.describe()}...`);
+        const updateData = this.storedKeyValues(apiKeyData);
+        
         try {
-            console.log(`🔍 Updating user record for ID: ${this.userId}`);
-            
-            const { data, error } = await this.supabase
-                .from('launchmvpfast-saas-starterkit_user')
-                .update(updateData)
-                .eq('id', this.userId)
-                .select();
-            
-            if (error) {
-                console.error('❌ Supabase update error:', error.message);
-                console.error('Error details:', JSON.stringify(error, null, 2));
-                throw error;
-            }
+            logger.info(`🔍 Updating user record for ID: ${this.userId}`);
             
-            if (!data || data.length === 0) {
-                throw new Error(`No user found with ID: ${this.userId}`);
-            }
+            const updated = await this.storage.updateRecord(this.userId, updateData);
             
-            console.log('✅ API key stored successfully in Supabase');
-            console.log(`📊 Updated ${data.length} record(s)`);
-            return data;
+            logger.info('✅ API key stored successfully');
+            logger.info(`📊 Updated ${updated} record(s)`);
+            return updated;
             
         } catch (error) {
-            console.error('❌ Failed to store API key in Supabase:', error.message);
+            logger.error('❌ Failed to store API key:', error.message);
             
             // Try to provide more specific error information
             if (error.message.includes('permission')) {
-                console.error('💡 Check Supabase RLS policies and service role permissions');
+                logger.error('💡 Check storage permissions (Supabase RLS policies, database grants or Vault policy)');
             } else if (error.message.includes('not found') || error.message.includes('No user found')) {
-                console.error(`💡 User ID ${this.userId} may not exist in the database`);
+                logger.error(`💡 User ID ${this.userId} may not exist in the database`);
             } else if (error.message.includes('column')) {
-                console.error('💡 Database schema may be missing required columns');
+                logger.error('💡 Database schema may be missing required columns (see STORAGE_COLUMN_MAP)');
             }
             
             throw error;
         }
     }
 
-    async sendWebhookNotification(apiKeyData) {
-        if (!this.webhookUrl) {
-            console.log('ℹ️ No webhook URL configured, skipping notification');
+    async retrieveStoredAPIKey() {
+        logger.info('🔍 Retrieving stored API key...');
+        
+        let record;
+        try {
+            record = await this.storage.getRecord(this.userId, ['apiKey', 'apiKeyLabel', 'apiKeyCreatedAt', 'apiKeyExpiresAt']);
+        } catch (error) {
+            logger.error('❌ Error retrieving API key:', error.message);
+            throw error;
+        }
+        
+        if (!record || !record.apiKey) {
+            logger.warn('⚠️ No API key found in storage');
+            return null;
+        }
+        
+        logger.info(`✅ Stored API key found: ${record.apiKeyLabel || 'Unlabeled'}`);
+        const apiKey = this.keyEncryption.decrypt(record.apiKey);
+        logger.addSecret(apiKey);
+        // The pg driver reads an infinite timestamp as Infinity
+        const neverExpires = record.apiKeyExpiresAt === NEVER_EXPIRES || record.apiKeyExpiresAt === Infinity;
+        return {
+            apiKey: apiKey,
+            label: record.apiKeyLabel,
+            createdAt: record.apiKeyCreatedAt,
+            expiresAt: neverExpires ? null : record.apiKeyExpiresAt,
+            neverExpires: neverExpires
+        };
+    }
+
+    async recordRotation(previousKeyData, previousKeyRevoked) {
+        logger.info('📝 Recording key rotation...');
+        
+        const rotatedAt = new Date().toISOString();
+        try {
+            await this.storage.updateRecord(this.userId, {
+                rotatedAt: rotatedAt,
+                previousLabel: previousKeyData ? previousKeyData.label : null,
+                previousRevoked: previousKeyRevoked,
+                updatedAt: rotatedAt
+            });
+        } catch (error) {
+            logger.error('❌ Failed to record rotation:', error.message);
+            throw error;
+        }
+        
+        logger.info('✅ Rotation recorded');
+    }
+
+    async revokeAPIKeyByLabel(label) {
+        // Creating a key on single-key versions already replaced the old one
+        const capabilities = await this.detectCapabilities();
+        if (capabilities.apiKeys.labelled === false) {
+            logger.info(`ℹ️ N8N ${capabilities.version} replaced "${label}" when the new key was created`);
+            return true;
+        }
+        
+        // Sessions may have expired during the grace period, so log in again
+        const cookieHeader = await this.createSession();
+        const keys = await this.listAPIKeysViaSession(cookieHeader);
+        const match = keys.find(key => key.label === label);
+        
+        if (!match) {
+            logger.warn(`⚠️ API key "${label}" not found in N8N, it may already be revoked`);
+            return false;
+        }
+        
+        await this.deleteAPIKeyViaSession(cookieHeader, match.id);
+        return true;
+    }
+
+    // Create step under the journal: the compensation is registered before the key exists, so a
+    // kill mid-request still leaves enough to find the key (its label carries the creation time)
+    async createAPIKeyJournaled(journal, create) {
+        journal.start('create_key', { type: 'delete_api_key', since: Date.now() });
+        const apiKeyData = await create();
+        journal.complete('create_key', { label: apiKeyData.label, keyId: apiKeyData.id || null });
+        return apiKeyData;
+    }
+
+    // Store step under the journal: the values about to be overwritten are kept for a rollback,
+    // and a rotation also records the key it replaces so recovery can still revoke it
+    async storeAPIKeyJournaled(journal, apiKeyData, replacedKeyData = null) {
+        const fields = Object.keys(this.storedKeyValues(apiKeyData)).filter(field => field !== 'updatedAt');
+        const previous = await this.storage.getRecord(this.userId, fields);
+        journal.start('store_key', {
+            type: 'restore_storage',
+            // No record means nothing can be overwritten, and so nothing to restore
+            values: previous ? Object.fromEntries(fields.map(field => [field, previous[field] ?? null])) : null
+        }, {
+            replacedKey: replacedKeyData ? { label: replacedKeyData.label || null } : null
+        });
+        
+        await this.storeAPIKey(apiKeyData);
+        journal.complete('store_key');
+    }
+
+    async compensate(action) {
+        if (action.type === 'delete_api_key') {
+            return this.deleteJournaledKey(action);
+        }
+        if (action.type === 'restore_storage') {
+            if (!action.values) {
+                return;
+            }
+            await this.storage.updateRecord(this.userId, { ...action.values, updatedAt: new Date().toISOString() });
             return;
         }
+        throw new Error(`Unknown compensating action: ${action.type}`);
+    }
+
+    async deleteJournaledKey(action) {
+        const capabilities = await this.detectCapabilities();
+        if (capabilities.apiKeys.labelled === false) {
+            logger.info(`ℹ️ N8N ${capabilities.version} keeps a single key per user, there is no separate key to delete`);
+            return;
+        }
+        
+        const cookieHeader = await this.createSession();
+        const keys = await this.listAPIKeysViaSession(cookieHeader);
+        // Without a label the creation never reported back; any managed key made since then is its result
+        const created = keys.filter(key => action.label
+            ? key.label === action.label
+            : this.isManagedKeyLabel(key.label) && this.keyLabelTime(key.label) >= action.since);
+        
+        for (const key of created) {
+            await this.deleteAPIKeyViaSession(cookieHeader, key.id);
+        }
+        if (created.length === 0) {
+            logger.info('ℹ️ No key from this run exists in N8N');
+        }
+    }
+
+    // Before the new key is stored a failed run is undone; after that consumers may already use
+    // it, so the run stays in the journal for the next start to finish
+    async settleFailedRun(journal, cause) {
+        if (!journal.unfinished) {
+            return;
+        }
+        if (journal.stored) {
+            logger.info(`⏩ The new key is already stored, the next start finishes run ${journal.entry.runId}`);
+            return;
+        }
+        await this.rollback(journal, cause);
+    }
+
+    // Revoke step of a rotation, recorded before the grace period starts so that a run stopped
+    // while waiting still revokes the old key when it is recovered. The grace period runs from
+    // graceStart, which recovery sets to the time the new key was stored
+    async revokeReplacedKey(journal, previousKeyData, graceStart = Date.now()) {
+        if (!journal.step('revoke_old_key')) {
+            journal.start('revoke_old_key', null, {
+                label: previousKeyData.label || null,
+                revokeAt: graceStart + this.rotationGracePeriod
+            });
+        }
+        const { label, revokeAt } = journal.step('revoke_old_key').details;
         
-        console.log('📬 Sending webhook notification...');
+        const wait = revokeAt - Date.now();
+        if (wait > 0) {
+            logger.info(`⏳ Waiting ${Math.ceil(wait / 1000)} seconds before revoking old key...`);
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        
+        let revoked = false;
+        if (label) {
+            revoked = await this.revokeAPIKeyByLabel(label);
+        } else {
+            logger.warn('⚠️ Old key has no label, it cannot be located for revocation');
+        }
+        journal.complete('revoke_old_key', { revoked: revoked });
+        return revoked;
+    }
+
+    // Runs the compensating actions of every step that may have taken effect, newest first
+    async rollback(journal, cause) {
+        logger.info(`↩️ Rolling back ${journal.entry.operation} run ${journal.entry.runId}...`);
+        
+        let failed = 0;
+        for (const step of journal.compensations()) {
+            try {
+                await this.compensate(step.compensation);
+                journal.markCompensated(step);
+                logger.info(`✅ Undid step ${step.name}`);
+            } catch (error) {
+                failed++;
+                journal.markCompensated(step, error);
+                logger.error(`❌ Could not undo step ${step.name}:`, error.message);
+            }
+        }
+        
+        journal.finish(failed > 0 ? 'rollback_failed' : 'rolled_back', cause);
+        logger.info(failed > 0 ? `⚠️ Rollback incomplete, details in ${journal.file}` : '✅ Rollback completed');
+        return failed === 0;
+    }
+
+    // Settles a run that was killed (or failed to roll back) before this process started: a run
+    // whose key reached storage is finished, anything earlier is rolled back
+    async recoverInterruptedRun() {
+        const journal = new ProvisioningJournal({ dir: this.journalDir, userId: this.userId });
+        journal.load();
+        if (!journal.unfinished) {
+            return null;
+        }
+        
+        const { operation, runId, startedAt } = journal.entry;
+        const interrupted = journal.entry.interruptedBy ? `, stopped by ${journal.entry.interruptedBy}` : '';
+        logger.info(`🧾 Found unfinished ${operation} run ${runId} from ${startedAt}${interrupted}`);
+        
+        if (journal.entry.status === 'in_progress' && journal.stored) {
+            // Keys are validated before they are stored; what is left is the old key's revocation
+            // (rotations only), the commit and the notification
+            logger.info('⏩ Its key was already stored, completing the run');
+            const extraData = { recoveredRunId: runId };
+            
+            if (['rotate', 'renew'].includes(operation)) {
+                // The run may have been stopped before its revoke step was even recorded
+                const stored = journal.step('store_key');
+                const revoke = journal.step('revoke_old_key');
+                const replacedKey = (stored.details && stored.details.replacedKey) || (revoke ? { label: revoke.details.label } : null);
+                
+                let revoked = revoke ? revoke.details.revoked === true : false;
+                if (replacedKey && (!revoke || revoke.status !== 'done')) {
+                    revoked = await this.revokeReplacedKey(journal, replacedKey, Date.parse(stored.completedAt));
+                }
+                extraData.previousApiKeyLabel = replacedKey ? replacedKey.label : null;
+                extraData.previousApiKeyRevoked = revoked;
+                await this.recordRotation(replacedKey, revoked);
+            }
+            journal.finish('committed');
+            
+            const storedKeyData = await this.retrieveStoredAPIKey();
+            if (storedKeyData) {
+                const event = {
+                    rotate: WebhookNotifier.EVENTS.KEY_ROTATED,
+                    renew: WebhookNotifier.EVENTS.KEY_RENEWED
+                }[operation] || WebhookNotifier.EVENTS.KEY_CREATED;
+                await this.sendWebhookNotification(storedKeyData, event, extraData);
+            }
+            return 'completed';
+        }
+        
+        if (!await this.rollback(journal, new Error('Run was interrupted before it committed'))) {
+            const reasons = journal.entry.steps
+                .filter(step => step.status === 'compensation_failed')
+                .map(step => `${step.name}: ${step.compensationError}`);
+            throw new Error(`Interrupted run ${runId} could not be rolled back (${reasons.join('; ')}); fix the cause or remove ${journal.file}`);
+        }
+        return 'rolled_back';
+    }
+
+    async sendWebhookNotification(apiKeyData, event = WebhookNotifier.EVENTS.KEY_CREATED, extraData = {}) {
+        const messages = {
+            [WebhookNotifier.EVENTS.KEY_CREATED]: 'N8N API key created successfully',
+            [WebhookNotifier.EVENTS.KEY_ROTATED]: 'N8N API key rotated successfully',
+            [WebhookNotifier.EVENTS.KEY_RENEWED]: 'N8N API key renewed before expiry'
+        };
         
-        const notificationData = {
+        return this.webhook.notify(event, {
             status: 'success',
-            message: 'N8N API key created successfully',
-            timestamp: new Date().toISOString(),
+            message: messages[event] || event,
             userId: this.userId,
             data: {
                 n8nUrl: this.baseUrl,
@@ -964,197 +1495,608 @@ class N8NAPIManager {
                 projectName: this.projectName,
                 apiKeyLabel: apiKeyData.label,
                 apiKeyCreated: apiKeyData.createdAt,
-                apiKeyPreview: apiKeyData.apiKey.substring(0, 15) + '...'
+                apiKeyExpiresAt: apiKeyData.expiresAt || null,
+                apiKeyPreview: apiKeyData.apiKey.substring(0, 15) + '...',
+                ...extraData
             }
-        };
-        
-        try {
-            const response = await axios.post(this.webhookUrl, notificationData, {
-                timeout: this.defaultTimeout,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'N8N-API-Manager/1.0'
-                }
-            });
-            
-            if (response.status >= 200 && response.status < 300) {
-                console.log('✅ Webhook notification sent successfully');
-            } else {
-                console.log(`⚠️ Webhook returned status: ${response.status}`);
+        });
+    }
+
+    async sendFailureNotification(error, event, extraData = {}) {
+        return this.webhook.notify(event, {
+            status: 'failure',
+            message: error.message,
+            userId: this.userId,
+            data: {
+                n8nUrl: this.baseUrl,
+                email: this.email,
+                projectId: this.projectId,
+                projectName: this.projectName,
+                ...extraData
             }
-            
-        } catch (error) {
-            console.error('❌ Webhook notification failed:', error.message);
-            // Don't fail the whole process for webhook errors
-        }
+        });
     }
 
-    async run() {
-        console.log('========================================');
-        console.log('🚀 N8N API Manager Starting...');
-        console.log('========================================');
-        console.log(`📧 User Email: ${this.email}`);
-        console.log(`🔗 N8N URL: ${this.baseUrl}`);
-        console.log(`🆔 User ID: ${this.userId}`);
-        console.log(`🏗️ Project: ${this.projectName || 'N/A'} (${this.projectId || 'N/A'})`);
-        console.log(`🔄 Node Version: ${process.version}`);
-        console.log(`🕐 Started at: ${new Date().toISOString()}`);
-        console.log('========================================');
+    async run(options = {}) {
+        logger.info('========================================');
+        logger.info('🚀 N8N API Manager Starting...');
+        logger.info('========================================');
+        logger.info(`📧 User Email: ${this.email}`);
+        logger.info(`🔗 N8N URL: ${this.baseUrl}`);
+        logger.info(`🆔 User ID: ${this.userId}`);
+        logger.info(`🏗️ Project: ${this.projectName || 'N/A'} (${this.projectId || 'N/A'})`);
+        logger.info(`🔐 Key scopes: ${this.keyScopes.describe()}`);
+        logger.info(`🔄 Node Version: ${process.version}`);
+        logger.info(`🕐 Started at: ${new Date().toISOString()}`);
+        logger.info('========================================');
+        
+        const journal = new ProvisioningJournal({ dir: this.journalDir, userId: this.userId });
         
         try {
             // Step 1: Wait for N8N to be ready
-            console.log('1️⃣ Checking N8N readiness...');
-            await this.waitForN8NReady();
+            logger.setStep('readiness');
+            logger.info('1️⃣ Checking N8N readiness...');
+            if (options.skipReadinessCheck) {
+                logger.info('ℹ️ Readiness already confirmed, skipping');
+            } else {
+                await this.waitForN8NReady();
+            }
+            
+            // A run killed half-way is settled before anything new is created
+            logger.setStep('recover');
+            await this.recoverInterruptedRun();
+            
+            // A fresh instance has no owner to log in as yet
+            logger.setStep('owner_setup');
+            logger.info('👤 Checking owner account...');
+            const ownerSession = await this.ensureOwnerAccount();
             
             // Step 2: Create API key (try session method first, fallback to browser)
-            console.log('2️⃣ Creating API key...');
+            logger.setStep('create_key');
+            logger.info('2️⃣ Creating API key...');
             let apiKeyData;
             let creationMethod = 'unknown';
             
-            try {
-                console.log('🔄 Attempting session-based creation...');
-                apiKeyData = await this.createAPIKeyViaSession();
-                creationMethod = 'session';
-                console.log('✅ Session-based creation successful');
-            } catch (sessionError) {
-                console.log('⚠️ Session method failed, trying browser automation...');
-                console.log(`Session error: ${sessionError.message}`);
-                
+            const capabilities = await this.detectCapabilities();
+            const creationPaths = capabilities.creationPaths;
+            if (creationPaths.length === 0) {
+                throw new Error('N8N public API is disabled (N8N_PUBLIC_API_DISABLED), API keys cannot be created');
+            }
+            logger.info(`🧭 Creation strategy: ${creationPaths.join(' → ')}`);
+            
+            // From here on every step that changes something can be undone
+            journal.begin('create');
+            apiKeyData = await this.createAPIKeyJournaled(journal, async () => {
                 try {
-                    apiKeyData = await this.createAPIKeyViaBrowser();
-                    creationMethod = 'browser';
-                    console.log('✅ Browser automation successful');
-                } catch (browserError) {
-                    console.error('❌ Both session and browser methods failed');
-                    console.error(`Session error: ${sessionError.message}`);
-                    console.error(`Browser error: ${browserError.message}`);
-                    throw new Error(`API key creation failed: Session (${sessionError.message}) and Browser (${browserError.message})`);
+                    logger.info('🔄 Attempting session-based creation...');
+                    const keyData = await this.createAPIKeyViaSession(ownerSession);
+                    creationMethod = creationPaths[0];
+                    logger.info('✅ Session-based creation successful');
+                    return keyData;
+                } catch (sessionError) {
+                    // The browser flow cannot pick scopes, so it would hand back a full-access key
+                    if (this.keyScopes.enabled) {
+                        throw new Error(`Scoped API key creation failed: ${sessionError.message}`);
+                    }
+                    
+                    // A known version talks to the same endpoint from the browser, so retrying there cannot help
+                    if (!creationPaths.includes('browser')) {
+                        throw new Error(`API key creation failed: Session (${sessionError.message})`);
+                    }
+                    
+                    logger.warn('⚠️ Session method failed, trying browser automation...');
+                    logger.info(`Session error: ${sessionError.message}`);
+                    
+                    try {
+                        const keyData = await this.createAPIKeyViaBrowser();
+                        creationMethod = 'browser';
+                        logger.info('✅ Browser automation successful');
+                        return keyData;
+                    } catch (browserError) {
+                        logger.error('❌ Both session and browser methods failed');
+                        logger.error(`Session error: ${sessionError.message}`);
+                        logger.error(`Browser error: ${browserError.message}`);
+                        throw new Error(`API key creation failed: Session (${sessionError.message}) and Browser (${browserError.message})`);
+                    }
                 }
-            }
+            });
             
-            console.log(`✅ API key created using ${creationMethod} method`);
+            logger.info(`✅ API key created using ${creationMethod} method`);
             
             // Step 3: Validate API key
-            console.log('3️⃣ Validating API key...');
+            logger.setStep('validate_key');
+            logger.info('3️⃣ Validating API key...');
             const isValid = await this.validateAPIKey(apiKeyData.apiKey);
             if (!isValid) {
                 throw new Error('Created API key failed validation tests');
             }
-            console.log('✅ API key validation passed');
+            logger.info('✅ API key validation passed');
             
-            // Step 4: Store in Supabase
-            console.log('4️⃣ Storing credentials in Supabase...');
-            await this.storeAPIKeyInSupabase(apiKeyData);
-            console.log('✅ Credentials stored successfully');
+            // Step 4: Store credentials
+            logger.setStep('store_key');
+            logger.info('4️⃣ Storing credentials...');
+            await this.storeAPIKeyJournaled(journal, apiKeyData);
+            journal.finish('committed');
+            logger.info('✅ Credentials stored successfully');
             
             // Step 5: Send webhook notification
-            console.log('5️⃣ Sending notifications...');
+            logger.setStep('notify');
+            logger.info('5️⃣ Sending notifications...');
             await this.sendWebhookNotification(apiKeyData);
-            console.log('✅ Notifications completed');
-            
-            console.log('========================================');
-            console.log('🎉 N8N API Management Completed Successfully!');
-            console.log('========================================');
-            console.log(`✅ API Key Created: ${apiKeyData.label}`);
-            console.log(`✅ Creation Method: ${creationMethod}`);
-            console.log(`✅ API Key Validated: Functional`);
-            console.log(`✅ Credentials Stored: Supabase updated`);
-            console.log(`✅ Project: ${this.projectName || 'N/A'}`);
-            console.log(`🕐 Completed at: ${new Date().toISOString()}`);
-            console.log(`⏱️ Total execution time: ${process.uptime().toFixed(1)} seconds`);
-            console.log('========================================');
+            logger.info('✅ Notifications completed');
+            logger.setStep(null);
+            
+            logger.info('========================================');
+            logger.info('🎉 N8N API Management Completed Successfully!');
+            logger.info('========================================');
+            logger.info(`✅ API Key Created: ${apiKeyData.label}`);
+            logger.info(`✅ Creation Method: ${creationMethod}`);
+            if (ownerSession) {
+                logger.info(`✅ Owner Account: created for ${this.email}`);
+            }
+            logger.info(`✅ API Key Validated: Functional`);
+            logger.info(`✅ Credentials Stored: ${this.storage.describe()} updated`);
+            logger.info(`✅ Project: ${this.projectName || 'N/A'}`);
+            logger.info(`🕐 Completed at: ${new Date().toISOString()}`);
+            logger.info(`⏱️ Total execution time: ${process.uptime().toFixed(1)} seconds`);
+            logger.info('========================================');
             
             return {
                 success: true,
                 apiKey: apiKeyData.apiKey,
                 label: apiKeyData.label,
                 creationMethod: creationMethod,
+                ownerCreated: !!ownerSession,
                 timestamp: new Date().toISOString()
             };
             
         } catch (error) {
-            console.error('========================================');
-            console.error('❌ N8N API Management Failed!');
-            console.error('========================================');
-            console.error('💥 Error:', error.message);
-            console.error('📍 Stack:', error.stack);
-            console.error(`🕐 Failed at: ${new Date().toISOString()}`);
-            console.error(`⏱️ Execution time: ${process.uptime().toFixed(1)} seconds`);
-            console.error('========================================');
-            
-            // Try to update error status in Supabase
-            if (this.supabase) {
-                try {
-                    console.log('📝 Recording error in database...');
-                    await this.supabase
-                        .from('launchmvpfast-saas-starterkit_user')
-                        .update({
-                            n8n_setup_error: error.message,
-                            n8n_setup_error_timestamp: new Date().toISOString(),
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', this.userId);
-                    console.log('✅ Error recorded in database');
-                } catch (updateError) {
-                    console.error('⚠️ Failed to record error in database:', updateError.message);
-                }
+            logger.error('========================================');
+            logger.error('❌ N8N API Management Failed!');
+            logger.error('========================================');
+            logger.error('💥 Error:', error.message);
+            logger.error('📍 Stack:', error.stack);
+            logger.error(`🕐 Failed at: ${new Date().toISOString()}`);
+            logger.error(`⏱️ Execution time: ${process.uptime().toFixed(1)} seconds`);
+            logger.error('========================================');
+            
+            // Remove the new key and put the stored values back before recording the error
+            await this.settleFailedRun(journal, error);
+            
+            // Try to record the error status in storage
+            try {
+                logger.info('📝 Recording error in storage...');
+                await this.storage.updateRecord(this.userId, {
+                    setupError: error.message,
+                    setupErrorTimestamp: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                });
+                logger.info('✅ Error recorded in storage');
+            } catch (updateError) {
+                logger.error('⚠️ Failed to record error in storage:', updateError.message);
             }
             
+            await this.sendFailureNotification(error, WebhookNotifier.EVENTS.KEY_CREATION_FAILED);
+            
             throw error;
         }
     }
-}
 
-// Enhanced error handling for unhandled rejections
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('========================================');
-    console.error('🚨 Unhandled Promise Rejection');
-    console.error('========================================');
-    console.error('Promise:', promise);
-    console.error('Reason:', reason);
-    console.error('Stack:', reason?.stack || 'No stack trace available');
-    console.error('========================================');
-    process.exit(1);
-});
+    // Expiry in ms, null when the key never expires; keys stored before expiry tracking fall back
+    // to creation date plus lifetime
+    storedKeyExpiry(storedKeyData) {
+        if (storedKeyData.neverExpires) {
+            return null;
+        }
+        if (storedKeyData.expiresAt) {
+            const expiresAt = new Date(storedKeyData.expiresAt).getTime();
+            return Number.isNaN(expiresAt) ? null : expiresAt;
+        }
+        
+        if (!storedKeyData.createdAt) {
+            return null;
+        }
+        
+        const createdAt = new Date(storedKeyData.createdAt).getTime();
+        if (Number.isNaN(createdAt)) {
+            return null;
+        }
+        
+        return createdAt + this.apiKeyExpiresInDays * 24 * 60 * 60 * 1000;
+    }
+
+    isStoredKeyExpired(storedKeyData) {
+        const expiresAt = this.storedKeyExpiry(storedKeyData);
+        return expiresAt !== null && Date.now() >= expiresAt;
+    }
 
-// Enhanced error handling for uncaught exceptions
-process.on('uncaughtException', (error) => {
-    console.error('========================================');
-    console.error('🚨 Uncaught Exception');
-    console.error('========================================');
-    console.error('Error:', error.message);
-    console.error('Stack:', error.stack);
-    console.error('========================================');
-    process.exit(1);
-});
+    async ensure(options = {}) {
+        logger.info('========================================');
+        logger.info('🔁 N8N API Key Ensure Starting...');
+        logger.info('========================================');
+        logger.info(`🔗 N8N URL: ${this.baseUrl}`);
+        logger.info(`🆔 User ID: ${this.userId}`);
+        logger.info('========================================');
+        
+        // Step 1: Wait for N8N to be ready
+        logger.setStep('readiness');
+        logger.info('1️⃣ Checking N8N readiness...');
+        if (options.skipReadinessCheck) {
+            logger.info('ℹ️ Readiness already confirmed, skipping');
+        } else {
+            await this.waitForN8NReady();
+        }
+        
+        // The stored key is only meaningful once an interrupted run has been settled
+        logger.setStep('recover');
+        await this.recoverInterruptedRun();
+        
+        // Step 2: Decide whether the stored key can be reused
+        logger.setStep('check_stored_key');
+        logger.info('2️⃣ Checking stored API key...');
+        const storedKeyData = await this.retrieveStoredAPIKey();
+        let reason;
+        
+        if (!storedKeyData) {
+            reason = 'missing';
+        } else if (this.isStoredKeyExpired(storedKeyData)) {
+            logger.warn(`⚠️ Stored key ${storedKeyData.label || 'Unlabeled'} expired at ${new Date(this.storedKeyExpiry(storedKeyData)).toISOString()}`);
+            reason = 'expired';
+        } else if (!await this.validateAPIKey(storedKeyData.apiKey)) {
+            reason = 'rejected';
+        }
+        
+        if (!reason) {
+            logger.info('========================================');
+            logger.info('✅ Stored API key is valid, reusing it');
+            logger.info(`📋 Key label: ${storedKeyData.label || 'Unlabeled'}`);
+            logger.info('🛤️ Path taken: reused');
+            logger.info('========================================');
+            
+            return {
+                success: true,
+                path: 'reused',
+                apiKey: storedKeyData.apiKey,
+                label: storedKeyData.label,
+                timestamp: new Date().toISOString()
+            };
+        }
+        
+        // Step 3: Fall through to the regular creation flow
+        logger.info(`3️⃣ Stored API key is ${reason}, creating a new one...`);
+        const result = await this.run({ skipReadinessCheck: true });
+        logger.info(`🛤️ Path taken: created (stored key was ${reason})`);
+        
+        return {
+            ...result,
+            path: 'created',
+            reason: reason
+        };
+    }
+
+    async cleanup(options = {}) {
+        const dryRun = !!options.dryRun;
+        
+        logger.info('========================================');
+        logger.info('🧹 N8N API Key Cleanup Starting...');
+        logger.info('========================================');
+        logger.info(`🔗 N8N URL: ${this.baseUrl}`);
+        logger.info(`🆔 User ID: ${this.userId}`);
+        logger.info(`🧪 Dry run: ${dryRun ? 'yes' : 'no'}`);
+        logger.info('========================================');
+        
+        // Step 1: Find the key that must be kept
+        logger.setStep('load_key');
+        logger.info('1️⃣ Loading current API key...');
+        const storedKeyData = await this.retrieveStoredAPIKey();
+        const keepLabel = storedKeyData ? storedKeyData.label : null;
+        if (!keepLabel) {
+            logger.warn('⚠️ No labelled key in storage, every managed key is treated as orphaned');
+        }
+        
+        // Step 2: List keys in N8N and pick out orphans
+        logger.setStep('list_keys');
+        logger.info('2️⃣ Listing API keys in N8N...');
+        const cookieHeader = await this.createSession();
+        const keys = await this.listAPIKeysViaSession(cookieHeader);
+        const orphans = keys.filter(key => this.isManagedKeyLabel(key.label) && key.label !== keepLabel);
+        
+        logger.info(`📋 ${orphans.length} orphaned key(s) out of ${keys.length} total`);
+        
+        // Step 3: Delete (or report) each orphan
+        logger.setStep('delete_orphans');
+        logger.info(`3️⃣ ${dryRun ? 'Keys that would be deleted' : 'Deleting orphaned keys'}...`);
+        const deleted = [];
+        const failed = [];
+        
+        for (const key of orphans) {
+            if (dryRun) {
+                logger.info(`   • ${key.label} (id: ${key.id}, created: ${key.createdAt || 'N/A'})`);
+                continue;
+            }
+            
+            try {
+                await this.deleteAPIKeyViaSession(cookieHeader, key.id);
+                deleted.push(key.label);
+            } catch (error) {
+                logger.error(`❌ Failed to delete ${key.label}:`, error.message);
+                failed.push(key.label);
+            }
+        }
+        
+        logger.setStep(null);
+        logger.info('========================================');
+        logger.info(dryRun ? '🧪 Dry run completed, nothing was deleted' : '🎉 N8N API Key Cleanup Completed!');
+        logger.info(`✅ Kept: ${keepLabel || 'N/A'}`);
+        logger.info(`🗑️ ${dryRun ? 'Would delete' : 'Deleted'}: ${dryRun ? orphans.length : deleted.length}`);
+        if (failed.length > 0) {
+            logger.info(`❌ Failed: ${failed.length}`);
+        }
+        logger.info('========================================');
+        
+        return {
+            success: failed.length === 0,
+            dryRun: dryRun,
+            kept: keepLabel,
+            orphans: orphans.map(key => key.label),
+            deleted: deleted,
+            failed: failed,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Revokes the stored key and clears it from storage, or only the key named by options.label
+    async revoke(options = {}) {
+        const dryRun = !!options.dryRun;
+        
+        logger.info('========================================');
+        logger.info('🚫 N8N API Key Revocation Starting...');
+        logger.info('========================================');
+        logger.info(`🔗 N8N URL: ${this.baseUrl}`);
+        logger.info(`🆔 User ID: ${this.userId}`);
+        logger.info(`🧪 Dry run: ${dryRun ? 'yes' : 'no'}`);
+        logger.info('========================================');
+        
+        // Step 1: Work out which key is meant
+        logger.setStep('load_key');
+        logger.info('1️⃣ Loading current API key...');
+        const storedKeyData = await this.retrieveStoredAPIKey();
+        const label = options.label || (storedKeyData ? storedKeyData.label : null);
+        if (!label) {
+            throw new Error(storedKeyData ? 'Stored key has no label, it cannot be located for revocation' : 'No stored API key to revoke');
+        }
+        const isStored = !!storedKeyData && storedKeyData.label === label;
+        
+        const capabilities = await this.detectCapabilities();
+        if (capabilities.apiKeys.labelled === false) {
+            throw new Error(`N8N ${capabilities.version} keeps a single key per user; revoke it in the editor`);
+        }
+        
+        if (dryRun) {
+            logger.setStep(null);
+            logger.info(`🧪 Would revoke ${label}${isStored ? ' and clear it from storage' : ''}`);
+            return { success: true, dryRun: true, label: label, cleared: false, timestamp: new Date().toISOString() };
+        }
+        
+        // Step 2: Delete the key in N8N
+        logger.setStep('revoke_key');
+        logger.info(`2️⃣ Revoking ${label}...`);
+        const revoked = await this.revokeAPIKeyByLabel(label);
+        
+        // Step 3: Forget a revoked stored key so ensure creates a new one
+        if (isStored) {
+            logger.setStep('clear_stored_key');
+            logger.info('3️⃣ Clearing stored key...');
+            await this.storage.updateRecord(this.userId, {
+                apiKey: null,
+                apiKeyLabel: null,
+                apiKeyCreatedAt: null,
+                apiKeyExpiresAt: null,
+                updatedAt: new Date().toISOString()
+            });
+        }
+        
+        logger.setStep(null);
+        logger.info('========================================');
+        logger.info('🎉 N8N API Key Revocation Completed!');
+        logger.info(`✅ Key: ${label} (${revoked ? 'revoked' : 'not found in N8N'})`);
+        logger.info(`💾 Storage: ${isStored ? 'cleared' : 'unchanged'}`);
+        logger.info('========================================');
+        
+        return {
+            success: true,
+            label: label,
+            revoked: revoked,
+            cleared: isStored,
+            timestamp: new Date().toISOString()
+        };
+    }
 
-// Graceful shutdown handling
-process.on('SIGTERM', () => {
-    console.log('📡 Received SIGTERM signal, shutting down gracefully...');
-    process.exit(0);
-});
+    // options.renewal marks a scheduled renewal so webhooks report api_key.renewed / renewal_failed
+    async rotate(options = {}) {
+        const successEvent = options.renewal ? WebhookNotifier.EVENTS.KEY_RENEWED : WebhookNotifier.EVENTS.KEY_ROTATED;
+        const failureEvent = options.renewal ? WebhookNotifier.EVENTS.KEY_RENEWAL_FAILED : WebhookNotifier.EVENTS.KEY_ROTATION_FAILED;
+        
+        logger.info('========================================');
+        logger.info(options.renewal ? '🔄 N8N API Key Renewal Starting...' : '🔄 N8N API Key Rotation Starting...');
+        logger.info('========================================');
+        logger.info(`🔗 N8N URL: ${this.baseUrl}`);
+        logger.info(`🆔 User ID: ${this.userId}`);
+        logger.info(`⏳ Grace period: ${this.rotationGracePeriod / 1000} seconds`);
+        logger.info('========================================');
+        
+        const journal = new ProvisioningJournal({ dir: this.journalDir, userId: this.userId });
+        
+        try {
+            // Step 1: Wait for N8N to be ready
+            logger.setStep('readiness');
+            logger.info('1️⃣ Checking N8N readiness...');
+            await this.waitForN8NReady();
+            
+            logger.setStep('recover');
+            await this.recoverInterruptedRun();
+            
+            // Step 2: Load the key that is about to be replaced
+            logger.setStep('load_key');
+            logger.info('2️⃣ Loading current API key...');
+            const previousKeyData = await this.retrieveStoredAPIKey();
+            if (!previousKeyData) {
+                logger.info('ℹ️ No existing key to rotate, a new key will be created');
+            }
+            
+            // Step 3: Create and validate the replacement key
+            logger.setStep('create_key');
+            logger.info('3️⃣ Creating replacement API key...');
+            journal.begin(options.renewal ? 'renew' : 'rotate');
+            const apiKeyData = await this.createAPIKeyJournaled(journal, () => this.createAPIKeyViaSession());
+            
+            const isValid = await this.validateAPIKey(apiKeyData.apiKey);
+            if (!isValid) {
+                throw new Error('Replacement API key failed validation tests');
+            }
+            
+            // Step 4: Store the new key so consumers pick it up
+            logger.setStep('store_key');
+            logger.info('4️⃣ Storing replacement key...');
+            await this.storeAPIKeyJournaled(journal, apiKeyData, previousKeyData);
+            
+            // Step 5: Keep the old key alive, then revoke it
+            logger.setStep('revoke_old_key');
+            let previousKeyRevoked = false;
+            if (previousKeyData) {
+                logger.info('5️⃣ Revoking old key...');
+                previousKeyRevoked = await this.revokeReplacedKey(journal, previousKeyData);
+            }
+            
+            // Step 6: Record the rotation
+            logger.setStep('record_rotation');
+            logger.info('6️⃣ Recording rotation...');
+            await this.recordRotation(previousKeyData, previousKeyRevoked);
+            journal.finish('committed');
+            await this.sendWebhookNotification(apiKeyData, successEvent, {
+                previousApiKeyLabel: previousKeyData ? previousKeyData.label : null,
+                previousApiKeyRevoked: previousKeyRevoked
+            });
+            logger.setStep(null);
+            
+            logger.info('========================================');
+            logger.info('🎉 N8N API Key Rotation Completed Successfully!');
+            logger.info('========================================');
+            logger.info(`✅ New Key: ${apiKeyData.label}`);
+            logger.info(`✅ Old Key: ${previousKeyData ? previousKeyData.label : 'N/A'} (${previousKeyRevoked ? 'revoked' : 'not revoked'})`);
+            logger.info('========================================');
+            
+            return {
+                success: true,
+                apiKey: apiKeyData.apiKey,
+                label: apiKeyData.label,
+                expiresAt: apiKeyData.expiresAt,
+                previousLabel: previousKeyData ? previousKeyData.label : null,
+                previousKeyRevoked: previousKeyRevoked,
+                timestamp: new Date().toISOString()
+            };
+            
+        } catch (error) {
+            logger.error('========================================');
+            logger.error('❌ N8N API Key Rotation Failed!');
+            logger.error('========================================');
+            logger.error('💥 Error:', error.message);
+            logger.error('========================================');
+            
+            await this.settleFailedRun(journal, error);
+            
+            await this.sendFailureNotification(error, failureEvent, options.renewal ? { previousApiKeyExpiresAt: options.expiresAt || null } : {});
+            throw error;
+        }
+    }
+}
 
-process.on('SIGINT', () => {
-    console.log('📡 Received SIGINT signal, shutting down gracefully...');
-    process.exit(0);
-});
+// Process-wide handlers for one-shot entry points. They call process.exit, so they are
+// installed when a script runs directly and never when the module is only required, as by the
+// long-running server.
+function installProcessHandlers() {
+    // Enhanced error handling for unhandled rejections
+    process.on('unhandledRejection', (reason, promise) => {
+        logger.error('========================================');
+        logger.error('🚨 Unhandled Promise Rejection');
+        logger.error('========================================');
+        logger.error('Promise:', promise);
+        logger.error('Reason:', reason);
+        logger.error('Stack:', reason?.stack || 'No stack trace available');
+        logger.error('========================================');
+        process.exit(1);
+    });
+    
+    // Enhanced error handling for uncaught exceptions
+    process.on('uncaughtException', (error) => {
+        logger.error('========================================');
+        logger.error('🚨 Uncaught Exception');
+        logger.error('========================================');
+        logger.error('Error:', error.message);
+        logger.error('Stack:', error.stack);
+        logger.error('========================================');
+        process.exit(1);
+    });
+    
+    // Shutdown handling: a run stopped mid-way stays in the provisioning journal, marked with the
+    // signal, and is settled by the next start. The exit code (128 + signal number) tells the
+    // orchestrator the run did not finish.
+    const shutdown = (signal, exitCode) => {
+        logger.info(`📡 Received ${signal} signal, shutting down...`);
+        const interrupted = ProvisioningJournal.markInterrupted(signal);
+        if (interrupted > 0) {
+            logger.info(`🧾 ${interrupted} unfinished run(s) left in the journal, the next start settles them`);
+        }
+        process.exit(exitCode);
+    };
+    
+    process.on('SIGTERM', () => shutdown('SIGTERM', 143));
+    process.on('SIGINT', () => shutdown('SIGINT', 130));
+}
 
 // Main execution function
 async function main() {
     const startTime = Date.now();
     
     try {
-        console.log('🏁 Starting N8N API Manager process...');
-        const manager = new N8NAPIManager();
-        const result = await manager.run();
+        const mode = process.argv[2] || 'create';
+        const dryRun = process.argv.includes('--dry-run');
+        logger.info(`🏁 Starting N8N API Manager process (mode: ${mode})...`);
+        const manager = new N8NAPIManager({ settings: Config.loadForProcess({ required: false }) });
+        
+        let result;
+        if (mode === 'create') {
+            result = await manager.run();
+        } else if (mode === 'ensure') {
+            result = await manager.ensure();
+        } else if (mode === 'rotate') {
+            result = await manager.rotate();
+        } else if (mode === 'cleanup') {
+            result = await manager.cleanup({ dryRun });
+        } else if (mode === 'wait') {
+            // Readiness only, for setup-api.sh to gate its own checks on
+            await manager.waitForN8NReady();
+            result = { success: true };
+        } else if (mode === 'recover') {
+            // Settle an interrupted run without starting a new one
+            await manager.waitForN8NReady();
+            result = { success: true, path: await manager.recoverInterruptedRun() || 'nothing to recover' };
+        } else {
+            throw new Error(`Unknown mode: ${mode} (expected create, ensure, rotate, cleanup, wait or recover)`);
+        }
+        
+        if (!result.success) {
+            throw new Error(`${mode} finished with errors`);
+        }
         
         const endTime = Date.now();
         const executionTime = ((endTime - startTime) / 1000).toFixed(2);
         
-        console.log(`🎯 Process completed successfully in ${executionTime} seconds`);
-        console.log('📊 Result:', {
+        logger.info(`🎯 Process completed successfully in ${executionTime} seconds`);
+        logger.info('📊 Result:', {
             success: result.success,
-            method: result.creationMethod,
+            method: result.creationMethod || mode,
+            path: result.path,
             keyLabel: result.label,
             timestamp: result.timestamp
         });
@@ -1164,26 +2106,30 @@ async function main() {
         const endTime = Date.now();
         const executionTime = ((endTime - startTime) / 1000).toFixed(2);
         
-        console.error(`💥 Process failed after ${executionTime} seconds:`, error.message);
+        logger.error(`💥 Process failed after ${executionTime} seconds:`, error.message);
         
         // Provide troubleshooting information
-        console.error('');
-        console.error('🔧 Troubleshooting steps:');
-        console.error('1. Verify all environment variables are set correctly');
-        console.error('2. Check N8N instance is running and accessible');
-        console.error('3. Verify user credentials are valid');
-        console.error('4. Check network connectivity');
-        console.error('5. Review Supabase permissions and schema');
-        console.error('');
+        logger.error('');
+        logger.error('🔧 Troubleshooting steps:');
+        logger.error('1. Verify all environment variables are set correctly');
+        logger.error('2. Check N8N instance is running and accessible');
+        logger.error('3. Verify user credentials are valid');
+        logger.error('4. Check network connectivity');
+        logger.error('5. Review storage backend permissions and schema');
+        logger.error('');
         
         process.exit(1);
     }
 }
 
+N8NAPIManager.installProcessHandlers = installProcessHandlers;
+
 // Export for testing
 module.exports = N8NAPIManager;
 
 // Run if this file is executed directly
 if (require.main === module) {
-    main();
+    logger.install();
+    installProcessHandlers();
+    logger.runWithContext({ userId: process.env.USER_ID }, main);
 }
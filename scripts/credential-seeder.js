@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const N8NAPIManager = require('./create-api-key');
+const N8NPublicAPIClient = require('./n8n-public-api');
+const Config = require('./config');
+const SecretReference = require('./secret-reference');
+const logger = require('./logger');
+
+// Besides env: and file:, manifest values may read secret:field from the tenant's record
+const MANIFEST_SOURCES = ['secret'];
+
+class CredentialSeeder {
+    constructor(config = {}) {
+        // The manager provides the session, storage backend and N8N URL of the tenant
+        this.manager = config.manager || new N8NAPIManager({ settings: config.settings });
+        
+        this.manifestPath = config.manifestPath || this.manager.settings.get('credentials.manifest');
+        if (!this.manifestPath) {
+            throw new Error('Missing credentials manifest: set CREDENTIALS_MANIFEST');
+        }
+        
+        this.dryRun = !!config.dryRun;
+    }
+
+    // Manifest: { credentials: [{ name, type, data }] } as YAML or JSON
+    static loadManifest(manifestPath) {
+        let parsed;
+        try {
+            const content = fs.readFileSync(manifestPath, 'utf8');
+            parsed = path.extname(manifestPath).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+        } catch (error) {
+            throw new Error(`Failed to read credentials manifest ${manifestPath}: ${error.message}`);
+        }
+        
+        const credentials = parsed && parsed.credentials;
+        if (!Array.isArray(credentials)) {
+            throw new Error(`Credentials manifest ${manifestPath} must contain a "credentials" list`);
+        }
+        
+        const names = new Set();
+        credentials.forEach((credential, index) => {
+            if (!credential || typeof credential.name !== 'string' || typeof credential.type !== 'string') {
+                throw new Error(`Credential ${index + 1} in ${manifestPath} needs a name and a type`);
+            }
+            if (!credential.data || typeof credential.data !== 'object' || Array.isArray(credential.data)) {
+                throw new Error(`Credential "${credential.name}" needs a data object`);
+            }
+            if (names.has(credential.name)) {
+                throw new Error(`Credential name "${credential.name}" appears more than once; names identify credentials in N8N`);
+            }
+            names.add(credential.name);
+        });
+        
+        return credentials;
+    }
+
+    // Collects every reference so all missing values are reported at once
+    static collectReferences(value, found = []) {
+        if (typeof value === 'string') {
+            const reference = SecretReference.parse(value, MANIFEST_SOURCES);
+            if (reference) {
+                found.push({ ...reference, value: value });
+            }
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(item => CredentialSeeder.collectReferences(item, found));
+        }
+        return found;
+    }
+
+    static substitute(value, values) {
+        if (typeof value === 'string') {
+            return SecretReference.isReference(value, MANIFEST_SOURCES) ? values[value] : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => CredentialSeeder.substitute(item, values));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, CredentialSeeder.substitute(item, values)]));
+        }
+        return value;
+    }
+
+    // env: and file: resolve like any other reference; secret:field reads the tenant's record in the
+    // storage backend, decrypted when the field holds an encryption envelope
+    async resolve(credentials) {
+        const references = credentials.flatMap(credential => CredentialSeeder.collectReferences(credential.data));
+        const secretFields = [...new Set(references.filter(ref => ref.source === 'secret').map(ref => ref.name))];
+        
+        let record = {};
+        if (secretFields.length > 0) {
+            logger.info(`🔐 Reading ${secretFields.length} secret(s) from ${this.manager.storage.describe()}...`);
+            record = await this.manager.storage.getRecord(this.manager.userId, secretFields) || {};
+        }
+        const sources = {
+            secret: field => this.manager.keyEncryption.decrypt(record[field])
+        };
+        
+        const values = {};
+        const problems = [];
+        for (const ref of references) {
+            if (ref.value in values || problems.some(problem => problem.startsWith(`${ref.value} `))) {
+                continue;
+            }
+            try {
+                const value = SecretReference.resolve(ref.value, { sources: sources });
+                if (value === undefined || value === null || value === '') {
+                    throw new Error('is not set');
+                }
+                logger.addSecret(String(value));
+                values[ref.value] = value;
+            } catch (error) {
+                problems.push(`${ref.value} ${error.message}`);
+            }
+        }
+        
+        if (problems.length > 0) {
+            throw new Error(`Credentials manifest references values that cannot be resolved: ${problems.join('; ')}`);
+        }
+        
+        return credentials.map(credential => ({
+            name: credential.name,
+            type: credential.type,
+            data: CredentialSeeder.substitute(credential.data, values)
+        }));
+    }
+
+    async updateCredential(cookieHeader, id, credential) {
+        // The PATCH replaces the credential wholesale, so resending it is safe
+        const response = await this.manager.http.request('n8n', {
+            method: 'patch',
+            url: `${this.manager.baseUrl}/rest/credentials/${encodeURIComponent(id)}`,
+            data: credential,
+            timeout: this.manager.defaultTimeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'Cookie': cookieHeader,
+                'Accept': 'application/json',
+                'User-Agent': 'N8N-API-Manager/1.0'
+            },
+            validateStatus: () => true
+        }, { idempotent: true });
+        
+        if (response.status !== 200) {
+            throw new Error(`Updating credential "${credential.name}" failed with status ${response.status}: ${response.data?.message || 'no message'}`);
+        }
+    }
+
+    async apply(apiKey) {
+        logger.info('========================================');
+        logger.info('🌱 Seeding N8N credentials...');
+        logger.info('========================================');
+        logger.info(`📄 Manifest: ${this.manifestPath}`);
+        logger.info(`🔗 N8N URL: ${this.manager.baseUrl}`);
+        if (this.dryRun) {
+            logger.info('🧪 Dry run: no credentials will be changed');
+        }
+        logger.info('========================================');
+        
+        const credentials = await this.resolve(CredentialSeeder.loadManifest(this.manifestPath));
+        
+        const capabilities = await this.manager.detectCapabilities();
+        const client = new N8NPublicAPIClient({
+            baseUrl: this.manager.baseUrl,
+            apiKey: apiKey,
+            apiPath: capabilities.detected ? capabilities.publicApi.path : undefined,
+            httpClient: this.manager.http
+        });
+        const cookieHeader = await this.manager.createSession();
+        const existing = new Map((await this.manager.listCredentialsViaSession(cookieHeader)).map(credential => [credential.name, credential]));
+        
+        const results = [];
+        for (const credential of credentials) {
+            const current = existing.get(credential.name);
+            
+            try {
+                if (current && current.type !== credential.type) {
+                    throw new Error(`exists with type ${current.type}, manifest says ${credential.type}`);
+                }
+                
+                if (this.dryRun) {
+                    logger.info(`🧪 Would ${current ? 'update' : 'create'} ${credential.name} (${credential.type})`);
+                    results.push({ name: credential.name, status: current ? 'would-update' : 'would-create' });
+                } else if (current) {
+                    // Updating in place keeps the id that workflows reference
+                    await this.updateCredential(cookieHeader, current.id, credential);
+                    logger.info(`🔁 Updated ${credential.name} (${credential.type})`);
+                    results.push({ name: credential.name, status: 'updated', id: current.id });
+                } else {
+                    const created = await client.createCredential(credential);
+                    logger.info(`🆕 Created ${credential.name} (${credential.type})`);
+                    results.push({ name: credential.name, status: 'created', id: created?.id });
+                }
+            } catch (error) {
+                logger.error(`❌ Credential ${credential.name} failed: ${error.message}`);
+                results.push({ name: credential.name, status: 'failed', error: error.message });
+            }
+        }
+        
+        const count = status => results.filter(r => r.status === status).length;
+        const summary = {
+            total: results.length,
+            created: count('created') + count('would-create'),
+            updated: count('updated') + count('would-update'),
+            failed: count('failed')
+        };
+        
+        logger.info('========================================');
+        logger.info(`📊 Credentials: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`);
+        logger.info('========================================');
+        
+        return {
+            success: summary.failed === 0,
+            summary: summary,
+            results: results,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+// Main execution: node scripts/credential-seeder.js [--dry-run], using the stored API key
+async function main() {
+    try {
+        const seeder = new CredentialSeeder({ dryRun: process.argv.includes('--dry-run'), settings: Config.loadForProcess({ required: false }) });
+        const storedKeyData = await seeder.manager.retrieveStoredAPIKey();
+        if (!storedKeyData) {
+            throw new Error('No stored API key; run the manager first');
+        }
+        
+        const result = await seeder.apply(storedKeyData.apiKey);
+        process.exit(result.success ? 0 : 1);
+    } catch (error) {
+        logger.error('💥 Credential seeding failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    logger.install();
+    logger.runWithContext({ userId: process.env.USER_ID }, main);
+}
+
+module.exports = CredentialSeeder;
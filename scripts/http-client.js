@@ -0,0 +1,344 @@
+const axios = require('axios');
+const Config = require('./config');
+const logger = require('./logger');
+
+// Retry policy per operation. The http.retryPolicies setting (HTTP_RETRY_POLICIES, JSON keyed by
+// operation) overrides any field, e.g. {"n8n":{"attempts":5},"webhook":{"deadlineMs":120000}}
+//   attempts    - tries including the first one
+//   baseDelayMs - backoff ceiling before the second try, doubled per attempt up to maxDelayMs (full jitter)
+//   deadlineMs  - budget for all tries together; no retry is started that would end past it
+//   timeoutMs   - per-try timeout when the caller does not set one
+//   retryOn     - response statuses worth retrying ('5xx' matches any); network errors always are
+//   circuit     - whether calls go through the per-host circuit breaker
+const DEFAULT_POLICIES = {
+    default: {
+        attempts: 3, baseDelayMs: 500, maxDelayMs: 5000, deadlineMs: 60000, timeoutMs: 30000,
+        retryOn: [408, 429, 500, 502, 503, 504], circuit: true
+    },
+    // Polling a starting instance: long budget, and the breaker must not stop it
+    readiness: {
+        attempts: 45, baseDelayMs: 5000, maxDelayMs: 20000, deadlineMs: 900000, timeoutMs: 15000,
+        retryOn: [404, 408, 429, 500, 502, 503, 504], circuit: false
+    },
+    n8n: {
+        attempts: 3, baseDelayMs: 1000, maxDelayMs: 10000, deadlineMs: 120000, timeoutMs: 30000,
+        retryOn: [408, 429, 500, 502, 503, 504], circuit: true
+    },
+    storage: {
+        attempts: 4, baseDelayMs: 500, maxDelayMs: 8000, deadlineMs: 60000, timeoutMs: 30000,
+        retryOn: [408, 429, 500, 502, 503, 504], circuit: true
+    },
+    webhook: {
+        attempts: 5, baseDelayMs: 1000, maxDelayMs: 60000, deadlineMs: 300000, timeoutMs: 30000,
+        retryOn: [408, 429, '5xx'], circuit: true
+    }
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Failures where the request provably never reached the handler, so even a create can be resent
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+const UNPROCESSED_STATUSES = [408, 429, 503];
+
+class CircuitOpenError extends Error {
+    constructor(origin, retryInMs) {
+        super(`Circuit open for ${origin}; retry in ${Math.ceil(retryInMs / 1000)}s`);
+        this.name = 'CircuitOpenError';
+        this.code = 'ECIRCUITOPEN';
+        this.origin = origin;
+    }
+}
+
+class CircuitBreaker {
+    constructor(origin, options = {}) {
+        this.origin = origin;
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetMs = options.resetMs || 30000;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = false;
+    }
+
+    // Throws while open; after resetMs a single probe is let through (half-open)
+    allow() {
+        if (this.state === 'closed') {
+            return;
+        }
+        
+        const waited = Date.now() - this.openedAt;
+        if (this.state === 'open' && waited >= this.resetMs) {
+            this.state = 'half-open';
+            this.probing = false;
+        }
+        
+        if (this.state === 'half-open' && !this.probing) {
+            this.probing = true;
+            return;
+        }
+        
+        throw new CircuitOpenError(this.origin, Math.max(this.resetMs - waited, 0));
+    }
+
+    success() {
+        if (this.state !== 'closed') {
+            logger.info(`✅ Circuit closed for ${this.origin}`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.probing = false;
+    }
+
+    failure() {
+        this.failures++;
+        this.probing = false;
+        
+        if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+            logger.info(`⛔ Circuit opened for ${this.origin} after ${this.failures} consecutive failure(s); failing fast for ${this.resetMs / 1000}s`);
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+class HttpClient {
+    constructor(config = {}) {
+        const settings = config.settings || Config.load({ required: false });
+        this.policies = HttpClient.resolvePolicies(settings, config.policies);
+        this.circuit = {
+            failureThreshold: config.failureThreshold || settings.get('http.circuitFailureThreshold'),
+            resetMs: config.resetMs || settings.get('http.circuitResetMs')
+        };
+        // One breaker per origin, owned by this client: a manager's client only fails fast for
+        // its own tenant, never for every instance the process serves
+        this.breakers = config.breakers || new Map();
+    }
+
+    // Defaults, then the webhook-specific settings, then http.retryPolicies, then explicit config
+    static resolvePolicies(settings, overrides = {}) {
+        const fromSettings = settings.get('http.retryPolicies') || {};
+        
+        const webhook = {};
+        if (settings.get('webhook.maxAttempts') !== null) {
+            webhook.attempts = settings.get('webhook.maxAttempts');
+        }
+        if (settings.get('webhook.retryBaseMs') !== null) {
+            webhook.baseDelayMs = settings.get('webhook.retryBaseMs');
+        }
+        
+        const names = new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(fromSettings), ...Object.keys(overrides)]);
+        const policies = {};
+        for (const name of names) {
+            policies[name] = {
+                ...DEFAULT_POLICIES.default,
+                ...DEFAULT_POLICIES[name],
+                ...(name === 'webhook' ? webhook : {}),
+                ...fromSettings[name],
+                ...overrides[name]
+            };
+        }
+        return policies;
+    }
+
+    policy(operation) {
+        return this.policies[operation] || this.policies.default;
+    }
+
+    breaker(url) {
+        const origin = new URL(url).origin;
+        if (!this.breakers.has(origin)) {
+            this.breakers.set(origin, new CircuitBreaker(origin, this.circuit));
+        }
+        return this.breakers.get(origin);
+    }
+
+    backoff(policy, attempt) {
+        const ceiling = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    shouldRetryStatus(policy, status) {
+        return policy.retryOn.some(entry => entry === status || (entry === '5xx' && status >= 500));
+    }
+
+    // Whether the failed try certainly did not change anything on the server
+    isUnprocessed(outcome) {
+        if (outcome.response) {
+            return UNPROCESSED_STATUSES.includes(outcome.response.status);
+        }
+        const code = outcome.error.code || outcome.error.cause?.code;
+        return UNSENT_ERROR_CODES.includes(code);
+    }
+
+    // Only signs that the host is unhealthy count toward opening its circuit; a 4xx (a rejected
+    // login, a missing resource) says nothing about the host, whether returned or thrown
+    isHostFailure(outcome) {
+        const status = outcome.response
+            ? outcome.response.status
+            : outcome.error.response?.status ?? outcome.error.status;
+        if (status) {
+            return status >= 500;
+        }
+        return outcome.error.retryable !== false;
+    }
+
+    describe(outcome) {
+        return outcome.response ? `HTTP ${outcome.response.status}` : outcome.error.message;
+    }
+
+    // Core loop shared by request(), fetch() and retry(). send(attempt, timeoutMs) performs one try;
+    // statusOf maps its result to an HTTP status (or null when the result is not a response).
+    async execute(operation, target, send, options = {}) {
+        const policy = this.policy(operation);
+        const breaker = target && policy.circuit ? this.breaker(target) : null;
+        const idempotent = options.idempotent !== false;
+        const statusOf = options.statusOf || (() => null);
+        const label = options.label || operation;
+        const startedAt = Date.now();
+        
+        for (let attempt = 1; ; attempt++) {
+            const remaining = policy.deadlineMs - (Date.now() - startedAt);
+            let outcome;
+            
+            try {
+                if (breaker) {
+                    breaker.allow();
+                }
+                const result = await send(attempt, Math.max(Math.min(options.timeout || policy.timeoutMs, remaining), 1000));
+                const status = statusOf(result);
+                outcome = { result, response: status === null ? null : { status } };
+            } catch (error) {
+                outcome = { error };
+            }
+            
+            if (breaker && !(outcome.error instanceof CircuitOpenError)) {
+                if (this.isHostFailure(outcome)) {
+                    breaker.failure();
+                } else {
+                    breaker.success();
+                }
+            }
+            
+            const retryable = outcome.error
+                ? !(outcome.error instanceof CircuitOpenError) && outcome.error.retryable !== false
+                : !!outcome.response && this.shouldRetryStatus(policy, outcome.response.status);
+            
+            if (retryable && attempt < policy.attempts && await this.mayResend(outcome, idempotent, options, label)) {
+                const delay = this.backoff(policy, attempt);
+                if (Date.now() - startedAt + delay < policy.deadlineMs) {
+                    if (options.discard && outcome.result) {
+                        await options.discard(outcome.result);
+                    }
+                    logger.info(`🔁 ${label} failed (${this.describe(outcome)}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt}/${policy.attempts})`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    continue;
+                }
+                logger.info(`⌛ ${label}: retry deadline of ${policy.deadlineMs / 1000}s reached after ${attempt} attempt(s)`);
+            }
+            
+            if (outcome.error) {
+                outcome.error.attempts = attempt;
+                throw outcome.error;
+            }
+            return { result: outcome.result, attempts: attempt };
+        }
+    }
+
+    // Creates are only resent when the failed try never ran, or when reconcile() cleaned up after it
+    async mayResend(outcome, idempotent, options, label) {
+        if (idempotent || this.isUnprocessed(outcome)) {
+            return true;
+        }
+        if (!options.reconcile) {
+            logger.warn(`⚠️ ${label} is not idempotent and may have been applied; not retrying`);
+            return false;
+        }
+        
+        try {
+            return !!(await options.reconcile(outcome.error || outcome.response));
+        } catch (error) {
+            logger.warn(`⚠️ ${label}: could not reconcile before retrying: ${error.message}`);
+            return false;
+        }
+    }
+
+    // axios request with retries. config may be a function of the attempt number so headers such as
+    // signatures can be rebuilt per try. Options:
+    //   idempotent - override the method default (GET/PUT/DELETE are, POST/PATCH are not)
+    //   reconcile  - async (failure) => boolean, called before resending a non-idempotent request
+    async request(operation, config, options = {}) {
+        const build = typeof config === 'function' ? config : () => config;
+        const first = build(1);
+        const method = (first.method || 'get').toLowerCase();
+        const validateStatus = first.validateStatus || (status => status >= 200 && status < 300);
+        const path = new URL(first.url).pathname;
+        
+        const { result: response, attempts } = await this.execute(operation, first.url, (attempt, timeout) => {
+            const attemptConfig = attempt === 1 ? first : build(attempt);
+            return axios.request({ ...attemptConfig, timeout: timeout, validateStatus: () => true });
+        }, {
+            idempotent: options.idempotent ?? IDEMPOTENT_METHODS.includes(method),
+            reconcile: options.reconcile,
+            label: options.label || `${method.toUpperCase()} ${path}`,
+            statusOf: response => response.status,
+            timeout: first.timeout
+        });
+        
+        response.attempts = attempts;
+        if (!validateStatus(response.status)) {
+            const error = new axios.AxiosError(
+                `Request failed with status code ${response.status}`,
+                response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+                response.config,
+                response.request,
+                response
+            );
+            error.attempts = attempts;
+            throw error;
+        }
+        return response;
+    }
+
+    get(operation, url, config = {}, options = {}) {
+        return this.request(operation, { ...config, method: 'get', url: url }, options);
+    }
+
+    post(operation, url, data, config = {}, options = {}) {
+        return this.request(operation, { ...config, method: 'post', url: url, data: data }, options);
+    }
+
+    delete(operation, url, config = {}, options = {}) {
+        return this.request(operation, { ...config, method: 'delete', url: url }, options);
+    }
+
+    // fetch-compatible function for libraries that take one (supabase-js global.fetch)
+    fetch(operation, options = {}) {
+        return async (input, init = {}) => {
+            const url = typeof input === 'string' ? input : input.url || input.href;
+            const method = (init.method || input.method || 'GET').toUpperCase();
+            const { result } = await this.execute(operation, url, (attempt, timeout) => {
+                return fetch(input, { ...init, signal: init.signal || AbortSignal.timeout(timeout) });
+            }, {
+                idempotent: options.idempotent ?? IDEMPOTENT_METHODS.includes(method.toLowerCase()),
+                label: `${method} ${new URL(url).pathname}`,
+                statusOf: response => response.status,
+                // Unread bodies of retried responses would hold their connection open
+                discard: response => response.body?.cancel()
+            });
+            return result;
+        };
+    }
+
+    // Retries any async function under a policy; fn throws to ask for another try
+    // (errors with retryable === false end the loop at once)
+    async retry(operation, fn, options = {}) {
+        const { result } = await this.execute(operation, options.url || null, fn, options);
+        return result;
+    }
+}
+
+HttpClient.DEFAULT_POLICIES = DEFAULT_POLICIES;
+HttpClient.CircuitBreaker = CircuitBreaker;
+HttpClient.CircuitOpenError = CircuitOpenError;
+
+module.exports = HttpClient;
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const N8NAPIManager = require('./create-api-key');
+const N8NPublicAPIClient = require('./n8n-public-api');
+const WorkflowDeployer = require('./workflow-deployer');
+const Config = require('./config');
+const logger = require('./logger');
+
+// Bumped when the layout of a backup changes
+const BACKUP_FORMAT = 1;
+
+// Credential fields safe to export; the data itself never leaves N8N
+const CREDENTIAL_FIELDS = ['id', 'name', 'type', 'createdAt', 'updatedAt'];
+
+class InstanceBackup {
+    constructor(config = {}) {
+        // The manager provides the stored key, session and N8N URL of the instance
+        this.manager = config.manager || new N8NAPIManager({ settings: config.settings });
+        this.backupDir = config.backupDir || this.manager.settings.get('backup.dir');
+        this.dryRun = !!config.dryRun;
+    }
+
+    async client() {
+        const storedKeyData = await this.manager.retrieveStoredAPIKey();
+        if (!storedKeyData) {
+            throw new Error(`No stored API key for ${this.manager.userId}; run the manager first`);
+        }
+        
+        const capabilities = await this.manager.detectCapabilities();
+        // One login serves every session call of an export or restore
+        const session = await this.manager.createSession();
+        return {
+            apiKey: storedKeyData.apiKey,
+            capabilities: capabilities,
+            session: session,
+            client: new N8NPublicAPIClient({
+                baseUrl: this.manager.baseUrl,
+                apiKey: storedKeyData.apiKey,
+                apiPath: capabilities.detected ? capabilities.publicApi.path : undefined,
+                httpClient: this.manager.http
+            })
+        };
+    }
+
+    // Writes <backupDir>/<userId>-<timestamp>/ and optionally packs it into a .tar.gz
+    async export(options = {}) {
+        logger.info('========================================');
+        logger.info('🗄️ N8N Instance Export Starting...');
+        logger.info('========================================');
+        logger.info(`🔗 N8N URL: ${this.manager.baseUrl}`);
+        logger.info(`🆔 User ID: ${this.manager.userId}`);
+        logger.info('========================================');
+        
+        const { client, capabilities, session } = await this.client();
+        
+        logger.info('📥 Downloading workflows...');
+        const workflows = await client.listWorkflows();
+        logger.info('📥 Downloading tags...');
+        const tags = await client.listTags();
+        logger.info('📥 Downloading credential metadata...');
+        const credentials = (await this.manager.listCredentialsViaSession(session))
+            .map(credential => Object.fromEntries(CREDENTIAL_FIELDS.map(field => [field, credential[field]])));
+        
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const target = path.join(this.backupDir, `${this.manager.userId}-${stamp}`);
+        fs.mkdirSync(path.join(target, 'workflows'), { recursive: true, mode: 0o700 });
+        
+        for (const workflow of workflows) {
+            fs.writeFileSync(path.join(target, 'workflows', `${workflow.id}.json`), JSON.stringify(workflow, null, 2), { mode: 0o600 });
+        }
+        fs.writeFileSync(path.join(target, 'tags.json'), JSON.stringify(tags, null, 2), { mode: 0o600 });
+        fs.writeFileSync(path.join(target, 'credentials.json'), JSON.stringify(credentials, null, 2), { mode: 0o600 });
+        
+        const manifest = {
+            format: BACKUP_FORMAT,
+            createdAt: new Date().toISOString(),
+            n8nUrl: this.manager.baseUrl,
+            n8nVersion: capabilities.version,
+            userId: this.manager.userId,
+            counts: {
+                workflows: workflows.length,
+                tags: tags.length,
+                credentials: credentials.length
+            }
+        };
+        fs.writeFileSync(path.join(target, 'manifest.json'), JSON.stringify(manifest, null, 2), { mode: 0o600 });
+        
+        let output = target;
+        if (options.tarball) {
+            output = `${target}.tar.gz`;
+            execFileSync('tar', ['-czf', output, '-C', path.dirname(target), path.basename(target)]);
+            fs.rmSync(target, { recursive: true, force: true });
+        }
+        
+        logger.info('========================================');
+        logger.info('✅ Export completed');
+        logger.info(`📦 Output: ${output}`);
+        logger.info(`📊 ${workflows.length} workflow(s), ${tags.length} tag(s), ${credentials.length} credential(s) without secrets`);
+        logger.info('========================================');
+        
+        return {
+            success: true,
+            path: output,
+            manifest: manifest,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Accepts an export directory or a .tar.gz produced by export()
+    static openBackup(source) {
+        let directory = source;
+        let cleanup = () => {};
+        
+        if (/\.(tar\.gz|tgz)$/.test(source)) {
+            const temp = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-restore-'));
+            execFileSync('tar', ['-xzf', source, '-C', temp]);
+            const entries = fs.readdirSync(temp);
+            if (entries.length !== 1) {
+                fs.rmSync(temp, { recursive: true, force: true });
+                throw new Error(`${source} is not a backup archive (expected one top-level directory)`);
+            }
+            directory = path.join(temp, entries[0]);
+            cleanup = () => fs.rmSync(temp, { recursive: true, force: true });
+        }
+        
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(path.join(directory, 'manifest.json'), 'utf8'));
+        } catch (error) {
+            cleanup();
+            throw new Error(`${source} is not a backup: ${error.message}`);
+        }
+        if (manifest.format !== BACKUP_FORMAT) {
+            cleanup();
+            throw new Error(`Unsupported backup format ${manifest.format} (expected ${BACKUP_FORMAT})`);
+        }
+        
+        const credentials = JSON.parse(fs.readFileSync(path.join(directory, 'credentials.json'), 'utf8'));
+        return { directory, manifest, credentials, cleanup };
+    }
+
+    // Restores into the instance this manager points at; secrets must already exist there
+    async restore(source) {
+        logger.info('========================================');
+        logger.info('♻️ N8N Instance Restore Starting...');
+        logger.info('========================================');
+        logger.info(`📦 Source: ${source}`);
+        logger.info(`🔗 Target N8N URL: ${this.manager.baseUrl}`);
+        logger.info(`🆔 Target User ID: ${this.manager.userId}`);
+        if (this.dryRun) {
+            logger.info('🧪 Dry run: nothing will be changed');
+        }
+        logger.info('========================================');
+        
+        const backup = InstanceBackup.openBackup(source);
+        
+        try {
+            logger.info(`📋 Backup of ${backup.manifest.n8nUrl} taken ${backup.manifest.createdAt} (N8N ${backup.manifest.n8nVersion || 'unknown'})`);
+            
+            const { apiKey, session } = await this.client();
+            
+            // Credentials cannot carry secrets across instances, so only report what is missing
+            const present = await this.manager.listCredentialsViaSession(session);
+            const missingCredentials = backup.credentials.filter(credential =>
+                !present.some(existing => existing.name === credential.name && existing.type === credential.type));
+            if (missingCredentials.length > 0) {
+                logger.warn(`⚠️ ${missingCredentials.length} credential(s) must be created in the target first (for example with a credentials manifest):`);
+                for (const credential of missingCredentials) {
+                    logger.info(`   └─ ${credential.name} (${credential.type})`);
+                }
+            }
+            
+            // Workflows go through the template deployer: tags, credential wiring and re-run safety
+            const deployer = new WorkflowDeployer({
+                workflowsDir: path.join(backup.directory, 'workflows'),
+                manager: this.manager,
+                session: session,
+                preserveActive: true,
+                dryRun: this.dryRun
+            });
+            const result = await deployer.deploy(apiKey);
+            
+            return {
+                ...result,
+                missingCredentials: missingCredentials.map(credential => ({ name: credential.name, type: credential.type }))
+            };
+        } finally {
+            backup.cleanup();
+        }
+    }
+}
+
+// Main execution: node scripts/instance-backup.js export [--tar] | restore <path> [--dry-run]
+async function main() {
+    try {
+        const command = process.argv[2];
+        const settings = Config.loadForProcess({ required: false });
+        
+        if (command === 'export') {
+            await new InstanceBackup({ settings }).export({ tarball: process.argv.includes('--tar') });
+            process.exit(0);
+        } else if (command === 'restore') {
+            const source = process.argv[3];
+            if (!source || source.startsWith('--')) {
+                throw new Error('Usage: instance-backup.js restore <backup directory or .tar.gz> [--dry-run]');
+            }
+            const result = await new InstanceBackup({ settings, dryRun: process.argv.includes('--dry-run') }).restore(source);
+            process.exit(result.success ? 0 : 1);
+        } else {
+            throw new Error(`Unknown command: ${command || '(none)'} (expected export or restore)`);
+        }
+    } catch (error) {
+        logger.error('💥 Backup command failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    logger.install();
+    logger.runWithContext({ userId: process.env.USER_ID }, main);
+}
+
+InstanceBackup.BACKUP_FORMAT = BACKUP_FORMAT;
+
+module.exports = InstanceBackup;
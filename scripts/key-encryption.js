@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const Config = require('./config');
+const logger = require('./logger');
+
+// Stored format: enc:v1:<keyVersion>:<wrapped data key>:<encrypted value>
+// Each encrypted part is "<iv>.<auth tag>.<ciphertext>" in base64url
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+class KeyEncryption {
+    constructor(config = {}) {
+        this.secret = config.secret || null;
+        this.keyVersion = String(config.keyVersion || '1');
+        
+        if (this.keyVersion.includes(':')) {
+            throw new Error(`Invalid encryption key version: ${this.keyVersion}`);
+        }
+        
+        // Secrets of older versions keep their values readable until they are re-encrypted
+        this.secrets = { ...(config.previousSecrets || {}) };
+        if (this.secret) {
+            this.secrets[this.keyVersion] = this.secret;
+        }
+    }
+
+    // From resolved settings (see config.js); the current secret falls back to the N8N encryption
+    // key that deployments already set
+    static fromSettings(settings = Config.load({ required: false })) {
+        return new KeyEncryption({
+            secret: settings.get('apiKey.encryptionSecret') || settings.get('n8n.encryptionKey'),
+            keyVersion: settings.get('apiKey.encryptionKeyVersion'),
+            previousSecrets: settings.get('apiKey.previousSecrets') || {}
+        });
+    }
+
+    get enabled() {
+        return !!this.secret;
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    versionOf(value) {
+        return this.isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+    }
+
+    needsReencryption(value) {
+        return this.enabled && !!value && this.versionOf(value) !== this.keyVersion;
+    }
+
+    deriveKey(version) {
+        const secret = this.secrets[version];
+        if (!secret) {
+            throw new Error(`No encryption secret configured for key version ${version}`);
+        }
+        
+        return Buffer.from(crypto.hkdfSync('sha256', secret, 'n8n-api-manager', `api-key-kek:${version}`, 32));
+    }
+
+    seal(key, plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        const tag = cipher.getAuthTag();
+        
+        return [iv, tag, ciphertext].map(part => part.toString('base64url')).join('.');
+    }
+
+    open(key, sealed) {
+        const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+        decipher.setAuthTag(tag);
+        
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    }
+
+    encrypt(plaintext) {
+        if (!this.enabled) {
+            logger.warn('⚠️ No API_KEY_ENCRYPTION_SECRET or N8N_ENCRYPTION_KEY set, storing API key unencrypted');
+            return plaintext;
+        }
+        
+        // Envelope: a fresh data key encrypts the value, the versioned key encrypts the data key
+        const dataKey = crypto.randomBytes(32);
+        const wrappedKey = this.seal(this.deriveKey(this.keyVersion), dataKey);
+        const sealedValue = this.seal(dataKey, Buffer.from(plaintext, 'utf8'));
+        
+        return `${PREFIX}${this.keyVersion}:${wrappedKey}:${sealedValue}`;
+    }
+
+    decrypt(value) {
+        // Rows written before encryption was introduced are returned unchanged
+        if (!this.isEncrypted(value)) {
+            return value;
+        }
+        
+        const parts = value.slice(PREFIX.length).split(':');
+        if (parts.length !== 3) {
+            throw new Error('Malformed encrypted API key value');
+        }
+        
+        const [version, wrappedKey, sealedValue] = parts;
+        try {
+            const dataKey = this.open(this.deriveKey(version), wrappedKey);
+            return this.open(dataKey, sealedValue).toString('utf8');
+        } catch (error) {
+            throw new Error(`Failed to decrypt API key (key version ${version}): ${error.message}`);
+        }
+    }
+}
+
+module.exports = KeyEncryption;
@@ -0,0 +1,127 @@
+const Config = require('./config');
+
+const READ_ONLY_SCOPES = [
+    'workflow:read',
+    'workflow:list',
+    'execution:read',
+    'execution:list',
+    'tag:read',
+    'tag:list',
+    'workflowTags:list'
+];
+
+const DEPLOYER_SCOPES = [
+    ...READ_ONLY_SCOPES,
+    'workflow:create',
+    'workflow:update',
+    'workflow:activate',
+    'workflow:deactivate',
+    'tag:create',
+    'tag:update',
+    'workflowTags:update',
+    'credential:create'
+];
+
+const ADMIN_SCOPES = [
+    ...DEPLOYER_SCOPES,
+    'workflow:delete',
+    'workflow:move',
+    'execution:delete',
+    'execution:retry',
+    'tag:delete',
+    'credential:update',
+    'credential:move',
+    'credential:delete',
+    'user:read',
+    'user:list',
+    'user:create',
+    'user:changeRole',
+    'user:delete',
+    'project:create',
+    'project:update',
+    'project:delete',
+    'project:list',
+    'variable:create',
+    'variable:update',
+    'variable:delete',
+    'variable:list',
+    'sourceControl:pull',
+    'securityAudit:generate'
+];
+
+// Named scope sets selectable with API_KEY_SCOPE_PROFILE
+const PROFILES = {
+    'read-only': READ_ONLY_SCOPES,
+    'deployer': DEPLOYER_SCOPES,
+    'admin': ADMIN_SCOPES
+};
+
+// Side-effect free public API reads and the scope each one needs
+const PROBES = [
+    { path: '/workflows', scope: 'workflow:list' },
+    { path: '/executions', scope: 'execution:list' },
+    { path: '/tags', scope: 'tag:list' },
+    { path: '/users', scope: 'user:list' },
+    { path: '/projects', scope: 'project:list' },
+    { path: '/variables', scope: 'variable:list' }
+];
+
+class KeyScopes {
+    constructor(config = {}) {
+        // Profile and scopes come from config.settings unless given explicitly
+        const settings = config.settings || Config.load({ required: false });
+        const profile = config.profile || settings.get('apiKey.scopeProfile');
+        const explicit = config.scopes || settings.get('apiKey.scopes');
+        
+        if (profile && explicit) {
+            throw new Error('Set either API_KEY_SCOPE_PROFILE or API_KEY_SCOPES, not both');
+        }
+        
+        if (profile) {
+            if (!Object.prototype.hasOwnProperty.call(PROFILES, profile)) {
+                throw new Error(`Unknown API key scope profile: ${profile} (expected ${Object.keys(PROFILES).join(', ')})`);
+            }
+            this.profile = profile;
+            this.scopes = [...PROFILES[profile]];
+        } else if (explicit) {
+            this.profile = 'custom';
+            this.scopes = KeyScopes.parse(explicit);
+        } else {
+            // Unscoped keys keep n8n's default of full access
+            this.profile = null;
+            this.scopes = [];
+        }
+    }
+
+    get enabled() {
+        return this.scopes.length > 0;
+    }
+
+    // Accepts an array or a comma separated string, as stored alongside the key
+    static parse(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(',');
+        return [...new Set(list.map(scope => scope.trim()).filter(Boolean))];
+    }
+
+    static serialize(scopes) {
+        return scopes.join(',');
+    }
+
+    // One endpoint the key should reach and one it should be refused
+    static probesFor(scopes) {
+        const granted = new Set(scopes);
+        return {
+            allowed: PROBES.find(probe => granted.has(probe.scope)) || null,
+            denied: PROBES.find(probe => !granted.has(probe.scope)) || null
+        };
+    }
+
+    describe() {
+        return this.enabled ? `${this.profile} (${this.scopes.length} scopes)` : 'unscoped';
+    }
+}
+
+KeyScopes.PROFILES = PROFILES;
+KeyScopes.PROBES = PROBES;
+
+module.exports = KeyScopes;
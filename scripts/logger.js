@@ -0,0 +1,180 @@
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Environment variables whose values must never appear in output
+const SECRET_ENV_PATTERN = /(PASSWORD|SECRET|TOKEN|SERVICE_ROLE_KEY|ENCRYPTION_KEY)/;
+
+// Secret shapes recognised even when the exact value was never registered
+const REDACTION_PATTERNS = [
+    [/n8n_api_[A-Za-z0-9_-]{4,}/g, 'n8n_api_[REDACTED]'],
+    [/eyJ[A-Za-z0-9_-]{8,}(\.[A-Za-z0-9_-]*){0,2}/g, '[REDACTED_JWT]'],
+    [/enc:v1:[^\s'",]+/g, 'enc:v1:[REDACTED]'],
+    [/(n8n-auth=)[^;\s'",]+/gi, '$1[REDACTED]'],
+    [/((?:^|[\s'"])(?:cookie|set-cookie)["']?\s*[:=]\s*)[^\n]+/gi, '$1[REDACTED]'],
+    [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/g, '$1[REDACTED]'],
+    [/("?(?:password|apiKey|api_key|n8n_api_key|token|secret)"?\s*[:=]\s*)("[^"]*"|'[^']*'|[^\s,}]+)/gi, '$1"[REDACTED]"']
+];
+
+class Logger {
+    constructor() {
+        this.script = require.main && require.main.filename ? require.main.filename.split('/').pop() : 'node';
+        this.storage = new AsyncLocalStorage();
+        this.rootContext = this.createContext({});
+        this.secrets = new Set();
+        this.original = {
+            log: console.log.bind(console),
+            error: console.error.bind(console)
+        };
+        this.installed = false;
+        
+        // Until an entry point has loaded its settings, so that early lines follow them too
+        this.format = (process.env.LOG_FORMAT || 'json').toLowerCase() === 'text' ? 'text' : 'json';
+        this.level = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+        for (const [name, value] of Object.entries(process.env)) {
+            if (SECRET_ENV_PATTERN.test(name)) {
+                this.addSecret(value);
+            }
+        }
+    }
+
+    // Level and format from resolved settings (see config.js), which may come from a config file;
+    // secret settings were registered as they were loaded
+    configure(settings) {
+        this.format = settings.get('logging.format');
+        this.level = LEVELS[settings.get('logging.level')];
+    }
+
+    createContext(fields) {
+        return {
+            runId: fields.runId || crypto.randomUUID(),
+            userId: fields.userId,
+            step: fields.step || null,
+            startedAt: Date.now(),
+            stepStartedAt: Date.now()
+        };
+    }
+
+    context() {
+        return this.storage.getStore() || this.rootContext;
+    }
+
+    // Runs fn with its own run id, user id and step so concurrent runs don't mix
+    runWithContext(fields, fn) {
+        return this.storage.run(this.createContext(fields), fn);
+    }
+
+    // Pass null once the last step is done so its duration is still logged
+    setStep(step) {
+        const context = this.context();
+        if (context.step) {
+            this.write('info', [`Step ${context.step} finished`], { durationMs: Date.now() - context.stepStartedAt });
+        }
+        context.step = step;
+        context.stepStartedAt = Date.now();
+    }
+
+    addSecret(value) {
+        // Short values would redact ordinary words
+        if (typeof value === 'string' && value.length >= 6) {
+            this.secrets.add(value);
+        }
+    }
+
+    redact(text) {
+        let result = text;
+        for (const secret of this.secrets) {
+            result = result.split(secret).join('[REDACTED]');
+        }
+        for (const [pattern, replacement] of REDACTION_PATTERNS) {
+            result = result.replace(pattern, replacement);
+        }
+        return result;
+    }
+
+    levelFor(method, message) {
+        if (method === 'error') {
+            return 'error';
+        }
+        if (method === 'warn' || message.startsWith('⚠️')) {
+            return 'warn';
+        }
+        if (method === 'debug') {
+            return 'debug';
+        }
+        return 'info';
+    }
+
+    write(level, args, extra = {}) {
+        if (LEVELS[level] < this.level) {
+            return;
+        }
+        
+        const message = this.redact(util.format(...args));
+        const output = level === 'error' || level === 'warn' ? this.original.error : this.original.log;
+        
+        if (this.format === 'text') {
+            output(message);
+            return;
+        }
+        
+        const context = this.context();
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            msg: message,
+            script: this.script,
+            runId: context.runId,
+            userId: context.userId,
+            step: context.step || undefined,
+            elapsedMs: Date.now() - context.startedAt,
+            ...extra
+        };
+        output(JSON.stringify(entry));
+    }
+
+    debug(...args) {
+        this.write('debug', args);
+    }
+
+    info(...args) {
+        this.write('info', args);
+    }
+
+    warn(...args) {
+        this.write('warn', args);
+    }
+
+    error(...args) {
+        this.write('error', args);
+    }
+
+    // Keeps stdout free for machine-readable output written by the caller
+    useStderr() {
+        this.install();
+        this.original.log = this.original.error;
+        return this;
+    }
+
+    // Routes console.* through the logger so output from dependencies is redacted and structured
+    // too. Replaces a global, so only entry points call it; library modules log through the logger
+    install() {
+        if (this.installed) {
+            return this;
+        }
+        
+        for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+            console[method] = (...args) => {
+                const message = args.length > 0 && typeof args[0] === 'string' ? args[0] : '';
+                this.write(this.levelFor(method, message), args);
+            };
+        }
+        
+        this.installed = true;
+        return this;
+    }
+}
+
+module.exports = new Logger();
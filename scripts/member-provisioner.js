@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { createClient } = require('@supabase/supabase-js');
+const N8NAPIManager = require('./create-api-key');
+const KeyEncryption = require('./key-encryption');
+const Config = require('./config');
+const logger = require('./logger');
+
+// Roles an invitation may grant; admin needs an N8N licence that allows it
+const ROLES = ['global:member', 'global:admin'];
+
+class MemberProvisioner {
+    constructor(config = {}) {
+        // The owner (N8N_USER_EMAIL/N8N_USER_PASSWORD, USER_ID) sends the invitations
+        this.owner = config.owner || new N8NAPIManager({ settings: config.settings });
+        this.settings = this.owner.settings;
+        
+        // Members come from a JSON file or a Supabase table, never both
+        this.membersFile = config.membersFile || this.settings.get('members.file');
+        this.membersTable = config.membersTable || this.settings.get('members.table');
+        
+        if (this.membersFile && this.membersTable) {
+            throw new Error('Set either MEMBERS_FILE or MEMBERS_TABLE, not both');
+        }
+        if (!this.membersFile && !this.membersTable) {
+            throw new Error('Missing members list: set MEMBERS_FILE or MEMBERS_TABLE');
+        }
+        
+        this.storage = this.owner.storage;
+        this.keyEncryption = KeyEncryption.fromSettings(this.settings);
+        
+        if (this.membersTable) {
+            const url = this.settings.get('storage.supabase.url');
+            const serviceRoleKey = this.settings.get('storage.supabase.serviceRoleKey');
+            if (!url || !serviceRoleKey) {
+                throw new Error('MEMBERS_TABLE requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+            }
+            this.supabase = createClient(url, serviceRoleKey, {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            });
+        }
+    }
+
+    static normalizeMember(member, index) {
+        const normalized = {
+            userId: member.userId || member.user_id,
+            email: member.email,
+            firstName: member.firstName || member.first_name || 'Team',
+            lastName: member.lastName || member.last_name || 'Member',
+            role: member.role || 'global:member'
+        };
+        
+        if (!normalized.userId || !normalized.email) {
+            throw new Error(`Member ${index + 1} needs both a userId and an email`);
+        }
+        if (!ROLES.includes(normalized.role)) {
+            throw new Error(`Member ${normalized.email} has unknown role ${normalized.role} (expected ${ROLES.join(', ')})`);
+        }
+        
+        normalized.email = normalized.email.toLowerCase();
+        return normalized;
+    }
+
+    async loadMembers() {
+        let members;
+        
+        if (this.membersFile) {
+            logger.info(`📄 Reading members from ${this.membersFile}...`);
+            let parsed;
+            try {
+                parsed = JSON.parse(fs.readFileSync(this.membersFile, 'utf8'));
+            } catch (error) {
+                throw new Error(`Failed to read members file ${this.membersFile}: ${error.message}`);
+            }
+            // Either a plain array or { "members": [...] }
+            members = Array.isArray(parsed) ? parsed : parsed.members;
+            if (!Array.isArray(members)) {
+                throw new Error(`Members file ${this.membersFile} must contain an array of members`);
+            }
+        } else {
+            logger.info(`🔍 Reading members of ${this.owner.userId} from ${this.membersTable}...`);
+            const { data, error } = await this.supabase
+                .from(this.membersTable)
+                .select('user_id, email, first_name, last_name, role')
+                .eq('owner_user_id', this.owner.userId);
+            
+            if (error) {
+                logger.error('❌ Failed to query members:', error.message);
+                throw error;
+            }
+            members = data;
+        }
+        
+        const normalized = members.map(MemberProvisioner.normalizeMember);
+        const ownerEmail = this.owner.email.toLowerCase();
+        
+        logger.info(`📋 Found ${normalized.length} member(s)`);
+        return normalized.filter(member => {
+            if (member.email === ownerEmail) {
+                logger.info(`ℹ️ Skipping ${member.email}, the owner is provisioned by the regular flow`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    // Meets N8N's password rules (8-64 characters, a digit and an uppercase letter)
+    static generatePassword() {
+        return `${crypto.randomBytes(24).toString('base64url')}A9`;
+    }
+
+    async ownerRequest(method, path, data) {
+        const response = await this.owner.http.request('n8n', {
+            method: method,
+            url: `${this.owner.baseUrl}${path}`,
+            data: data,
+            timeout: this.owner.defaultTimeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'Cookie': this.ownerSession,
+                'Accept': 'application/json',
+                'User-Agent': 'N8N-API-Manager/1.0'
+            },
+            validateStatus: () => true
+        });
+        
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(`${method.toUpperCase()} ${path} failed with status ${response.status}: ${response.data?.message || 'no message'}`);
+        }
+        
+        // Internal REST responses are usually wrapped in { data: ... }
+        return response.data?.data ?? response.data;
+    }
+
+    async listUsers() {
+        const body = await this.ownerRequest('get', '/rest/users');
+        // Newer versions page the list as { count, items }
+        const users = Array.isArray(body) ? body : (body?.items || []);
+        
+        return new Map(users.map(user => [String(user.email).toLowerCase(), user]));
+    }
+
+    async inviteMember(member) {
+        logger.info(`✉️ Inviting ${member.email} as ${member.role}...`);
+        const results = await this.ownerRequest('post', '/rest/invitations', [{ email: member.email, role: member.role }]);
+        const result = (Array.isArray(results) ? results : []).find(entry => entry.user?.email?.toLowerCase() === member.email);
+        
+        if (!result) {
+            throw new Error(`N8N did not return an invitation for ${member.email}`);
+        }
+        if (result.error) {
+            throw new Error(`Invitation for ${member.email} failed: ${result.error}`);
+        }
+        
+        return result.user;
+    }
+
+    // Accepting logs in as the invitee, so the password we set is the one that works
+    async acceptInvitation(member, inviteeId, password) {
+        logger.info(`🤝 Accepting invitation for ${member.email}...`);
+        const response = await this.owner.http.post('n8n', `${this.owner.baseUrl}/rest/invitations/${encodeURIComponent(inviteeId)}/accept`, {
+            inviterId: this.ownerId,
+            firstName: member.firstName,
+            lastName: member.lastName,
+            password: password
+        }, {
+            timeout: this.owner.defaultTimeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'N8N-API-Manager/1.0'
+            },
+            validateStatus: () => true
+        });
+        
+        if (response.status !== 200) {
+            throw new Error(`Accepting the invitation for ${member.email} failed with status ${response.status}: ${response.data?.message || 'no message'}`);
+        }
+    }
+
+    async storedCredentials(member) {
+        const record = await this.storage.getRecord(member.userId, ['n8nUserEmail', 'n8nUserPassword']);
+        if (!record || !record.n8nUserPassword || String(record.n8nUserEmail).toLowerCase() !== member.email) {
+            return null;
+        }
+        
+        const password = this.keyEncryption.decrypt(record.n8nUserPassword);
+        logger.addSecret(password);
+        return password;
+    }
+
+    // Makes sure the member can log in to N8N and returns the password to log in with
+    async ensureAccount(member, users) {
+        const existing = users.get(member.email);
+        const storedPassword = await this.storedCredentials(member);
+        
+        if (existing && !existing.isPending) {
+            if (!storedPassword) {
+                throw new Error(`${member.email} already has an N8N account that was not created by this manager (no stored credentials)`);
+            }
+            logger.info(`✅ ${member.email} already has an N8N account`);
+            return { account: 'existing', password: storedPassword };
+        }
+        
+        const password = MemberProvisioner.generatePassword();
+        logger.addSecret(password);
+        
+        const invitee = existing || await this.inviteMember(member);
+        
+        // Store first so a failed acceptance can be retried with the same credentials
+        await this.storage.updateRecord(member.userId, {
+            n8nUserEmail: member.email,
+            n8nUserPassword: this.keyEncryption.encrypt(password),
+            updatedAt: new Date().toISOString()
+        });
+        
+        await this.acceptInvitation(member, invitee.id, password);
+        logger.info(`✅ ${member.email} joined N8N`);
+        
+        return { account: existing ? 'accepted' : 'invited', password: password };
+    }
+
+    async provisionMember(member, users) {
+        const startTime = Date.now();
+        
+        try {
+            const { account, password } = await this.ensureAccount(member, users);
+            
+            // Each member's key is created and stored through their own session
+            const manager = new N8NAPIManager({
+                userId: member.userId,
+                baseUrl: this.owner.baseUrl,
+                email: member.email,
+                password: password,
+                projectId: this.owner.projectId,
+                projectName: this.owner.projectName,
+                storage: this.storage,
+                settings: this.settings
+            });
+            const result = await manager.ensure({ skipReadinessCheck: true });
+            
+            return {
+                userId: member.userId,
+                email: member.email,
+                account: account,
+                status: result.path,
+                label: result.label,
+                durationSeconds: ((Date.now() - startTime) / 1000).toFixed(1)
+            };
+        } catch (error) {
+            logger.error(`❌ Provisioning failed for member ${member.email}:`, error.message);
+            return {
+                userId: member.userId,
+                email: member.email,
+                status: 'failed',
+                error: error.message,
+                durationSeconds: ((Date.now() - startTime) / 1000).toFixed(1)
+            };
+        }
+    }
+
+    async run() {
+        logger.info('========================================');
+        logger.info('👥 N8N Member Provisioning Starting...');
+        logger.info('========================================');
+        logger.info(`🔗 N8N URL: ${this.owner.baseUrl}`);
+        logger.info(`👤 Owner: ${this.owner.email}`);
+        logger.info(`📋 Members: ${this.membersFile || this.membersTable}`);
+        logger.info('========================================');
+        
+        const members = await this.loadMembers();
+        
+        logger.setStep('owner_session');
+        await this.owner.waitForN8NReady();
+        const capabilities = await this.owner.detectCapabilities();
+        if (capabilities.userManagement.authenticationMethod && capabilities.userManagement.authenticationMethod !== 'email') {
+            throw new Error(`N8N uses ${capabilities.userManagement.authenticationMethod} sign-in; members must be provisioned by the identity provider`);
+        }
+        
+        this.ownerSession = await this.owner.ensureOwnerAccount() || await this.owner.createSession();
+        this.ownerId = (await this.ownerRequest('get', '/rest/login')).id;
+        const users = await this.listUsers();
+        logger.setStep(null);
+        
+        // One at a time: every member shares the owner's session and a single N8N instance
+        const results = [];
+        for (const member of members) {
+            results.push(await logger.runWithContext({ userId: member.userId }, () => {
+                logger.info(`🚀 Provisioning member ${member.email}...`);
+                return this.provisionMember(member, users);
+            }));
+        }
+        
+        const summary = {
+            total: results.length,
+            joined: results.filter(r => r.account === 'invited' || r.account === 'accepted').length,
+            created: results.filter(r => r.status === 'created').length,
+            reused: results.filter(r => r.status === 'reused').length,
+            failed: results.filter(r => r.status === 'failed').length
+        };
+        
+        logger.info('========================================');
+        logger.info('📋 MEMBER PROVISIONING REPORT');
+        logger.info('========================================');
+        logger.info(`📊 Total: ${summary.total}`);
+        logger.info(`🤝 Joined N8N: ${summary.joined}`);
+        logger.info(`🆕 Keys created: ${summary.created}`);
+        logger.info(`♻️ Keys reused: ${summary.reused}`);
+        logger.info(`❌ Failed: ${summary.failed}`);
+        logger.info('========================================');
+        
+        for (const result of results) {
+            const icon = result.status === 'failed' ? '❌' : '✅';
+            logger.info(`${icon} ${result.email}: ${result.account ? `${result.account}, ` : ''}${result.status} (${result.durationSeconds}s)`);
+            if (result.error) {
+                logger.info(`   └─ Error: ${result.error}`);
+            }
+        }
+        
+        logger.info('========================================');
+        
+        return {
+            success: summary.failed === 0,
+            summary: summary,
+            results: results,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+// Main execution
+async function main() {
+    try {
+        const provisioner = new MemberProvisioner({ settings: Config.loadForProcess({ required: false }) });
+        const result = await provisioner.run();
+        
+        if (result.success) {
+            logger.info('🎯 Member provisioning completed successfully');
+            process.exit(0);
+        } else {
+            logger.warn(`⚠️ Member provisioning completed with ${result.summary.failed} failure(s)`);
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('💥 Member provisioning failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    logger.install();
+    N8NAPIManager.installProcessHandlers();
+    main();
+}
+
+MemberProvisioner.ROLES = ROLES;
+
+module.exports = MemberProvisioner;
@@ -0,0 +1,121 @@
+const KeyEncryption = require('./key-encryption');
+const { createStorage } = require('./storage');
+const Config = require('./config');
+const logger = require('./logger');
+
+class KeyEncryptionMigrator {
+    constructor(options = {}) {
+        this.dryRun = !!options.dryRun;
+        this.pageSize = 500;
+        this.keyEncryption = KeyEncryption.fromSettings(options.settings);
+        
+        if (!this.keyEncryption.enabled) {
+            throw new Error('Missing encryption secret: Set API_KEY_ENCRYPTION_SECRET or N8N_ENCRYPTION_KEY');
+        }
+        
+        this.storage = options.storage || createStorage({ settings: options.settings });
+    }
+
+    async fetchPage(offset) {
+        try {
+            return await this.storage.listRecords(['apiKey'], { present: ['apiKey'], limit: this.pageSize, offset: offset });
+        } catch (error) {
+            logger.error('❌ Failed to read stored API keys:', error.message);
+            throw error;
+        }
+    }
+
+    async migrateRow(record) {
+        const plaintext = this.keyEncryption.decrypt(record.apiKey);
+        const encrypted = this.keyEncryption.encrypt(plaintext);
+        
+        // Only overwrite the value we read, so a concurrent key update is not lost
+        return await this.storage.updateRecord(record.userId, { apiKey: encrypted }, { apiKey: record.apiKey }) > 0;
+    }
+
+    async run() {
+        logger.info('========================================');
+        logger.info('🔐 API Key Encryption Migration Starting...');
+        logger.info('========================================');
+        logger.info(`🏷️ Target key version: ${this.keyEncryption.keyVersion}`);
+        logger.info(`🧪 Dry run: ${this.dryRun ? 'yes' : 'no'}`);
+        logger.info('========================================');
+        
+        const summary = { scanned: 0, current: 0, migrated: 0, skipped: 0, failed: 0 };
+        
+        for (let offset = 0; ; offset += this.pageSize) {
+            const records = await this.fetchPage(offset);
+            
+            for (const record of records) {
+                summary.scanned++;
+                
+                if (!this.keyEncryption.needsReencryption(record.apiKey)) {
+                    summary.current++;
+                    continue;
+                }
+                
+                const currentVersion = this.keyEncryption.versionOf(record.apiKey) || 'plaintext';
+                if (this.dryRun) {
+                    logger.info(`   • ${record.userId}: ${currentVersion} → ${this.keyEncryption.keyVersion}`);
+                    summary.migrated++;
+                    continue;
+                }
+                
+                try {
+                    if (await this.migrateRow(record)) {
+                        summary.migrated++;
+                    } else {
+                        logger.warn(`⚠️ ${record.userId}: key changed during migration, skipped`);
+                        summary.skipped++;
+                    }
+                } catch (error) {
+                    logger.error(`❌ ${record.userId}: ${error.message}`);
+                    summary.failed++;
+                }
+            }
+            
+            if (records.length < this.pageSize) {
+                break;
+            }
+        }
+        
+        logger.info('========================================');
+        logger.info('📋 MIGRATION REPORT');
+        logger.info('========================================');
+        logger.info(`📊 Scanned: ${summary.scanned}`);
+        logger.info(`✅ Already current: ${summary.current}`);
+        logger.info(`🔐 ${this.dryRun ? 'Would migrate' : 'Migrated'}: ${summary.migrated}`);
+        logger.info(`⏭️ Skipped: ${summary.skipped}`);
+        logger.info(`❌ Failed: ${summary.failed}`);
+        logger.info('========================================');
+        
+        return {
+            success: summary.failed === 0,
+            dryRun: this.dryRun,
+            summary: summary
+        };
+    }
+}
+
+// Main execution
+async function main() {
+    try {
+        const migrator = new KeyEncryptionMigrator({
+            dryRun: process.argv.includes('--dry-run'),
+            settings: Config.loadForProcess({ required: false })
+        });
+        const result = await migrator.run();
+        process.exit(result.success ? 0 : 1);
+    } catch (error) {
+        logger.error('💥 Migration failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    logger.install();
+    main();
+}
+
+module.exports = KeyEncryptionMigrator;
@@ -0,0 +1,153 @@
+const HttpClient = require('./http-client');
+const logger = require('./logger');
+
+// First releases with each API key feature; /rest/settings flags win when present
+const LABELLED_KEYS_SINCE = '1.72.0';
+const KEY_EXPIRY_SINCE = '1.80.0';
+const KEY_SCOPES_SINCE = '1.93.0';
+
+// Expiry presets offered by the N8N UI (days); null means no expiry
+const EXPIRY_OPTIONS = [7, 30, 60, 90, null];
+
+function compareVersions(a, b) {
+    const left = a.split('.').map(part => parseInt(part, 10) || 0);
+    const right = b.split('.').map(part => parseInt(part, 10) || 0);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+class N8NCapabilities {
+    constructor(settings) {
+        // settings is the /rest/settings payload, or null when it could not be read
+        this.detected = !!settings;
+        this.version = settings ? settings.versionCli || null : null;
+        
+        const atLeast = version => !!this.version && compareVersions(this.version, version) >= 0;
+        const publicApi = settings ? settings.publicApi || {} : {};
+        const userManagement = settings ? settings.userManagement || {} : {};
+        const enterprise = settings ? settings.enterprise || {} : {};
+        
+        this.publicApi = {
+            enabled: settings ? publicApi.enabled !== false : null,
+            path: `/${publicApi.path || 'api'}/v${publicApi.latestVersion || 1}`
+        };
+        
+        this.apiKeys = {
+            supported: settings ? this.publicApi.enabled : null,
+            // Before labelled keys each user had exactly one key at /rest/me/api-key
+            labelled: this.version ? atLeast(LABELLED_KEYS_SINCE) : null,
+            scopes: typeof enterprise.apiKeyScopes === 'boolean' ? enterprise.apiKeyScopes : (this.version ? atLeast(KEY_SCOPES_SINCE) : null),
+            expiry: this.version ? atLeast(KEY_EXPIRY_SINCE) : null,
+            expiryOptions: this.version && atLeast(KEY_EXPIRY_SINCE) ? EXPIRY_OPTIONS : []
+        };
+        
+        this.userManagement = {
+            authenticationMethod: userManagement.authenticationMethod || null,
+            ownerSetUp: typeof userManagement.showSetupOnFirstLoad === 'boolean' ? !userManagement.showSetupOnFirstLoad : null
+        };
+    }
+
+    static async detect(baseUrl, options = {}) {
+        try {
+            const http = options.httpClient || new HttpClient();
+            const response = await http.get('n8n', `${baseUrl}/rest/settings`, {
+                timeout: options.timeout || 15000,
+                headers: {
+                    'Accept': 'application/json',
+                    'User-Agent': 'N8N-API-Manager/1.0'
+                },
+                validateStatus: () => true
+            });
+            
+            if (response.status !== 200 || typeof response.data !== 'object') {
+                logger.warn(`⚠️ /rest/settings returned status ${response.status}, capabilities unknown`);
+                return new N8NCapabilities(null);
+            }
+            
+            return new N8NCapabilities(response.data?.data || response.data);
+        } catch (error) {
+            logger.warn(`⚠️ Could not read /rest/settings: ${error.message}`);
+            return new N8NCapabilities(null);
+        }
+    }
+
+    // Ordered creation strategies; the browser is only a fallback when the version is unknown
+    get creationPaths() {
+        if (this.apiKeys.supported === false) {
+            return [];
+        }
+        if (this.apiKeys.labelled === false) {
+            return ['legacy-session'];
+        }
+        if (this.apiKeys.labelled === true) {
+            return ['session'];
+        }
+        return ['session', 'browser'];
+    }
+
+    get apiKeyEndpoint() {
+        return this.apiKeys.labelled === false ? '/rest/me/api-key' : '/rest/api-keys';
+    }
+
+    buildKeyPayload({ label, expiresInDays, scopes }) {
+        if (this.apiKeys.labelled === false) {
+            return {};
+        }
+        
+        const payload = { label: label };
+        
+        if (this.apiKeys.expiry === true) {
+            payload.expiresAt = expiresInDays ? Math.floor(Date.now() / 1000) + expiresInDays * 24 * 60 * 60 : null;
+        } else if (this.apiKeys.expiry === null) {
+            // Unknown version: keep the shape older managers have always sent
+            payload.expiresIn = expiresInDays;
+        }
+        
+        if (scopes && scopes.length > 0) {
+            payload.scopes = scopes;
+        }
+        
+        return payload;
+    }
+
+    describe() {
+        if (!this.detected) {
+            return 'unknown (settings unavailable)';
+        }
+        
+        const features = [];
+        if (this.apiKeys.labelled) {
+            features.push('labelled keys');
+        }
+        if (this.apiKeys.expiry) {
+            features.push('expiry');
+        }
+        if (this.apiKeys.scopes) {
+            features.push('scopes');
+        }
+        if (!this.publicApi.enabled) {
+            features.push('public API disabled');
+        }
+        return `${this.version || 'unknown version'} (${features.join(', ') || 'single legacy key'})`;
+    }
+
+    toJSON() {
+        return {
+            detected: this.detected,
+            version: this.version,
+            publicApi: this.publicApi,
+            apiKeys: this.apiKeys,
+            userManagement: this.userManagement,
+            creationPaths: this.creationPaths
+        };
+    }
+}
+
+N8NCapabilities.compareVersions = compareVersions;
+
+module.exports = N8NCapabilities;
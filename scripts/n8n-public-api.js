@@ -0,0 +1,206 @@
+const HttpClient = require('./http-client');
+
+// Largest page size the public API accepts
+const MAX_PAGE_SIZE = 250;
+
+// Read-only endpoints tried in order when checking whether a key works
+const PROBE_ENDPOINTS = ['/workflows', '/executions', '/tags'];
+
+class N8NPublicAPIClient {
+    constructor(config = {}) {
+        if (!config.baseUrl) {
+            throw new Error('N8NPublicAPIClient requires a baseUrl');
+        }
+        if (!config.apiKey) {
+            throw new Error('N8NPublicAPIClient requires an apiKey');
+        }
+        
+        this.baseUrl = config.baseUrl.replace(/\/$/, '');
+        this.apiKey = config.apiKey;
+        this.timeout = config.timeout || 20000;
+        this.apiPath = config.apiPath || '/api/v1';
+        this.http = config.httpClient || new HttpClient();
+    }
+
+    async request(method, path, options = {}) {
+        const response = await this.http.request('n8n', {
+            method: method,
+            url: `${this.baseUrl}${this.apiPath}${path}`,
+            params: options.params,
+            data: options.data,
+            timeout: this.timeout,
+            headers: {
+                'X-N8N-API-KEY': this.apiKey,
+                'Accept': 'application/json',
+                'User-Agent': 'N8N-API-Manager/1.0'
+            },
+            validateStatus: () => true
+        });
+        
+        if (response.status < 200 || response.status >= 300) {
+            const message = response.data?.message || `HTTP ${response.status}`;
+            const error = new Error(`${method.toUpperCase()} ${this.apiPath}${path} failed: ${message}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        return response.data;
+    }
+
+    // One page: { data: [...], nextCursor: string|null }
+    async page(path, params = {}) {
+        const body = await this.request('get', path, {
+            params: { limit: MAX_PAGE_SIZE, ...params }
+        });
+        
+        return {
+            data: Array.isArray(body?.data) ? body.data : [],
+            nextCursor: body?.nextCursor || null
+        };
+    }
+
+    // Follows nextCursor until the last page, yielding one item at a time
+    async *paginate(path, params = {}) {
+        let cursor;
+        do {
+            const result = await this.page(path, cursor ? { ...params, cursor } : params);
+            for (const item of result.data) {
+                yield item;
+            }
+            cursor = result.nextCursor;
+        } while (cursor);
+    }
+
+    async listAll(path, params = {}) {
+        const items = [];
+        for await (const item of this.paginate(path, params)) {
+            items.push(item);
+        }
+        return items;
+    }
+
+    // Workflows
+    listWorkflows(params = {}) {
+        return this.listAll('/workflows', params);
+    }
+
+    getWorkflow(id) {
+        return this.request('get', `/workflows/${encodeURIComponent(id)}`);
+    }
+
+    createWorkflow(workflow) {
+        return this.request('post', '/workflows', { data: workflow });
+    }
+
+    updateWorkflow(id, workflow) {
+        return this.request('put', `/workflows/${encodeURIComponent(id)}`, { data: workflow });
+    }
+
+    deleteWorkflow(id) {
+        return this.request('delete', `/workflows/${encodeURIComponent(id)}`);
+    }
+
+    activateWorkflow(id) {
+        return this.request('post', `/workflows/${encodeURIComponent(id)}/activate`);
+    }
+
+    deactivateWorkflow(id) {
+        return this.request('post', `/workflows/${encodeURIComponent(id)}/deactivate`);
+    }
+
+    getWorkflowTags(id) {
+        return this.request('get', `/workflows/${encodeURIComponent(id)}/tags`);
+    }
+
+    // Replaces the workflow's tags with the given tag ids
+    updateWorkflowTags(id, tagIds) {
+        return this.request('put', `/workflows/${encodeURIComponent(id)}/tags`, { data: tagIds.map(tagId => ({ id: tagId })) });
+    }
+
+    // Executions
+    listExecutions(params = {}) {
+        return this.listAll('/executions', params);
+    }
+
+    getExecution(id, params = {}) {
+        return this.request('get', `/executions/${encodeURIComponent(id)}`, { params });
+    }
+
+    deleteExecution(id) {
+        return this.request('delete', `/executions/${encodeURIComponent(id)}`);
+    }
+
+    // Credentials - the public API can create and delete them but not read them back
+    createCredential(credential) {
+        return this.request('post', '/credentials', { data: credential });
+    }
+
+    deleteCredential(id) {
+        return this.request('delete', `/credentials/${encodeURIComponent(id)}`);
+    }
+
+    getCredentialSchema(type) {
+        return this.request('get', `/credentials/schema/${encodeURIComponent(type)}`);
+    }
+
+    // Tags
+    listTags(params = {}) {
+        return this.listAll('/tags', params);
+    }
+
+    getTag(id) {
+        return this.request('get', `/tags/${encodeURIComponent(id)}`);
+    }
+
+    createTag(name) {
+        return this.request('post', '/tags', { data: { name } });
+    }
+
+    updateTag(id, name) {
+        return this.request('put', `/tags/${encodeURIComponent(id)}`, { data: { name } });
+    }
+
+    deleteTag(id) {
+        return this.request('delete', `/tags/${encodeURIComponent(id)}`);
+    }
+
+    // Users - only available to owner and admin keys
+    listUsers(params = {}) {
+        return this.listAll('/users', params);
+    }
+
+    getUser(idOrEmail, params = {}) {
+        return this.request('get', `/users/${encodeURIComponent(idOrEmail)}`, { params });
+    }
+
+    // Returns { valid, limited, status, endpoint, reason } - never assumes a key works
+    async probe() {
+        let forbidden = null;
+        
+        for (const endpoint of PROBE_ENDPOINTS) {
+            try {
+                await this.page(endpoint, { limit: 1 });
+                return { valid: true, limited: !!forbidden, status: 200, endpoint: endpoint };
+            } catch (error) {
+                if (error.status === 401) {
+                    return { valid: false, status: 401, endpoint: endpoint, reason: 'Invalid or expired' };
+                }
+                if (error.status === 403) {
+                    // Authenticated but not allowed here; another endpoint may still be in scope
+                    forbidden = endpoint;
+                    continue;
+                }
+                if (error.status === 404) {
+                    return { valid: false, status: 404, endpoint: endpoint, reason: 'Public API not available (is N8N_PUBLIC_API_DISABLED set?)' };
+                }
+                return { valid: false, status: error.status || null, endpoint: endpoint, reason: error.message };
+            }
+        }
+        
+        return { valid: true, limited: true, status: 403, endpoint: forbidden };
+    }
+}
+
+N8NPublicAPIClient.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+module.exports = N8NPublicAPIClient;
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Write-ahead record of one provisioning run, one file per user. A step is written before it
+// runs, together with the compensating action that undoes it (or, for steps that move the run
+// forward, the details needed to redo it), so a run killed half-way can be finished or rolled
+// back by the next process that starts for the same user.
+//
+// Run status:  in_progress -> committed | rolled_back | rollback_failed
+// Step status: started -> done -> compensated | compensation_failed
+
+// Journals of the runs this process has begun and not yet finished
+const ACTIVE = new Set();
+
+class ProvisioningJournal {
+    constructor(config = {}) {
+        if (!config.userId) {
+            throw new Error('ProvisioningJournal requires a userId');
+        }
+        
+        this.dir = config.dir || '/app/logs/journal';
+        this.userId = config.userId;
+        this.file = path.join(this.dir, `${encodeURIComponent(this.userId)}.json`);
+        this.entry = null;
+    }
+
+    // The journal left by the previous run, whatever its status
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return null;
+        }
+        
+        try {
+            this.entry = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unreadable provisioning journal ${this.file}: ${error.message}`);
+        }
+        return this.entry;
+    }
+
+    // Runs that still have effects to finish or undo
+    get unfinished() {
+        return !!this.entry && ['in_progress', 'rollback_failed'].includes(this.entry.status);
+    }
+
+    begin(operation) {
+        const now = new Date().toISOString();
+        this.entry = {
+            runId: logger.context().runId,
+            userId: this.userId,
+            operation: operation,
+            status: 'in_progress',
+            startedAt: now,
+            updatedAt: now,
+            steps: []
+        };
+        ACTIVE.add(this);
+        this.save();
+    }
+
+    // Records a step before it runs; compensation describes how to undo it, details how to finish it
+    start(name, compensation = null, details = undefined) {
+        this.entry.steps.push({
+            name: name,
+            status: 'started',
+            startedAt: new Date().toISOString(),
+            compensation: compensation,
+            details: details
+        });
+        this.save();
+    }
+
+    // Marks the latest step of that name done; details fill in what was only known afterwards
+    complete(name, details = {}) {
+        const step = this.step(name);
+        if (!step) {
+            throw new Error(`Journal has no step ${name} to complete`);
+        }
+        
+        step.status = 'done';
+        step.completedAt = new Date().toISOString();
+        if (step.compensation) {
+            Object.assign(step.compensation, details);
+        } else if (Object.keys(details).length > 0) {
+            step.details = { ...step.details, ...details };
+        }
+        this.save();
+    }
+
+    // The new key reached storage: from here on the run is finished, never rolled back
+    get stored() {
+        const step = this.entry ? this.step('store_key') : null;
+        return !!step && step.status === 'done';
+    }
+
+    step(name) {
+        return [...this.entry.steps].reverse().find(step => step.name === name) || null;
+    }
+
+    // Steps whose effects may still exist, newest first
+    compensations() {
+        return [...this.entry.steps]
+            .reverse()
+            .filter(step => step.compensation && step.status !== 'compensated');
+    }
+
+    markCompensated(step, error = null) {
+        step.status = error ? 'compensation_failed' : 'compensated';
+        step.compensationError = error ? error.message : undefined;
+        this.save();
+    }
+
+    finish(status, error = null) {
+        this.entry.status = status;
+        this.entry.error = error ? error.message : undefined;
+        ACTIVE.delete(this);
+        this.save();
+    }
+
+    // Records on every run still in progress that the process was stopped, for a shutdown handler
+    // that exits right after; the runs stay in_progress for the next start to settle
+    static markInterrupted(signal) {
+        const interrupted = [...ACTIVE].filter(journal => journal.unfinished);
+        for (const journal of interrupted) {
+            journal.entry.interruptedBy = signal;
+            journal.entry.interruptedAt = new Date().toISOString();
+            journal.save();
+        }
+        ACTIVE.clear();
+        return interrupted.length;
+    }
+
+    save() {
+        this.entry.updatedAt = new Date().toISOString();
+        
+        // Written to a temporary file and renamed so a kill mid-write never leaves half a journal
+        fs.mkdirSync(this.dir, { recursive: true });
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.entry, null, 2), { mode: 0o600 });
+        fs.renameSync(temporary, this.file);
+    }
+}
+
+module.exports = ProvisioningJournal;
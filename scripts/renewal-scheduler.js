@@ -0,0 +1,224 @@
+const N8NAPIManager = require('./create-api-key');
+const BatchProvisioner = require('./batch-provision');
+const { createStorage } = require('./storage');
+const WebhookNotifier = require('./webhook-notifier');
+const Config = require('./config');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RenewalScheduler {
+    constructor(config = {}) {
+        // Process-wide settings from the entry point, shared by every tenant's manager
+        this.settings = config.settings || Config.load({ required: false });
+        
+        // Every tenant with a stored key in the configured storage backend is checked
+        this.storage = config.storage || createStorage({ settings: this.settings });
+        
+        // Renewal settings
+        this.windowDays = this.settings.get('renewal.windowDays');
+        this.intervalHours = this.settings.get('renewal.intervalHours');
+        this.concurrency = this.settings.get('renewal.concurrency');
+        this.pageSize = 500;
+        this.webhook = new WebhookNotifier({ settings: this.settings });
+        
+        if (!(this.windowDays > 0)) {
+            throw new Error('RENEWAL_WINDOW_DAYS must be a positive number');
+        }
+        // setTimeout cannot wait longer than ~24.8 days
+        if (!(this.intervalHours > 0) || this.intervalHours > 24 * 24) {
+            throw new Error('RENEWAL_INTERVAL_HOURS must be between 0 and 576');
+        }
+    }
+
+    async findTenants() {
+        logger.info(`🔍 Looking for tenants with a stored API key in ${this.storage.describe()}...`);
+        
+        const tenants = [];
+        for (let offset = 0; ; offset += this.pageSize) {
+            let records;
+            try {
+                records = await this.storage.listRecords(BatchProvisioner.tenantFields, {
+                    present: ['apiKey', 'instanceUrl'],
+                    limit: this.pageSize,
+                    offset: offset
+                });
+            } catch (error) {
+                logger.error('❌ Failed to query tenants:', error.message);
+                throw error;
+            }
+            
+            for (const record of records) {
+                try {
+                    tenants.push({ userId: record.userId, config: BatchProvisioner.tenantConfig(record, this.storage, this.settings) });
+                } catch (error) {
+                    // An unreadable record (such as a password that no longer decrypts) fails that tenant only
+                    logger.error(`❌ Cannot read the settings of tenant ${record.userId}:`, error.message);
+                    tenants.push({ userId: record.userId, config: { baseUrl: record.instanceUrl }, error: error });
+                }
+            }
+            if (records.length < this.pageSize) {
+                break;
+            }
+        }
+        
+        logger.info(`📋 Found ${tenants.length} tenant(s) with a stored key`);
+        return tenants;
+    }
+
+    async checkTenant(tenant) {
+        let renewing = false;
+        
+        try {
+            if (tenant.error) {
+                throw tenant.error;
+            }
+            
+            const manager = new N8NAPIManager(tenant.config);
+            const storedKeyData = await manager.retrieveStoredAPIKey();
+            if (!storedKeyData) {
+                return { userId: tenant.userId, status: 'missing' };
+            }
+            
+            const expiresAt = manager.storedKeyExpiry(storedKeyData);
+            if (expiresAt === null) {
+                logger.info(`ℹ️ Key ${storedKeyData.label || 'Unlabeled'} has no expiry`);
+                return { userId: tenant.userId, status: 'no-expiry' };
+            }
+            
+            const daysLeft = (expiresAt - Date.now()) / DAY_MS;
+            if (daysLeft > this.windowDays) {
+                return { userId: tenant.userId, status: 'ok', daysLeft: Math.floor(daysLeft) };
+            }
+            
+            logger.info(`⏰ Key ${storedKeyData.label || 'Unlabeled'} expires in ${daysLeft.toFixed(1)} days, renewing...`);
+            renewing = true;
+            const result = await manager.rotate({ renewal: true, expiresAt: new Date(expiresAt).toISOString() });
+            
+            return {
+                userId: tenant.userId,
+                status: 'renewed',
+                label: result.label,
+                expiresAt: result.expiresAt
+            };
+        } catch (error) {
+            logger.error(`❌ Renewal check failed for ${tenant.userId}:`, error.message);
+            
+            // rotate() reports its own failures; anything earlier is reported here
+            if (!renewing) {
+                await this.webhook.notify(WebhookNotifier.EVENTS.KEY_RENEWAL_FAILED, {
+                    status: 'failure',
+                    message: error.message,
+                    userId: tenant.userId,
+                    data: {
+                        n8nUrl: tenant.config.baseUrl || this.settings.get('n8n.url')
+                    }
+                });
+            }
+            
+            return { userId: tenant.userId, status: 'failed', error: error.message };
+        }
+    }
+
+    async scan() {
+        logger.info('========================================');
+        logger.info('⏰ N8N API Key Renewal Scan Starting...');
+        logger.info('========================================');
+        logger.info(`📅 Renewal window: ${this.windowDays} days`);
+        logger.info(`🔀 Concurrency: ${this.concurrency}`);
+        logger.info('========================================');
+        
+        const tenants = await this.findTenants();
+        const results = [];
+        let next = 0;
+        
+        const worker = async () => {
+            while (next < tenants.length) {
+                const tenant = tenants[next++];
+                results.push(await logger.runWithContext({ userId: tenant.userId }, () => this.checkTenant(tenant)));
+            }
+        };
+        
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, tenants.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+        
+        const count = status => results.filter(r => r.status === status).length;
+        const summary = {
+            total: results.length,
+            renewed: count('renewed'),
+            ok: count('ok'),
+            skipped: count('missing') + count('no-expiry'),
+            failed: count('failed')
+        };
+        
+        logger.info('========================================');
+        logger.info('📋 RENEWAL REPORT');
+        logger.info('========================================');
+        logger.info(`📊 Checked: ${summary.total}`);
+        logger.info(`🔄 Renewed: ${summary.renewed}`);
+        logger.info(`✅ Not due: ${summary.ok}`);
+        logger.info(`⏭️ Skipped: ${summary.skipped}`);
+        logger.info(`❌ Failed: ${summary.failed}`);
+        logger.info('========================================');
+        
+        for (const result of results.filter(r => r.status === 'renewed' || r.status === 'failed')) {
+            const icon = result.status === 'failed' ? '❌' : '🔄';
+            logger.info(`${icon} ${result.userId}: ${result.status}${result.expiresAt ? ` (new expiry ${result.expiresAt})` : ''}`);
+            if (result.error) {
+                logger.info(`   └─ Error: ${result.error}`);
+            }
+        }
+        
+        return {
+            success: summary.failed === 0,
+            summary: summary,
+            results: results,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Daemon mode: scan, sleep, repeat until the process is stopped
+    async start() {
+        logger.info(`🕰️ Renewal scheduler running every ${this.intervalHours} hours`);
+        
+        for (;;) {
+            try {
+                await this.scan();
+            } catch (error) {
+                logger.error('❌ Renewal scan failed:', error.message);
+            }
+            
+            logger.info(`💤 Next scan at ${new Date(Date.now() + this.intervalHours * 60 * 60 * 1000).toISOString()}`);
+            await new Promise(resolve => setTimeout(resolve, this.intervalHours * 60 * 60 * 1000));
+        }
+    }
+}
+
+// Main execution: node scripts/renewal-scheduler.js [--once]
+async function main() {
+    try {
+        const scheduler = new RenewalScheduler({ settings: Config.loadForProcess({ required: false }) });
+        
+        if (process.argv.includes('--once')) {
+            const result = await scheduler.scan();
+            process.exit(result.success ? 0 : 1);
+        }
+        
+        await scheduler.start();
+    } catch (error) {
+        logger.error('💥 Renewal scheduler failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    logger.install();
+    N8NAPIManager.installProcessHandlers();
+    main();
+}
+
+module.exports = RenewalScheduler;
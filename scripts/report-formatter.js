@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Checks in report order; detailKey points at the object that explains a failure.
+// Optional checks are left out of a report when they did not run (null/undefined).
+const CHECKS = [
+    { key: 'n8nHealth', label: 'N8N Health', critical: true },
+    { key: 'loginValid', label: 'Login Valid', critical: true, detailKey: 'loginDetails' },
+    { key: 'storageConnection', label: 'Storage Connection', critical: true, detailKey: 'storageDetails' },
+    { key: 'apiKeyStored', label: 'API Key Stored', critical: true },
+    { key: 'apiKeyValid', label: 'API Key Valid', critical: true, detailKey: 'apiKeyValidation' },
+    { key: 'apiKeyScopes', label: 'API Key Scopes', critical: false, detailKey: 'apiKeyScopeDetails', optional: true },
+    { key: 'canaryWorkflow', label: 'Canary Workflow', critical: false, detailKey: 'canaryDetails', optional: true },
+    { key: 'sessionAPIAccess', label: 'Session API Access', critical: false },
+    { key: 'webhookEndpoint', label: 'Webhook Endpoint', critical: false }
+];
+
+const FORMATS = ['text', 'json', 'junit', 'markdown'];
+
+// Statuses from best to worst, used by the --fail-on threshold
+const STATUS_ORDER = ['HEALTHY', 'WARNING', 'CRITICAL', 'ERROR'];
+
+class ReportFormatter {
+    // Drops the stored key and session cookies so the report can leave the process
+    static sanitize(report) {
+        const copy = JSON.parse(JSON.stringify(report));
+        if (copy.checks && copy.checks.apiKeyDetails) {
+            delete copy.checks.apiKeyDetails.apiKey;
+        }
+        if (copy.checks && copy.checks.loginDetails) {
+            delete copy.checks.loginDetails.session;
+        }
+        return copy;
+    }
+
+    static applicableChecks(report) {
+        const checks = report.checks || {};
+        return CHECKS.filter(check => !check.optional || (checks[check.key] !== null && checks[check.key] !== undefined));
+    }
+
+    static failureReason(report, check) {
+        const details = check.detailKey ? report.checks[check.detailKey] : null;
+        if (details && typeof details === 'object') {
+            if (details.reason) {
+                return details.reason;
+            }
+            if (details.error) {
+                return typeof details.error === 'string' ? details.error : 'Request failed';
+            }
+            if (details.status) {
+                return `HTTP ${details.status}`;
+            }
+        }
+        
+        return `${check.label} check failed`;
+    }
+
+    static toJSON(report) {
+        return JSON.stringify(ReportFormatter.sanitize(report), null, 2) + '\n';
+    }
+
+    static escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    static toJUnit(report) {
+        const esc = ReportFormatter.escapeXML;
+        const checks = report.checks || {};
+        const applicable = ReportFormatter.applicableChecks(report);
+        const failures = applicable.filter(check => !checks[check.key]).length;
+        const errors = report.error ? 1 : 0;
+        
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="n8n-credential-validation" tests="${applicable.length}" failures="${failures}" errors="${errors}">`,
+            `  <testsuite name="${esc(report.n8nUrl || 'n8n')}" tests="${applicable.length}" failures="${failures}" errors="${errors}" timestamp="${esc(report.timestamp)}">`,
+            '    <properties>',
+            `      <property name="userId" value="${esc(report.userId || '')}"/>`,
+            `      <property name="overallStatus" value="${esc(report.overallStatus)}"/>`,
+            `      <property name="healthScore" value="${esc(report.healthScore ?? '')}"/>`,
+            `      <property name="n8nVersion" value="${esc(report.n8n?.version || '')}"/>`
+        ];
+        if (checks.canaryDetails?.latencyMs !== undefined) {
+            lines.push(`      <property name="canaryLatencyMs" value="${esc(checks.canaryDetails.latencyMs)}"/>`);
+        }
+        lines.push('    </properties>');
+        
+        for (const check of applicable) {
+            const name = `${esc(check.label)}${check.critical ? ' (critical)' : ''}`;
+            if (checks[check.key]) {
+                lines.push(`    <testcase classname="validation" name="${name}"/>`);
+            } else {
+                const reason = esc(ReportFormatter.failureReason(report, check));
+                lines.push(`    <testcase classname="validation" name="${name}">`);
+                lines.push(`      <failure message="${reason}">${reason}</failure>`);
+                lines.push('    </testcase>');
+            }
+        }
+        
+        if (report.error) {
+            lines.push('    <testcase classname="validation" name="Report Generation">');
+            lines.push(`      <error message="${esc(report.error)}">${esc(report.error)}</error>`);
+            lines.push('    </testcase>');
+        }
+        
+        lines.push('  </testsuite>');
+        lines.push('</testsuites>');
+        return lines.join('\n') + '\n';
+    }
+
+    static toMarkdown(report) {
+        const checks = report.checks || {};
+        const lines = [
+            '# N8N Validation Report',
+            '',
+            `- **Status:** ${report.overallStatus}`,
+            `- **Health Score:** ${report.healthScore ?? 'N/A'}%`,
+            `- **N8N URL:** ${report.n8nUrl || 'N/A'}`,
+            `- **N8N Version:** ${report.n8n?.version || 'unknown'}`,
+            `- **User ID:** ${report.userId || 'N/A'}`,
+            `- **Generated:** ${report.timestamp}`
+        ];
+        if (checks.canaryDetails?.latencyMs !== undefined) {
+            lines.push(`- **Canary Latency:** ${checks.canaryDetails.latencyMs}ms`);
+        }
+        lines.push('', '| Check | Result | Critical | Details |', '| --- | --- | --- | --- |');
+        
+        for (const check of ReportFormatter.applicableChecks(report)) {
+            const passed = !!checks[check.key];
+            const details = passed ? '' : ReportFormatter.failureReason(report, check).replace(/\|/g, '\\|');
+            lines.push(`| ${check.label} | ${passed ? '✅ PASS' : '❌ FAIL'} | ${check.critical ? 'yes' : 'no'} | ${details} |`);
+        }
+        
+        if (report.error) {
+            lines.push('');
+            lines.push(`> **Error:** ${report.error}`);
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+
+    static format(report, format) {
+        if (format === 'json') {
+            return ReportFormatter.toJSON(report);
+        }
+        if (format === 'junit') {
+            return ReportFormatter.toJUnit(report);
+        }
+        if (format === 'markdown') {
+            return ReportFormatter.toMarkdown(report);
+        }
+        throw new Error(`Unknown report format: ${format} (expected ${FORMATS.filter(f => f !== 'text').join(', ')})`);
+    }
+
+    static write(report, format, outputPath) {
+        const content = ReportFormatter.format(report, format);
+        
+        if (!outputPath || outputPath === '-') {
+            process.stdout.write(content);
+            return;
+        }
+        
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, content);
+        logger.info(`📝 ${format} report written to ${outputPath}`);
+    }
+
+    // True when the report falls below the configured score or at/after the fail-on status
+    static breachesThreshold(report, thresholds) {
+        if (typeof report.healthScore !== 'number' || report.healthScore < thresholds.minScore) {
+            return true;
+        }
+        
+        if (thresholds.failOn) {
+            const status = STATUS_ORDER.indexOf(report.overallStatus);
+            return status === -1 || status >= STATUS_ORDER.indexOf(thresholds.failOn);
+        }
+        
+        return false;
+    }
+}
+
+ReportFormatter.CHECKS = CHECKS;
+ReportFormatter.FORMATS = FORMATS;
+ReportFormatter.STATUS_ORDER = STATUS_ORDER;
+
+module.exports = ReportFormatter;
@@ -0,0 +1,56 @@
+const fs = require('fs');
+
+// One syntax for values kept somewhere else, in config files, environment variables and the
+// credentials manifest alike:
+//   env:NAME   another environment variable
+//   file:PATH  a file such as a mounted secret, trimmed
+// Callers can add sources of their own (the credentials manifest adds secret:field for the
+// tenant's record).
+// Only known sources count, so values such as URLs or host:port stay literal.
+const PATTERN = /^([a-z]+):(.+)$/;
+const BUILT_IN = ['env', 'file'];
+
+class SecretReference {
+    // { source, name } for a reference, null for a literal value
+    static parse(value, sources = []) {
+        const match = typeof value === 'string' ? value.match(PATTERN) : null;
+        if (!match || ![...BUILT_IN, ...sources].includes(match[1])) {
+            return null;
+        }
+        return { source: match[1], name: match[2] };
+    }
+
+    static isReference(value, sources = []) {
+        return SecretReference.parse(value, sources) !== null;
+    }
+
+    // options.env is the environment env: reads; options.sources maps extra source names to
+    // functions of the name. Throws when the value cannot be found.
+    static resolve(value, options = {}) {
+        const env = options.env || process.env;
+        const sources = options.sources || {};
+        const reference = SecretReference.parse(value, Object.keys(sources));
+        if (!reference) {
+            return value;
+        }
+        
+        if (reference.source === 'env') {
+            if (env[reference.name] === undefined) {
+                throw new Error(`refers to ${reference.name}, which is not set`);
+            }
+            return env[reference.name];
+        }
+        
+        if (reference.source === 'file') {
+            try {
+                return fs.readFileSync(reference.name, 'utf8').trim();
+            } catch (error) {
+                throw new Error(`refers to ${reference.name}, which could not be read (${error.code || error.message})`);
+            }
+        }
+        
+        return sources[reference.source](reference.name);
+    }
+}
+
+module.exports = SecretReference;
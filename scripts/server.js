@@ -0,0 +1,320 @@
+const http = require('http');
+const crypto = require('crypto');
+const N8NAPIManager = require('./create-api-key');
+const CredentialValidator = require('./validate-credentials');
+const BatchProvisioner = require('./batch-provision');
+const ReportFormatter = require('./report-formatter');
+const ProvisioningJournal = require('./provisioning-journal');
+const { createStorage } = require('./storage');
+const Config = require('./config');
+const logger = require('./logger');
+
+// Tenant settings a request body may not replace
+const TENANT_OVERRIDES = ['n8nUrl', 'email', 'password'];
+
+class ApiManagerServer {
+    constructor(config = {}) {
+        // Settings resolved once at startup; every tenant's manager and validator gets them
+        // instead of reading or changing the environment per request
+        this.settings = config.settings || Config.load({ required: false });
+        
+        // Server Configuration
+        this.port = this.settings.get('server.port');
+        this.authToken = this.settings.get('server.token');
+        
+        // Job bookkeeping
+        this.jobs = new Map();
+        this.maxFinishedJobs = 100;
+        this.startedAt = new Date().toISOString();
+        
+        if (!this.authToken) {
+            throw new Error('Missing required environment variables: API_MANAGER_TOKEN');
+        }
+        
+        // Tenants are looked up in the configured storage backend
+        this.storage = config.storage || createStorage({ settings: this.settings });
+    }
+
+    sendJSON(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    isAuthorized(req) {
+        const header = req.headers['authorization'] || '';
+        const match = header.match(/^Bearer (.+)$/);
+        if (!match) {
+            return false;
+        }
+        
+        const expected = Buffer.from(this.authToken);
+        const provided = Buffer.from(match[1]);
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let raw = '';
+            req.on('data', chunk => {
+                raw += chunk;
+                if (raw.length > 1024 * 1024) {
+                    reject(new Error('Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                if (!raw) {
+                    return resolve({});
+                }
+                try {
+                    resolve(JSON.parse(raw));
+                } catch (error) {
+                    reject(new Error('Request body is not valid JSON'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    async loadTenant(userId) {
+        const record = await this.storage.getRecord(userId, BatchProvisioner.tenantFields);
+        return record ? BatchProvisioner.tenantConfig({ ...record, userId: userId }, this.storage, this.settings) : null;
+    }
+
+    startJob(type, userId, task) {
+        const running = [...this.jobs.values()].find(job => job.userId === userId && job.status === 'running');
+        if (running) {
+            return { conflict: running };
+        }
+        
+        const job = {
+            id: crypto.randomUUID(),
+            type: type,
+            userId: userId,
+            status: 'running',
+            startedAt: new Date().toISOString()
+        };
+        this.jobs.set(job.id, job);
+        
+        logger.info(`🚀 Job ${job.id} started: ${type} for user ${userId}`);
+        
+        // The job id doubles as the run id on every log line the job writes
+        logger.runWithContext({ userId: userId, runId: job.id }, task)
+            .then(result => {
+                job.status = 'succeeded';
+                // Never hand the key itself back over HTTP
+                job.result = {
+                    path: result.path,
+                    label: result.label,
+                    creationMethod: result.creationMethod,
+                    previousLabel: result.previousLabel,
+                    previousKeyRevoked: result.previousKeyRevoked
+                };
+                logger.info(`✅ Job ${job.id} succeeded`);
+            })
+            .catch(error => {
+                job.status = 'failed';
+                job.error = error.message;
+                logger.error(`❌ Job ${job.id} failed:`, error.message);
+            })
+            .finally(() => {
+                job.finishedAt = new Date().toISOString();
+                this.pruneJobs();
+            });
+        
+        return { job };
+    }
+
+    pruneJobs() {
+        const finished = [...this.jobs.values()].filter(job => job.status !== 'running');
+        const excess = finished.length - this.maxFinishedJobs;
+        for (let i = 0; i < excess; i++) {
+            this.jobs.delete(finished[i].id);
+        }
+    }
+
+    async handleKeyJob(req, res, type) {
+        const body = await this.readBody(req);
+        if (!body.userId) {
+            return this.sendJSON(res, 400, { error: 'userId is required' });
+        }
+        
+        const config = await this.loadTenant(body.userId);
+        if (!config) {
+            return this.sendJSON(res, 404, { error: `No user found with ID: ${body.userId}` });
+        }
+        
+        // The instance and the account to log in with always come from the stored record, so a
+        // caller cannot point a tenant's job at another host or collect its key with other credentials
+        const overrides = TENANT_OVERRIDES.filter(field => body[field] !== undefined);
+        if (overrides.length > 0) {
+            return this.sendJSON(res, 400, { error: `${overrides.join(', ')} cannot be set per request; they are read from the stored record of ${body.userId}` });
+        }
+        
+        let manager;
+        try {
+            manager = new N8NAPIManager(config);
+        } catch (error) {
+            return this.sendJSON(res, 400, { error: error.message });
+        }
+        
+        const mode = type === 'rotate' ? 'rotate' : (body.mode || 'ensure');
+        let task;
+        if (mode === 'ensure') {
+            task = () => manager.ensure();
+        } else if (mode === 'create') {
+            task = () => manager.run();
+        } else if (mode === 'rotate') {
+            task = () => manager.rotate();
+        }
+        if (!task || (type === 'provision' && mode === 'rotate')) {
+            return this.sendJSON(res, 400, { error: `Unknown mode: ${mode} (expected ensure or create)` });
+        }
+        
+        const { job, conflict } = this.startJob(mode, body.userId, task);
+        if (conflict) {
+            return this.sendJSON(res, 409, { error: 'A job is already running for this user', job: conflict });
+        }
+        
+        return this.sendJSON(res, 202, { job });
+    }
+
+    async handleValidate(res, userId) {
+        const config = await this.loadTenant(userId);
+        if (!config) {
+            return this.sendJSON(res, 404, { error: `No user found with ID: ${userId}` });
+        }
+        
+        const validator = new CredentialValidator(config);
+        // The report carries the stored key; strip it before responding
+        const report = ReportFormatter.sanitize(await validator.generateValidationReport());
+        
+        return this.sendJSON(res, report.overallStatus === 'HEALTHY' ? 200 : 503, report);
+    }
+
+    async handleHealth(res) {
+        let error = null;
+        try {
+            await this.storage.ping();
+        } catch (pingError) {
+            error = pingError;
+        }
+        
+        const runningJobs = [...this.jobs.values()].filter(job => job.status === 'running').length;
+        
+        return this.sendJSON(res, error ? 503 : 200, {
+            status: error ? 'unhealthy' : 'ok',
+            storage: error ? error.message : `${this.storage.describe()} connected`,
+            runningJobs: runningJobs,
+            startedAt: this.startedAt,
+            uptimeSeconds: Math.round(process.uptime())
+        });
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace(/\/$/, '') || '/';
+        
+        if (req.method === 'GET' && path === '/healthz') {
+            return this.handleHealth(res);
+        }
+        
+        if (!this.isAuthorized(req)) {
+            return this.sendJSON(res, 401, { error: 'Unauthorized' });
+        }
+        
+        if (req.method === 'POST' && path === '/provision') {
+            return this.handleKeyJob(req, res, 'provision');
+        }
+        
+        if (req.method === 'POST' && path === '/rotate') {
+            return this.handleKeyJob(req, res, 'rotate');
+        }
+        
+        const validateMatch = path.match(/^\/validate\/([^/]+)$/);
+        if (req.method === 'GET' && validateMatch) {
+            return this.handleValidate(res, decodeURIComponent(validateMatch[1]));
+        }
+        
+        const jobMatch = path.match(/^\/jobs\/([^/]+)$/);
+        if (req.method === 'GET' && jobMatch) {
+            const job = this.jobs.get(jobMatch[1]);
+            return job ? this.sendJSON(res, 200, { job }) : this.sendJSON(res, 404, { error: 'Job not found' });
+        }
+        
+        return this.sendJSON(res, 404, { error: 'Not found' });
+    }
+
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                logger.error(`❌ ${req.method} ${req.url} failed:`, error.message);
+                if (!res.headersSent) {
+                    this.sendJSON(res, 500, { error: error.message });
+                }
+            });
+        });
+        
+        return new Promise(resolve => {
+            this.server.listen(this.port, () => {
+                logger.info('========================================');
+                logger.info('🌐 N8N API Manager Server Started');
+                logger.info('========================================');
+                logger.info(`🔌 Listening on port ${this.port}`);
+                logger.info('📍 POST /provision, POST /rotate, GET /validate/:userId, GET /jobs/:id, GET /healthz');
+                logger.info('========================================');
+                resolve(this.server);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                return resolve();
+            }
+            this.server.close(resolve);
+            this.server.closeIdleConnections();
+        });
+    }
+}
+
+// Main execution
+async function main() {
+    let server;
+    try {
+        server = new ApiManagerServer({ settings: Config.loadForProcess({ required: false }) });
+        await server.start();
+    } catch (error) {
+        logger.error('💥 Server failed to start:', error.message);
+        process.exit(1);
+    }
+    
+    // A stray rejection belongs to one request or job; the service keeps running
+    process.on('unhandledRejection', reason => {
+        logger.error('🚨 Unhandled Promise Rejection:', reason?.stack || reason);
+    });
+    
+    // Stop accepting requests, then leave jobs still running in the journal for the next start
+    const shutdown = async (signal, exitCode) => {
+        logger.info(`📡 Received ${signal} signal, shutting down...`);
+        await server.stop();
+        const interrupted = ProvisioningJournal.markInterrupted(signal);
+        if (interrupted > 0) {
+            logger.info(`🧾 ${interrupted} unfinished run(s) left in the journal, the next start settles them`);
+        }
+        process.exit(interrupted > 0 ? exitCode : 0);
+    };
+    process.once('SIGTERM', () => shutdown('SIGTERM', 143));
+    process.once('SIGINT', () => shutdown('SIGINT', 130));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    logger.install();
+    main();
+}
+
+ApiManagerServer.TENANT_OVERRIDES = TENANT_OVERRIDES;
+
+module.exports = ApiManagerServer;
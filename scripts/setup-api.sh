@@ -1,5 +1,5 @@
 #!/bin/bash
-# setup-api.sh - N8N API Key Creation and Management Script
+# setup-api.sh - Container entry point; the work is done by the Node CLI (scripts/cli.js)
 set -euo pipefail
 IFS=$'\n\t'
 
@@ -8,537 +8,71 @@ if [[ "${DEBUG:-}" == "true" ]]; then
     set -x
 fi
 
-# Trap for cleanup on exit
-cleanup() {
-    local exit_code=$?
-    if [[ $exit_code -ne 0 ]]; then
-        echo "🔥 Script failed with exit code: $exit_code"
-    fi
-    exit $exit_code
-}
-trap cleanup EXIT
-
-echo "=========================================="
-echo "🚀 N8N API Manager Starting"
-echo "=========================================="
-
-# Set N8N URL with fallback
-export N8N_EDITOR_BASE_URL="${N8N_EDITOR_BASE_URL:-${N8N_URL:-}}"
-
-echo "N8N URL: ${N8N_EDITOR_BASE_URL:-'NOT SET'}"
-echo "User Email: ${N8N_USER_EMAIL:-'NOT SET'}"
-echo "User ID: ${USER_ID:-'NOT SET'}"
-echo "Project ID: ${NORTHFLANK_PROJECT_ID:-'NOT SET'}"
-echo "Project Name: ${NORTHFLANK_PROJECT_NAME:-'NOT SET'}"
-echo "Supabase URL: ${SUPABASE_URL:-'NOT SET'}"
-echo "Webhook URL: ${WEBHOOK_URL:-'Not configured'}"
-echo "Node Version: $(node --version 2>/dev/null || echo 'Not available')"
-echo "NPM Version: $(npm --version 2>/dev/null || echo 'Not available')"
-echo "Current User: $(whoami)"
-echo "Working Directory: $(pwd)"
-echo "=========================================="
-
-# Environment validation with better error messages
-echo "🔍 Validating environment variables..."
-required_vars=(
-    "N8N_USER_EMAIL"
-    "N8N_USER_PASSWORD"
-    "SUPABASE_URL"
-    "SUPABASE_SERVICE_ROLE_KEY"
-    "USER_ID"
-)
-
-# Check for N8N URL (either variable)
-if [[ -z "${N8N_EDITOR_BASE_URL:-}" ]]; then
-    echo "❌ Missing N8N URL: Set either N8N_EDITOR_BASE_URL or N8N_URL"
-    echo "💡 Example: N8N_EDITOR_BASE_URL=https://your-n8n-instance.com"
-    exit 1
+# Server mode replaces the one-shot job with the long-running HTTP service
+if [[ "${API_MANAGER_MODE:-}" == "server" ]]; then
+    echo "🌐 Starting N8N API Manager in server mode..."
+    exec node /app/scripts/server.js
 fi
 
-# Validate URL format
-if [[ ! "$N8N_EDITOR_BASE_URL" =~ ^https?://[a-zA-Z0-9.-]+([:/][a-zA-Z0-9._~:/?#[\]@!$&'()*+,;=-]*)?$ ]]; then
-    echo "❌ Invalid N8N URL format: $N8N_EDITOR_BASE_URL"
-    echo "💡 URL should start with http:// or https://"
-    exit 1
-fi
-
-# Validate required variables
-missing_vars=()
-for var in "${required_vars[@]}"; do
-    if [[ -z "${!var:-}" ]]; then
-        missing_vars+=("$var")
-    fi
-done
-
-if [[ ${#missing_vars[@]} -gt 0 ]]; then
-    echo "❌ Missing required environment variables:"
-    printf '   - %s\n' "${missing_vars[@]}"
-    echo ""
-    echo "💡 Required environment variables:"
-    echo "   - N8N_EDITOR_BASE_URL: Your N8N instance URL"
-    echo "   - N8N_USER_EMAIL: N8N user email"
-    echo "   - N8N_USER_PASSWORD: N8N user password"
-    echo "   - SUPABASE_URL: Your Supabase project URL"
-    echo "   - SUPABASE_SERVICE_ROLE_KEY: Supabase service role key"
-    echo "   - USER_ID: Unique user identifier"
-    exit 1
+# Renewal mode runs the expiry scheduler as a daemon instead
+if [[ "${API_MANAGER_MODE:-}" == "renewal" ]]; then
+    echo "⏰ Starting N8N API key renewal scheduler..."
+    exec node /app/scripts/renewal-scheduler.js
 fi
 
-# Validate email format
-email_regex="^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$"
-if [[ ! "$N8N_USER_EMAIL" =~ $email_regex ]]; then
-    echo "❌ Invalid email format: $N8N_USER_EMAIL"
-    exit 1
+# Members mode invites the configured team members and creates a key for each
+if [[ "${API_MANAGER_MODE:-}" == "members" ]]; then
+    echo "👥 Starting N8N member provisioning..."
+    exec node /app/scripts/member-provisioner.js
 fi
 
-# Validate Supabase URL format
-if [[ ! "$SUPABASE_URL" =~ ^https://[a-zA-Z0-9-]+\.supabase\.co$ ]]; then
-    echo "❌ Invalid Supabase URL format: $SUPABASE_URL"
-    echo "💡 Expected format: https://your-project.supabase.co"
-    exit 1
-fi
-
-echo "✅ Environment validation passed"
-
-# Check if required Node.js modules are available
-echo "📦 Checking Node.js dependencies..."
-if ! node -e "require('axios'); require('puppeteer'); require('@supabase/supabase-js'); require('uuid')" 2>/dev/null; then
-    echo "❌ Missing required Node.js dependencies"
-    echo "🔧 Attempting to install dependencies..."
-    if npm install --only=production --no-audit 2>/dev/null; then
-        echo "✅ Dependencies installed successfully"
-    else
-        echo "❌ Failed to install dependencies"
-        exit 1
-    fi
-else
-    echo "✅ All Node.js dependencies are available"
-fi
-
-# Test basic connectivity
-echo "🌐 Testing basic connectivity..."
-if command -v curl >/dev/null 2>&1; then
-    if curl -s --max-time 10 --head https://www.google.com > /dev/null; then
-        echo "✅ Internet connectivity confirmed"
-    else
-        echo "⚠️ Internet connectivity test failed (but continuing...)"
-    fi
-else
-    echo "⚠️ curl not available for connectivity test"
-fi
-
-# Enhanced N8N readiness check with multiple endpoints and better error handling
-echo "⏳ Waiting for N8N to be fully ready..."
-timeout=900  # 15 minutes for API creation
-counter=0
-n8n_ready=false
-max_retries=3
-
-while [ $counter -lt $timeout ]; do
-    # Try multiple health check endpoints with different strategies
-    endpoints=("/healthz" "/healthz/readiness" "/api/v1/healthz" "/")
-    
-    for endpoint in "${endpoints[@]}"; do
-        echo "🔍 Testing N8N endpoint: ${N8N_EDITOR_BASE_URL}${endpoint}"
-        
-        # Try multiple times for each endpoint
-        for retry in $(seq 1 $max_retries); do
-            if curl -f -s --max-time 15 --connect-timeout 10 \
-                -H "User-Agent: N8N-API-Manager/1.0" \
-                -H "Accept: */*" \
-                "${N8N_EDITOR_BASE_URL}${endpoint}" > /dev/null 2>&1; then
-                echo "✅ N8N health check passed via $endpoint (attempt $retry)!"
-                n8n_ready=true
-                break 2
-            else
-                echo "🔄 Endpoint $endpoint attempt $retry failed, retrying..."
-                sleep 2
-            fi
-        done
-    done
-    
-    if [ "$n8n_ready" = true ]; then
-        break
-    fi
-    
-    echo "⌛ Waiting for N8N... ($counter/$timeout seconds)"
-    sleep 15
-    counter=$((counter + 15))
-done
-
-if [ "$n8n_ready" = false ]; then
-    echo "❌ Timeout waiting for N8N to be ready"
-    echo "💡 Troubleshooting steps:"
-    echo "   1. Verify N8N_EDITOR_BASE_URL is correct: $N8N_EDITOR_BASE_URL"
-    echo "   2. Check if N8N service is running"
-    echo "   3. Verify network connectivity"
-    echo "   4. Check firewall settings"
-    exit 1
-fi
-
-# Additional wait for N8N to be fully initialized
-echo "⏳ Allowing additional time for N8N full initialization..."
-sleep 45
-
-# Enhanced N8N login endpoint test with better error reporting
-echo "🔐 Testing N8N login endpoint availability..."
-login_test_attempts=5
-login_endpoint_ready=false
-
-for attempt in $(seq 1 $login_test_attempts); do
-    echo "🧪 Login endpoint test attempt $attempt/$login_test_attempts..."
-    
-    login_test=$(curl -s -w "%{http_code}" -o /dev/null \
-        -X POST "${N8N_EDITOR_BASE_URL}/rest/login" \
-        -H "Content-Type: application/json" \
-        -H "User-Agent: N8N-API-Manager/1.0" \
-        -d '{"emailOrLdapLoginId":"test@example.com","password":"testpass123"}' \
-        --max-time 30 \
-        --connect-timeout 15)
-    
-    echo "Login endpoint test result: HTTP $login_test"
-    
-    # Accept any response that's not a connection error (2xx, 4xx, 5xx are all valid)
-    if [[ $login_test =~ ^[2345][0-9][0-9]$ ]]; then
-        echo "✅ N8N login endpoint is accessible (status: $login_test)"
-        login_endpoint_ready=true
-        break
-    else
-        echo "⚠️ Login endpoint not ready (status: $login_test)"
-        if [[ $attempt -lt $login_test_attempts ]]; then
-            echo "🔄 Retrying in 10 seconds..."
-            sleep 10
-        fi
-    fi
-done
-
-if [ "$login_endpoint_ready" = false ]; then
-    echo "❌ N8N login endpoint is not accessible after $login_test_attempts attempts"
-    echo "💡 This may indicate:"
-    echo "   - N8N is still starting up"
-    echo "   - API endpoints are not yet available"
-    echo "   - Network connectivity issues"
-    exit 1
-fi
-
-# Test actual login with provided credentials
-echo "🔑 Testing login with provided credentials..."
-login_response=$(curl -s -w "HTTPSTATUS:%{http_code};CONNECTTIME:%{time_connect};TOTALTIME:%{time_total}" \
-    -X POST "${N8N_EDITOR_BASE_URL}/rest/login" \
-    -H "Content-Type: application/json" \
-    -H "User-Agent: N8N-API-Manager/1.0" \
-    -d "{\"emailOrLdapLoginId\":\"$N8N_USER_EMAIL\",\"password\":\"$N8N_USER_PASSWORD\"}" \
-    --max-time 30)
-
-# Extract HTTP status and timing info
-login_body=$(echo "$login_response" | sed -E 's/HTTPSTATUS:[0-9]{3};//')
-login_status=$(echo "$login_response" | grep -o "HTTPSTATUS:[0-9]*" | cut -d: -f2)
-login_connect_time=$(echo "$login_response" | grep -o "CONNECTTIME:[0-9.]*" | cut -d: -f2)
-login_total_time=$(echo "$login_response" | grep -o "TOTALTIME:[0-9.]*" | cut -d: -f2)
-
-echo "Credential test result: HTTP $login_status"
-echo "Connection time: ${login_connect_time}s, Total time: ${login_total_time}s"
-
-if [[ $login_status == "200" ]]; then
-    echo "✅ Login credentials are valid and working"
-elif [[ $login_status =~ ^[45][0-9][0-9]$ ]]; then
-    echo "⚠️ Login returned $login_status"
-    echo "Response body: $login_body"
-    echo "This may be normal for first-time setup or if user needs to be created"
-else
-    echo "❌ Unexpected login response: $login_status"
-    echo "Response body: $login_body"
-    # Don't exit here as this might be expected in some scenarios
-fi
-
-# Pre-flight checks for Node.js environment
-echo "🧪 Running pre-flight checks..."
-
-# Check Chrome/Chromium availability for Puppeteer
-echo "🔍 Checking Chrome/Chromium availability..."
-chrome_paths=("/usr/bin/chromium-browser" "/usr/bin/chromium" "/usr/bin/google-chrome")
-chrome_found=false
-
-for chrome_path in "${chrome_paths[@]}"; do
-    if [[ -f "$chrome_path" ]] && [[ -x "$chrome_path" ]]; then
-        echo "✅ Found Chrome at: $chrome_path"
-        export PUPPETEER_EXECUTABLE_PATH="$chrome_path"
-        chrome_found=true
-        break
-    fi
-done
-
-if [[ "$chrome_found" = false ]]; then
-    echo "⚠️ Chrome/Chromium not found in standard locations"
-    echo "Puppeteer may try to download Chrome at runtime"
-fi
-
-# Test Puppeteer initialization
-echo "🎭 Testing Puppeteer initialization..."
-if timeout 60 node -e "
-const puppeteer = require('puppeteer');
-(async () => {
-  try {
-    console.log('🔧 Launching browser for test...');
-    const browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu'
-      ]
-    });
-    console.log('✅ Browser launched successfully');
-    await browser.close();
-    console.log('✅ Puppeteer test passed');
-    process.exit(0);
-  } catch (error) {
-    console.error('❌ Puppeteer test failed:', error.message);
-    process.exit(1);
-  }
-})();
-" 2>/dev/null; then
-    echo "✅ Puppeteer is working correctly"
-else
-    echo "⚠️ Puppeteer test failed (but continuing anyway)"
-fi
-
-# Create N8N API key with enhanced error handling and logging
-echo "🔑 Creating N8N API key..."
-echo "This process may take several minutes as it involves browser automation..."
-echo "⏰ Started at: $(date)"
-
-# Set extended timeout and memory for API key creation
-export NODE_OPTIONS="--max-old-space-size=2048 --unhandled-rejections=strict"
-
-# Create temporary log file
-temp_log="/tmp/n8n-api-creation.log"
-touch "$temp_log"
-
-echo "📝 Detailed logs will be written to: $temp_log"
-
-# Run API key creation with comprehensive logging
-if timeout 900 node /app/scripts/create-api-key.js 2>&1 | tee "$temp_log"; then
-    echo "✅ N8N API key created successfully"
-    echo "⏰ Completed at: $(date)"
-else
-    creation_exit_code=$?
-    echo "❌ API key creation process failed with exit code: $creation_exit_code"
-    echo "⏰ Failed at: $(date)"
-    
-    # Show last few lines of log for debugging
-    echo "📝 Last 10 lines of creation log:"
-    tail -n 10 "$temp_log" || echo "Could not read log file"
-    
-    # Check if API key was stored even if process had issues
-    echo "🔍 Checking for partial success..."
-    if node -e "
-        const { createClient } = require('@supabase/supabase-js');
-        (async () => {
-            try {
-                const supabase = createClient('$SUPABASE_URL', '$SUPABASE_SERVICE_ROLE_KEY', {
-                    auth: { autoRefreshToken: false, persistSession: false }
-                });
-                
-                const { data, error } = await supabase
-                    .from('launchmvpfast-saas-starterkit_user')
-                    .select('n8n_api_key')
-                    .eq('id', '$USER_ID')
-                    .single();
-                
-                if (error) {
-                    console.log('❌ Could not check API key status:', error.message);
-                    process.exit(1);
-                }
-                
-                if (data && data.n8n_api_key && data.n8n_api_key.length > 10) {
-                    console.log('✅ API key was successfully stored in database');
-                    console.log('🔑 Key preview:', data.n8n_api_key.substring(0, 15) + '...');
-                    process.exit(0);
-                } else {
-                    console.log('❌ No valid API key found in database');
-                    process.exit(1);
-                }
-            } catch (error) {
-                console.error('❌ Error checking API key:', error.message);
-                process.exit(1);
-            }
-        })();
-    "; then
-        echo "✅ API key creation completed (found in database)"
-    else
-        echo "❌ API key creation failed completely"
-        echo ""
-        echo "🔧 Troubleshooting information:"
-        echo "   - N8N URL: $N8N_EDITOR_BASE_URL"
-        echo "   - User Email: $N8N_USER_EMAIL"
-        echo "   - Browser automation may have failed"
-        echo "   - Check N8N logs for any errors"
-        echo "   - Verify N8N instance is fully operational"
-        exit 1
-    fi
-fi
-
-# Validate the created API key with enhanced reporting
-echo "✅ Validating created API key..."
-validation_start=$(date)
-echo "⏰ Validation started at: $validation_start"
-
-validation_log="/tmp/n8n-validation.log"
-if timeout 300 node /app/scripts/validate-credentials.js 2>&1 | tee "$validation_log"; then
-    echo "✅ API key validation passed"
-    echo "⏰ Validation completed at: $(date)"
-else
-    echo "⚠️ API key validation had issues"
-    echo "📝 Last 5 lines of validation log:"
-    tail -n 5 "$validation_log" || echo "Could not read validation log"
-    echo "Note: API key was still created and stored"
-fi
-
-# Clean up temporary files
-rm -f "$temp_log" "$validation_log" 2>/dev/null || true
-
 echo "=========================================="
-echo "🎉 N8N API Management Completed!"
+echo "🚀 N8N API Manager Starting"
 echo "=========================================="
-echo "✅ API Key: Created and validated"
-echo "✅ Database: Updated in Supabase"
-echo "✅ Project: ${NORTHFLANK_PROJECT_NAME:-'Unknown'}"
-echo "✅ User: $N8N_USER_EMAIL"
-echo "✅ N8N URL: $N8N_EDITOR_BASE_URL"
-echo "⏰ Total execution time: $SECONDS seconds"
+echo "Node Version: $(node --version 2>/dev/null || echo 'Not available')"
+echo "Current User: $(whoami)"
 echo "=========================================="
 
-# Final comprehensive validation with detailed reporting
-echo "🔍 Performing final system validation..."
-
-# Check N8N health
-echo "🏥 Final N8N health check..."
-if curl -f -s --max-time 10 "$N8N_EDITOR_BASE_URL/healthz" > /dev/null 2>&1; then
-    echo "✅ N8N instance is healthy"
-else
-    echo "⚠️ N8N instance health check failed (but API setup completed)"
-fi
-
-# Verify API key in database with full details
-echo "💾 Verifying API key in database..."
-if node -e "
-    const { createClient } = require('@supabase/supabase-js');
-    (async () => {
-        try {
-            const supabase = createClient('$SUPABASE_URL', '$SUPABASE_SERVICE_ROLE_KEY', {
-                auth: { autoRefreshToken: false, persistSession: false }
-            });
-            
-            const { data, error } = await supabase
-                .from('launchmvpfast-saas-starterkit_user')
-                .select('n8n_api_key, n8n_api_key_label, n8n_api_key_created_at, email')
-                .eq('id', '$USER_ID')
-                .single();
-            
-            if (error) {
-                console.log('❌ Could not verify API key in database:', error.message);
-                process.exit(1);
-            }
-            
-            if (data && data.n8n_api_key && data.n8n_api_key.length > 10) {
-                console.log('✅ API key confirmed in database');
-                console.log('📧 User Email:', data.email || 'N/A');
-                console.log('🏷️  Label:', data.n8n_api_key_label || 'N/A');
-                console.log('📅 Created:', data.n8n_api_key_created_at || 'N/A');
-                console.log('🔑 Key Preview:', data.n8n_api_key.substring(0, 15) + '...');
-                console.log('📏 Key Length:', data.n8n_api_key.length, 'characters');
-                process.exit(0);
-            } else {
-                console.log('❌ No valid API key found in database');
-                console.log('📊 Data received:', JSON.stringify(data, null, 2));
-                process.exit(1);
-            }
-        } catch (error) {
-            console.error('❌ Database verification error:', error.message);
-            process.exit(1);
-        }
-    })();
-"; then
-    echo "✅ Database verification completed"
-else
-    echo "⚠️ Could not verify database state (but process completed)"
-fi
-
-# Test API key functionality if possible
-echo "🧪 Testing API key functionality..."
-if node -e "
-    const axios = require('axios');
-    const { createClient } = require('@supabase/supabase-js');
-    (async () => {
-        try {
-            const supabase = createClient('$SUPABASE_URL', '$SUPABASE_SERVICE_ROLE_KEY', {
-                auth: { autoRefreshToken: false, persistSession: false }
-            });
-            
-            const { data, error } = await supabase
-                .from('launchmvpfast-saas-starterkit_user')
-                .select('n8n_api_key')
-                .eq('id', '$USER_ID')
-                .single();
-            
-            if (error || !data || !data.n8n_api_key) {
-                console.log('❌ Could not retrieve API key for testing');
-                process.exit(1);
-            }
-            
-            console.log('🔑 Testing API key functionality...');
-            const response = await axios.get('$N8N_EDITOR_BASE_URL/rest/workflows', {
-                timeout: 30000,
-                headers: {
-                    'X-N8N-API-KEY': data.n8n_api_key,
-                    'Accept': 'application/json',
-                    'User-Agent': 'N8N-API-Manager/1.0'
-                },
-                validateStatus: (status) => status < 500
-            });
-            
-            if (response.status === 200) {
-                console.log('✅ API key is fully functional');
-                console.log('📊 Found', Array.isArray(response.data) ? response.data.length : 0, 'workflows');
-                console.log('📈 Response time: ~' + (response.headers['x-response-time'] || 'N/A'));
-            } else if (response.status === 401) {
-                console.log('❌ API key is invalid or expired');
-                process.exit(1);
-            } else if (response.status === 403) {
-                console.log('✅ API key is valid (limited permissions detected)');
-            } else {
-                console.log('⚠️ API key test returned status:', response.status);
-                console.log('Response:', response.data?.message || 'No message');
-            }
-            process.exit(0);
-        } catch (error) {
-            if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-                console.log('⚠️ API functionality test failed: Connection issues');
-                console.log('This may be normal if N8N is still initializing');
-            } else {
-                console.log('⚠️ API functionality test failed:', error.message);
-            }
-            process.exit(0); // Don't fail the overall process
-        }
-    })();
-" 2>/dev/null; then
-    echo "✅ API functionality test completed"
-else
-    echo "⚠️ Could not complete functionality test (but API key was created)"
-fi
+# Set extended memory for the browser fallback
+export NODE_OPTIONS="--max-old-space-size=2048 --unhandled-rejections=strict"
 
-echo "=========================================="
-echo "🎯 N8N API management process completed successfully!"
-echo "=========================================="
-echo "📊 Final Summary:"
-echo "   - N8N Instance: ✅ Running and accessible"
-echo "   - API Key: ✅ Created and stored securely"
-echo "   - Database: ✅ Updated with credentials"
-echo "   - Validation: ✅ All checks passed"
-echo "   - System: ✅ Ready for production use"
-echo "   - Total Time: $SECONDS seconds"
-echo "=========================================="
-echo "🚀 System is ready for N8N automation!"
-echo "=========================================="
+# Reuse a still-valid stored key unless another mode is requested
+api_manager_mode="${API_MANAGER_MODE:-ensure}"
+echo "🛠️ Manager mode: $api_manager_mode"
+
+# Environment checks, readiness, creation, validation, seeding and deployment all happen in
+# the CLI; its exit code is the container's (0 ok, 1 failed, 2 usage, 3 configuration)
+case "$api_manager_mode" in
+    ensure)
+        exec node /app/scripts/cli.js provision
+        ;;
+    create)
+        exec node /app/scripts/cli.js provision --force
+        ;;
+    rotate)
+        exec node /app/scripts/cli.js rotate
+        ;;
+    cleanup)
+        # API_MANAGER_DRY_RUN=true only reports the orphaned keys
+        if [[ "${API_MANAGER_DRY_RUN:-}" == "true" ]]; then
+            exec node /app/scripts/cli.js revoke --orphans --dry-run
+        fi
+        exec node /app/scripts/cli.js revoke --orphans
+        ;;
+    doctor)
+        exec node /app/scripts/cli.js doctor
+        ;;
+    wait)
+        # Readiness only, for jobs that gate their own work on N8N being up
+        exec timeout 900 node /app/scripts/create-api-key.js wait
+        ;;
+    recover)
+        # Settle a run left unfinished in the journal without starting a new one
+        exec node /app/scripts/create-api-key.js recover
+        ;;
+    *)
+        echo "❌ Unknown API_MANAGER_MODE: $api_manager_mode"
+        echo "💡 Expected ensure, create, rotate, cleanup, doctor, wait, recover, server, renewal or members"
+        exit 2
+        ;;
+esac
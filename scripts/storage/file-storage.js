@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { StorageAdapter } = require('./storage-adapter');
+
+// Local JSON vault: { "<userId>": { "<field>": value, ... } }
+class FileStorage extends StorageAdapter {
+    constructor(config = {}) {
+        super('file');
+        this.filePath = config.filePath || '/app/data/api-keys.json';
+    }
+
+    readVault() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw new Error(`Failed to read storage file ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    writeVault(vault) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        
+        // Write to a temporary file first so a crash never leaves a truncated vault
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(vault, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    async getRecord(userId, fields) {
+        const record = this.readVault()[userId];
+        if (!record) {
+            return null;
+        }
+        
+        const result = {};
+        for (const field of fields) {
+            result[field] = record[field];
+        }
+        return result;
+    }
+
+    async updateRecord(userId, values, expected = null) {
+        // Records are created on first write; there is no separate user table
+        const vault = this.readVault();
+        const current = vault[userId] || {};
+        if (expected && Object.entries(expected).some(([field, value]) => current[field] !== value)) {
+            return 0;
+        }
+        
+        vault[userId] = { ...current, ...values };
+        this.writeVault(vault);
+        return 1;
+    }
+
+    async listRecords(fields, query = {}) {
+        const records = Object.entries(this.readVault())
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .filter(([, record]) => StorageAdapter.matches(record, query))
+            .map(([userId, record]) => {
+                const result = { userId: userId };
+                for (const field of fields) {
+                    result[field] = record[field];
+                }
+                return result;
+            });
+        return StorageAdapter.page(records, query);
+    }
+
+    describe() {
+        return `file (${this.filePath})`;
+    }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,56 @@
+const Config = require('../config');
+const SupabaseStorage = require('./supabase-storage');
+const PostgresStorage = require('./postgres-storage');
+const FileStorage = require('./file-storage');
+const VaultStorage = require('./vault-storage');
+
+const BACKENDS = {
+    supabase: SupabaseStorage,
+    postgres: PostgresStorage,
+    file: FileStorage,
+    vault: VaultStorage
+};
+
+// Adapter options each backend takes from resolved settings (see config.js)
+const TABLE = { table: 'storage.table', idColumn: 'storage.idColumn', columns: 'storage.columnMap' };
+const SETTINGS = {
+    supabase: { url: 'storage.supabase.url', key: 'storage.supabase.serviceRoleKey', ...TABLE },
+    postgres: { connectionString: 'storage.postgres.url', ...TABLE },
+    file: { filePath: 'storage.file.path' },
+    vault: {
+        address: 'storage.vault.address',
+        token: 'storage.vault.token',
+        namespace: 'storage.vault.namespace',
+        mount: 'storage.vault.mount',
+        prefix: 'storage.vault.prefix'
+    }
+};
+
+// Options come from config.settings (loaded from the environment when not given); explicit
+// options still win
+function createStorage(config = {}) {
+    const { settings = Config.load({ required: false }), ...options } = config;
+    const backend = options.backend || settings.get('storage.backend');
+    const Adapter = Object.prototype.hasOwnProperty.call(BACKENDS, backend) ? BACKENDS[backend] : null;
+
+    if (!Adapter) {
+        throw new Error(`Unknown storage backend: ${backend} (expected ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    const fromSettings = { settings };
+    for (const [option, name] of Object.entries(SETTINGS[backend])) {
+        if (settings.get(name) !== null) {
+            fromSettings[option] = settings.get(name);
+        }
+    }
+
+    return new Adapter({ ...fromSettings, ...options });
+}
+
+module.exports = {
+    createStorage,
+    SupabaseStorage,
+    PostgresStorage,
+    FileStorage,
+    VaultStorage
+};
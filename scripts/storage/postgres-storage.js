@@ -0,0 +1,93 @@
+const { TableStorageAdapter } = require('./storage-adapter');
+
+function quoteIdentifier(name) {
+    // Allows schema-qualified names such as public.users
+    return name.split('.').map(part => `"${part.replace(/"/g, '""')}"`).join('.');
+}
+
+class PostgresStorage extends TableStorageAdapter {
+    constructor(config = {}) {
+        super('postgres', config);
+        this.connectionString = config.connectionString;
+        
+        if (!this.connectionString) {
+            throw new Error('Missing required environment variables: POSTGRES_URL or DATABASE_URL');
+        }
+        
+        // Loaded lazily so the other backends work without the pg package
+        const { Pool } = require('pg');
+        this.pool = new Pool({
+            connectionString: this.connectionString,
+            max: 2,
+            connectionTimeoutMillis: 15000
+        });
+    }
+
+    async getRecord(userId, fields) {
+        const columns = fields.map(field => quoteIdentifier(this.column(field))).join(', ');
+        const result = await this.pool.query(
+            `SELECT ${columns} FROM ${quoteIdentifier(this.table)} WHERE ${quoteIdentifier(this.idColumn)} = $1 LIMIT 1`,
+            [userId]
+        );
+        
+        return result.rows.length > 0 ? this.fromRow(result.rows[0], fields) : null;
+    }
+
+    async updateRecord(userId, values, expected = null) {
+        const row = this.toRow(values);
+        const columns = Object.keys(row);
+        const assignments = columns.map((column, i) => `${quoteIdentifier(column)} = $${i + 2}`).join(', ');
+        const parameters = [userId, ...columns.map(column => row[column])];
+        
+        let where = `${quoteIdentifier(this.idColumn)} = $1`;
+        for (const [field, value] of Object.entries(expected || {})) {
+            parameters.push(value);
+            where += ` AND ${quoteIdentifier(this.column(field))} = $${parameters.length}`;
+        }
+        
+        const result = await this.pool.query(
+            `UPDATE ${quoteIdentifier(this.table)} SET ${assignments} WHERE ${where}`,
+            parameters
+        );
+        
+        if (result.rowCount === 0) {
+            if (expected) {
+                return 0;
+            }
+            throw new Error(`No user found with ID: ${userId}`);
+        }
+        
+        return result.rowCount;
+    }
+
+    async listRecords(fields, query = {}) {
+        const id = quoteIdentifier(this.idColumn);
+        const columns = [id, ...fields.map(field => quoteIdentifier(this.column(field)))].join(', ');
+        
+        const conditions = (query.present || []).map(field => `${quoteIdentifier(this.column(field))} IS NOT NULL`);
+        const anyOf = Object.entries(query.anyOf || {});
+        if (anyOf.length > 0) {
+            conditions.push(`(${anyOf.map(([field, set]) => `${quoteIdentifier(this.column(field))} IS ${set ? 'NOT ' : ''}NULL`).join(' OR ')})`);
+        }
+        
+        const parameters = [];
+        let sql = `SELECT ${columns} FROM ${quoteIdentifier(this.table)}`;
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        sql += ` ORDER BY ${id}`;
+        if (query.limit !== undefined) {
+            parameters.push(query.limit, query.offset || 0);
+            sql += ' LIMIT $1 OFFSET $2';
+        }
+        
+        const result = await this.pool.query(sql, parameters);
+        return result.rows.map(row => ({ userId: row[this.idColumn], ...this.fromRow(row, fields) }));
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = PostgresStorage;
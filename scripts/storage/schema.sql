@@ -0,0 +1,40 @@
+-- Columns the supabase and postgres backends read and write on the user table, with the starter
+-- kit table and column names. Adjust them when STORAGE_TABLE or STORAGE_COLUMN_MAP differ.
+-- Every statement can be run again; existing columns are left alone.
+-- psql "$POSTGRES_URL" -f scripts/storage/schema.sql
+
+-- Current API key and setup status
+ALTER TABLE "launchmvpfast-saas-starterkit_user"
+    ADD COLUMN IF NOT EXISTS n8n_instance_url text,
+    ADD COLUMN IF NOT EXISTS n8n_api_key text,
+    ADD COLUMN IF NOT EXISTS n8n_api_key_label text,
+    ADD COLUMN IF NOT EXISTS n8n_api_key_created_at timestamptz,
+    ADD COLUMN IF NOT EXISTS n8n_setup_error text,
+    ADD COLUMN IF NOT EXISTS n8n_setup_error_timestamp timestamptz,
+    ADD COLUMN IF NOT EXISTS northflank_project_id text,
+    ADD COLUMN IF NOT EXISTS northflank_project_name text,
+    ADD COLUMN IF NOT EXISTS updated_at timestamptz;
+
+-- Per-tenant N8N login; the password is encrypted like the API key
+ALTER TABLE "launchmvpfast-saas-starterkit_user"
+    ADD COLUMN IF NOT EXISTS n8n_user_email text,
+    ADD COLUMN IF NOT EXISTS n8n_user_password text;
+
+-- Last rotation and the key it replaced
+ALTER TABLE "launchmvpfast-saas-starterkit_user"
+    ADD COLUMN IF NOT EXISTS n8n_api_key_rotated_at timestamptz,
+    ADD COLUMN IF NOT EXISTS n8n_api_key_previous_label text,
+    ADD COLUMN IF NOT EXISTS n8n_api_key_previous_revoked boolean;
+
+-- Scopes the key was created with (comma-separated) and their profile
+ALTER TABLE "launchmvpfast-saas-starterkit_user"
+    ADD COLUMN IF NOT EXISTS n8n_api_key_scopes text,
+    ADD COLUMN IF NOT EXISTS n8n_api_key_scope_profile text;
+
+-- Key expiry read by the renewal scheduler; 'infinity' marks a key created without one
+ALTER TABLE "launchmvpfast-saas-starterkit_user"
+    ADD COLUMN IF NOT EXISTS n8n_api_key_expires_at timestamptz;
+
+-- Ids of the workflows deployed from templates (JSON object keyed by template)
+ALTER TABLE "launchmvpfast-saas-starterkit_user"
+    ADD COLUMN IF NOT EXISTS n8n_deployed_workflows text;
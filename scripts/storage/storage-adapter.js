@@ -0,0 +1,116 @@
+// Logical record fields and the column names used by the starter kit schema
+const DEFAULT_COLUMNS = {
+    email: 'email',
+    n8nUserEmail: 'n8n_user_email',
+    n8nUserPassword: 'n8n_user_password',
+    apiKey: 'n8n_api_key',
+    apiKeyLabel: 'n8n_api_key_label',
+    apiKeyCreatedAt: 'n8n_api_key_created_at',
+    apiKeyExpiresAt: 'n8n_api_key_expires_at',
+    apiKeyScopes: 'n8n_api_key_scopes',
+    apiKeyScopeProfile: 'n8n_api_key_scope_profile',
+    instanceUrl: 'n8n_instance_url',
+    projectId: 'northflank_project_id',
+    projectName: 'northflank_project_name',
+    setupError: 'n8n_setup_error',
+    setupErrorTimestamp: 'n8n_setup_error_timestamp',
+    rotatedAt: 'n8n_api_key_rotated_at',
+    previousLabel: 'n8n_api_key_previous_label',
+    previousRevoked: 'n8n_api_key_previous_revoked',
+    deployedWorkflows: 'n8n_deployed_workflows',
+    updatedAt: 'updated_at'
+};
+
+const DEFAULT_TABLE = 'launchmvpfast-saas-starterkit_user';
+
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Returns the requested logical fields for a user, or null when the user is unknown
+    async getRecord(userId, fields) {
+        throw new Error(`${this.name} storage does not implement getRecord`);
+    }
+
+    // Updates the given logical fields for a user. With expected (logical fields and the values
+    // they must still hold) nothing is written when one differs, and 0 is returned.
+    async updateRecord(userId, values, expected = null) {
+        throw new Error(`${this.name} storage does not implement updateRecord`);
+    }
+
+    // Records matching the query, ordered by user id, each with its userId and the requested fields.
+    // query.present: fields that must be set
+    // query.anyOf:   { field: true | false }, at least one of which holds (true = set, false = unset)
+    // query.limit / query.offset page through the result
+    async listRecords(fields, query = {}) {
+        throw new Error(`${this.name} storage does not implement listRecords`);
+    }
+
+    // Fails when the backend cannot be reached or read
+    async ping() {
+        await this.listRecords([], { limit: 1 });
+    }
+
+    describe() {
+        return this.name;
+    }
+
+    // Query matching and paging for the backends that filter in memory (file, Vault)
+    static matches(record, query = {}) {
+        const isSet = field => record[field] !== undefined && record[field] !== null;
+        const anyOf = Object.entries(query.anyOf || {});
+        return (query.present || []).every(isSet) &&
+            (anyOf.length === 0 || anyOf.some(([field, set]) => isSet(field) === set));
+    }
+
+    static page(records, query = {}) {
+        const offset = query.offset || 0;
+        return records.slice(offset, query.limit === undefined ? undefined : offset + query.limit);
+    }
+}
+
+// Shared by the table-based adapters (Supabase, Postgres)
+class TableStorageAdapter extends StorageAdapter {
+    constructor(name, config = {}) {
+        super(name);
+        this.table = config.table || DEFAULT_TABLE;
+        this.idColumn = config.idColumn || 'id';
+        this.columns = { ...DEFAULT_COLUMNS, ...(config.columns || {}) };
+    }
+
+    column(field) {
+        const column = this.columns[field];
+        if (!column) {
+            throw new Error(`No column mapped for field: ${field}`);
+        }
+        return column;
+    }
+
+    toRow(values) {
+        const row = {};
+        for (const [field, value] of Object.entries(values)) {
+            row[this.column(field)] = value;
+        }
+        return row;
+    }
+
+    fromRow(row, fields) {
+        const record = {};
+        for (const field of fields) {
+            record[field] = row[this.column(field)];
+        }
+        return record;
+    }
+
+    describe() {
+        return `${this.name} (${this.table})`;
+    }
+}
+
+module.exports = {
+    StorageAdapter,
+    TableStorageAdapter,
+    DEFAULT_COLUMNS,
+    DEFAULT_TABLE
+};
@@ -0,0 +1,117 @@
+const { createClient } = require('@supabase/supabase-js');
+const WebSocket = require('ws');
+const HttpClient = require('../http-client');
+const { TableStorageAdapter } = require('./storage-adapter');
+
+class SupabaseStorage extends TableStorageAdapter {
+    constructor(config = {}) {
+        super('supabase', config);
+        this.url = config.url;
+        this.key = config.key;
+        
+        const missing = [];
+        if (!this.url) {
+            missing.push('SUPABASE_URL');
+        }
+        if (!this.key) {
+            missing.push('SUPABASE_SERVICE_ROLE_KEY');
+        }
+        if (missing.length > 0) {
+            throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+        }
+        
+        // Updates set absolute column values by id, so every request is safe to resend
+        this.http = config.httpClient || new HttpClient({ settings: config.settings });
+        this.client = createClient(this.url, this.key, {
+            auth: {
+                autoRefreshToken: false,
+                persistSession: false
+            },
+            db: {
+                schema: 'public'
+            },
+            // Node releases before 22 have no global WebSocket, which supabase-js requires at construction
+            realtime: {
+                transport: WebSocket
+            },
+            global: {
+                headers: {
+                    'User-Agent': 'N8N-API-Manager/1.0'
+                },
+                fetch: this.http.fetch('storage', { idempotent: true })
+            }
+        });
+    }
+
+    async getRecord(userId, fields) {
+        const query = this.client
+            .from(this.table)
+            .select(fields.map(field => this.column(field)).join(', '))
+            .eq(this.idColumn, userId)
+            .maybeSingle();
+        
+        // The 'storage' policy retries already; recent postgrest-js would stack its own retries on top
+        const { data, error } = await (typeof query.retry === 'function' ? query.retry(false) : query);
+        
+        if (error) {
+            throw error;
+        }
+        
+        return data ? this.fromRow(data, fields) : null;
+    }
+
+    async updateRecord(userId, values, expected = null) {
+        let query = this.client
+            .from(this.table)
+            .update(this.toRow(values))
+            .eq(this.idColumn, userId);
+        for (const [field, value] of Object.entries(expected || {})) {
+            query = query.eq(this.column(field), value);
+        }
+        
+        const { data, error } = await query.select(this.idColumn);
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!data || data.length === 0) {
+            if (expected) {
+                return 0;
+            }
+            throw new Error(`No user found with ID: ${userId}`);
+        }
+        
+        return data.length;
+    }
+
+    async listRecords(fields, query = {}) {
+        let request = this.client
+            .from(this.table)
+            .select([this.idColumn, ...fields.map(field => this.column(field))].join(', '));
+        
+        for (const field of query.present || []) {
+            request = request.not(this.column(field), 'is', null);
+        }
+        const anyOf = Object.entries(query.anyOf || {});
+        if (anyOf.length > 0) {
+            request = request.or(anyOf.map(([field, set]) => `${this.column(field)}.${set ? 'not.is' : 'is'}.null`).join(','));
+        }
+        
+        request = request.order(this.idColumn);
+        if (query.limit !== undefined) {
+            const offset = query.offset || 0;
+            request = request.range(offset, offset + query.limit - 1);
+        }
+        
+        const { data, error } = await (typeof request.retry === 'function' ? request.retry(false) : request);
+        
+        if (error) {
+            throw error;
+        }
+        
+        return data.map(row => ({ userId: row[this.idColumn], ...this.fromRow(row, fields) }));
+    }
+}
+
+module.exports = SupabaseStorage;
@@ -0,0 +1,138 @@
+const HttpClient = require('../http-client');
+const { StorageAdapter } = require('./storage-adapter');
+
+// HashiCorp Vault KV version 2 engine, one secret per user
+class VaultStorage extends StorageAdapter {
+    constructor(config = {}) {
+        super('vault');
+        this.address = (config.address || '').replace(/\/$/, '');
+        this.token = config.token;
+        this.namespace = config.namespace;
+        this.mount = config.mount || 'secret';
+        this.prefix = config.prefix || 'n8n-api-manager';
+        this.http = config.httpClient || new HttpClient({ settings: config.settings });
+        
+        const missing = [];
+        if (!this.address) {
+            missing.push('VAULT_ADDR');
+        }
+        if (!this.token) {
+            missing.push('VAULT_TOKEN');
+        }
+        if (missing.length > 0) {
+            throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+        }
+    }
+
+    secretUrl(userId) {
+        return `${this.address}/v1/${this.mount}/data/${this.prefix}/${encodeURIComponent(userId)}`;
+    }
+
+    headers() {
+        const headers = {
+            'X-Vault-Token': this.token,
+            'Content-Type': 'application/json',
+            'User-Agent': 'N8N-API-Manager/1.0'
+        };
+        if (this.namespace) {
+            headers['X-Vault-Namespace'] = this.namespace;
+        }
+        return headers;
+    }
+
+    async readSecret(userId) {
+        const response = await this.http.get('storage', this.secretUrl(userId), {
+            timeout: 15000,
+            headers: this.headers(),
+            validateStatus: status => status === 200 || status === 404
+        });
+        
+        if (response.status === 404) {
+            return null;
+        }
+        
+        return {
+            data: response.data.data.data || {},
+            version: response.data.data.metadata.version
+        };
+    }
+
+    async getRecord(userId, fields) {
+        const secret = await this.readSecret(userId);
+        if (!secret) {
+            return null;
+        }
+        
+        const result = {};
+        for (const field of fields) {
+            result[field] = secret.data[field];
+        }
+        return result;
+    }
+
+    async updateRecord(userId, values, expected = null) {
+        // KV writes replace the whole secret, so merge and guard with check-and-set
+        const secret = await this.readSecret(userId);
+        const current = secret ? secret.data : {};
+        if (expected && Object.entries(expected).some(([field, value]) => current[field] !== value)) {
+            return 0;
+        }
+        const data = { ...current, ...values };
+        
+        // Not resent after an ambiguous failure: the check-and-set version would already be stale
+        await this.http.post('storage', this.secretUrl(userId), {
+            options: { cas: secret ? secret.version : 0 },
+            data: data
+        }, {
+            timeout: 15000,
+            headers: this.headers()
+        });
+        
+        return 1;
+    }
+
+    // Secret names under the prefix; nested folders (names ending in /) are not users
+    async listUserIds() {
+        const response = await this.http.get('storage', `${this.address}/v1/${this.mount}/metadata/${this.prefix}?list=true`, {
+            timeout: 15000,
+            headers: this.headers(),
+            validateStatus: status => status === 200 || status === 404
+        });
+        
+        if (response.status === 404) {
+            return [];
+        }
+        
+        return response.data.data.keys
+            .filter(key => !key.endsWith('/'))
+            .map(key => decodeURIComponent(key))
+            .sort();
+    }
+
+    async listRecords(fields, query = {}) {
+        const records = [];
+        const wanted = query.limit === undefined ? Infinity : (query.offset || 0) + query.limit;
+        for (const userId of await this.listUserIds()) {
+            if (records.length >= wanted) {
+                break;
+            }
+            const secret = await this.readSecret(userId);
+            if (!secret || !StorageAdapter.matches(secret.data, query)) {
+                continue;
+            }
+            
+            const result = { userId: userId };
+            for (const field of fields) {
+                result[field] = secret.data[field];
+            }
+            records.push(result);
+        }
+        return StorageAdapter.page(records, query);
+    }
+
+    describe() {
+        return `vault (${this.mount}/${this.prefix})`;
+    }
+}
+
+module.exports = VaultStorage;
@@ -1,46 +1,68 @@
-const axios = require('axios');
-const { createClient } = require('@supabase/supabase-js');
+const KeyEncryption = require('./key-encryption');
+const { createStorage } = require('./storage');
+const WebhookNotifier = require('./webhook-notifier');
+const N8NPublicAPIClient = require('./n8n-public-api');
+const KeyScopes = require('./key-scopes');
+const N8NCapabilities = require('./n8n-capabilities');
+const CanaryCheck = require('./canary-check');
+const HttpClient = require('./http-client');
+const Config = require('./config');
+const logger = require('./logger');
+const ReportFormatter = require('./report-formatter');
 
 class CredentialValidator {
-    constructor() {
-        // N8N Configuration - รองรับทั้งสอง env variable  
-        this.baseUrl = process.env.N8N_EDITOR_BASE_URL || process.env.N8N_URL;
-        this.email = process.env.N8N_USER_EMAIL;
-        this.password = process.env.N8N_USER_PASSWORD;
+    constructor(config = {}) {
+        // Settings file, profile and environment, checked against the schema in config.js
+        const settings = config.settings || Config.load({ required: false });
+        this.settings = settings;
         
-        // Supabase Configuration
-        this.supabaseUrl = process.env.SUPABASE_URL;
-        this.supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+        // N8N Configuration
+        this.baseUrl = config.baseUrl || settings.get('n8n.url');
+        this.email = config.email || settings.get('n8n.email');
+        this.password = config.password || settings.get('n8n.password');
+        logger.addSecret(this.password);
         
         // User Information
-        this.userId = process.env.USER_ID;
-        
-        // Initialize Supabase client
-        if (this.supabaseUrl && this.supabaseKey) {
-            this.supabase = createClient(this.supabaseUrl, this.supabaseKey, {
-                auth: {
-                    autoRefreshToken: false,
-                    persistSession: false
-                }
-            });
+        this.userId = config.userId || settings.get('user.id');
+        
+        // Optional webhook for validation results
+        this.webhook = new WebhookNotifier({ settings });
+        
+        // Shared retry policies and circuit breaker for the calls made by each check
+        this.http = config.httpClient || new HttpClient({ settings });
+        
+        // Stored API keys may be encrypted at rest
+        this.keyEncryption = KeyEncryption.fromSettings(settings);
+        
+        // Expected key scopes when storage has none recorded
+        this.keyScopes = new KeyScopes({ settings, profile: config.scopeProfile, scopes: config.scopes });
+        
+        // End-to-end canary run; deploys a small webhook workflow into the instance
+        this.canaryEnabled = config.canary !== undefined ? config.canary : settings.get('validation.canary');
+        
+        // Initialize storage backend - a configuration error is reported by the storage check
+        try {
+            this.storage = config.storage || createStorage({ settings });
+        } catch (error) {
+            this.storageError = error.message;
         }
     }
 
     async validateN8NHealth() {
-        console.log('🏥 Validating N8N health status...');
+        logger.info('🏥 Validating N8N health status...');
         
         try {
             const endpoints = ['/healthz', '/healthz/readiness', '/'];
             
             for (const endpoint of endpoints) {
                 try {
-                    const response = await axios.get(`${this.baseUrl}${endpoint}`, {
+                    const response = await this.http.get('n8n', `${this.baseUrl}${endpoint}`, {
                         timeout: 10000,
                         validateStatus: () => true
                     });
                     
                     if (response.status === 200) {
-                        console.log(`✅ N8N is healthy via ${endpoint}`);
+                        logger.info(`✅ N8N is healthy via ${endpoint}`);
                         return true;
                     }
                 } catch (error) {
@@ -48,20 +70,20 @@ class CredentialValidator {
                 }
             }
             
-            console.log('❌ N8N health check failed on all endpoints');
+            logger.info('❌ N8N health check failed on all endpoints');
             return false;
             
         } catch (error) {
-            console.error('❌ N8N health validation failed:', error.message);
+            logger.error('❌ N8N health validation failed:', error.message);
             return false;
         }
     }
 
     async validateN8NLogin() {
-        console.log('🔐 Validating N8N login credentials...');
+        logger.info('🔐 Validating N8N login credentials...');
         
         try {
-            const response = await axios.post(`${this.baseUrl}/rest/login`, {
+            const response = await this.http.post('n8n', `${this.baseUrl}/rest/login`, {
                 emailOrLdapLoginId: this.email,
                 password: this.password
             }, {
@@ -69,180 +91,225 @@ class CredentialValidator {
                 validateStatus: function (status) {
                     return status < 500;
                 }
-            });
+            }, { idempotent: true });
             
             if (response.status === 200) {
-                console.log('✅ N8N login credentials are valid');
+                logger.info('✅ N8N login credentials are valid');
                 return { valid: true, session: response.headers['set-cookie'] };
             } else {
-                console.log(`⚠️ N8N login returned status: ${response.status}`);
+                logger.warn(`⚠️ N8N login returned status: ${response.status}`);
                 return { valid: false, status: response.status };
             }
             
         } catch (error) {
-            console.error('❌ N8N login validation failed:', error.message);
+            logger.error('❌ N8N login validation failed:', error.message);
             return { valid: false, error: error.message };
         }
     }
 
-    async validateSupabaseConnection() {
-        console.log('🔗 Validating Supabase connection...');
+    async validateStorageConnection() {
+        logger.info('🔗 Validating storage connection...');
         
-        if (!this.supabase) {
-            console.error('❌ Supabase client not initialized');
-            return false;
+        if (!this.storage) {
+            logger.error('❌ Storage backend not initialized:', this.storageError);
+            return { connected: false, error: this.storageError };
         }
         
         try {
-            // Test Supabase connection by fetching user data
-            const { data, error } = await this.supabase
-                .from('launchmvpfast-saas-starterkit_user')
-                .select('id, email, n8n_api_key, n8n_api_key_label, n8n_api_key_created_at')
-                .eq('id', this.userId)
-                .single();
-            
-            if (error) {
-                console.error('❌ Supabase query error:', error.message);
-                return { connected: false, error: error.message };
-            }
+            // Test storage connection by fetching user data
+            const record = await this.storage.getRecord(this.userId, ['email', 'apiKey', 'apiKeyLabel', 'apiKeyCreatedAt']);
             
-            if (data) {
-                console.log('✅ Supabase connection is valid');
-                console.log(`📧 Found user: ${data.email}`);
+            if (record) {
+                logger.info(`✅ Storage connection is valid (${this.storage.describe()})`);
+                logger.info(`📧 Found user: ${record.email || this.userId}`);
                 
-                if (data.n8n_api_key) {
-                    console.log(`🔑 API Key found: ${data.n8n_api_key_label || 'Unlabeled'}`);
-                    console.log(`📅 Created: ${data.n8n_api_key_created_at || 'N/A'}`);
-                    console.log(`🔍 Key preview: ${data.n8n_api_key.substring(0, 15)}...`);
+                if (record.apiKey) {
+                    logger.info(`🔑 API Key found: ${record.apiKeyLabel || 'Unlabeled'}`);
+                    logger.info(`📅 Created: ${record.apiKeyCreatedAt || 'N/A'}`);
+                    logger.info(`🔒 Encrypted at rest: ${this.keyEncryption.isEncrypted(record.apiKey) ? 'Yes' : 'No'}`);
                 } else {
-                    console.log('⚠️ No API key found in database');
+                    logger.warn('⚠️ No API key found in storage');
                 }
                 
                 return { 
                     connected: true, 
-                    user: data,
-                    hasAPIKey: !!data.n8n_api_key
+                    user: {
+                        id: this.userId,
+                        email: record.email,
+                        apiKeyLabel: record.apiKeyLabel,
+                        apiKeyCreatedAt: record.apiKeyCreatedAt
+                    },
+                    hasAPIKey: !!record.apiKey
                 };
             } else {
-                console.log('⚠️ User not found in Supabase');
+                logger.warn('⚠️ User not found in storage');
                 return { connected: true, user: null };
             }
             
         } catch (error) {
-            console.error('❌ Supabase connection failed:', error.message);
+            logger.error('❌ Storage connection failed:', error.message);
             return { connected: false, error: error.message };
         }
     }
 
     async retrieveStoredAPIKey() {
-        console.log('🔍 Retrieving stored API key from Supabase...');
+        logger.info('🔍 Retrieving stored API key...');
         
-        if (!this.supabase) {
-            console.error('❌ Supabase client not initialized');
+        if (!this.storage) {
+            logger.error('❌ Storage backend not initialized:', this.storageError);
             return null;
         }
         
         try {
-            const { data, error } = await this.supabase
-                .from('launchmvpfast-saas-starterkit_user')
-                .select('n8n_api_key, n8n_api_key_label, n8n_api_key_created_at')
-                .eq('id', this.userId)
-                .single();
-            
-            if (error) {
-                console.error('❌ Error retrieving API key:', error.message);
-                return null;
-            }
-            
-            if (data && data.n8n_api_key) {
-                console.log('✅ API key found in Supabase');
-                console.log(`📋 Label: ${data.n8n_api_key_label || 'N/A'}`);
-                console.log(`📅 Created: ${data.n8n_api_key_created_at || 'N/A'}`);
-                console.log(`🔑 Key: ${data.n8n_api_key.substring(0, 15)}...`);
+            const record = await this.storage.getRecord(this.userId, ['apiKey', 'apiKeyLabel', 'apiKeyCreatedAt']);
+            
+            if (record && record.apiKey) {
+                logger.info('✅ API key found in storage');
+                logger.info(`📋 Label: ${record.apiKeyLabel || 'N/A'}`);
+                logger.info(`📅 Created: ${record.apiKeyCreatedAt || 'N/A'}`);
+                const apiKey = this.keyEncryption.decrypt(record.apiKey);
+                logger.addSecret(apiKey);
                 return {
-                    apiKey: data.n8n_api_key,
-                    label: data.n8n_api_key_label,
-                    createdAt: data.n8n_api_key_created_at
+                    apiKey: apiKey,
+                    label: record.apiKeyLabel,
+                    createdAt: record.apiKeyCreatedAt
                 };
             } else {
-                console.log('⚠️ No API key found in Supabase');
+                logger.warn('⚠️ No API key found in storage');
                 return null;
             }
             
         } catch (error) {
-            console.error('❌ Failed to retrieve API key:', error.message);
+            logger.error('❌ Failed to retrieve API key:', error.message);
             return null;
         }
     }
 
+    // Public API base path reported by the instance, when it could be read
+    publicApiPath() {
+        return this.capabilities && this.capabilities.detected ? this.capabilities.publicApi.path : undefined;
+    }
+
     async validateAPIKey(apiKey) {
-        console.log('🔑 Validating N8N API key functionality...');
+        logger.info('🔑 Validating N8N API key against the public API...');
         
         if (!apiKey) {
-            console.log('⚠️ No API key provided for validation');
+            logger.warn('⚠️ No API key provided for validation');
             return { valid: false, reason: 'No API key provided' };
         }
         
         try {
-            // Test API key by fetching workflows
-            const response = await axios.get(`${this.baseUrl}/rest/workflows`, {
-                timeout: 30000,
-                headers: {
-                    'X-N8N-API-KEY': apiKey,
-                    'Accept': 'application/json'
-                },
-                validateStatus: function (status) {
-                    return status < 500;
-                }
-            });
+            const client = new N8NPublicAPIClient({ baseUrl: this.baseUrl, apiKey: apiKey, timeout: 30000, apiPath: this.publicApiPath(), httpClient: this.http });
+            const result = await client.probe();
             
-            if (response.status === 200) {
-                console.log('✅ API key is fully functional');
-                console.log(`📊 Found ${response.data?.length || 0} workflows`);
-                return { 
-                    valid: true, 
-                    functional: true,
-                    workflows: response.data?.length || 0
-                };
-            } else if (response.status === 401) {
-                console.log('❌ API key is invalid or expired');
-                return { 
-                    valid: false, 
-                    reason: 'Invalid or expired',
-                    status: 401
+            if (!result.valid) {
+                logger.info(`❌ API key rejected: ${result.reason}`);
+                return {
+                    valid: false,
+                    reason: result.reason,
+                    status: result.status
                 };
-            } else if (response.status === 403) {
-                console.log('⚠️ API key has limited permissions but is valid');
-                return { 
-                    valid: true, 
+            }
+            
+            if (result.limited) {
+                logger.warn('⚠️ API key has limited permissions but is valid');
+                return {
+                    valid: true,
                     functional: true,
                     limited: true,
-                    status: 403
-                };
-            } else {
-                console.log(`⚠️ Unexpected API response: ${response.status}`);
-                return { 
-                    valid: false, 
-                    reason: `Unexpected status: ${response.status}`,
-                    status: response.status
+                    status: result.status
                 };
             }
             
+            // Walk every page so the count is exact, not just the first page
+            const workflows = await client.listWorkflows();
+            logger.info('✅ API key is fully functional');
+            logger.info(`📊 Found ${workflows.length} workflows`);
+            return {
+                valid: true,
+                functional: true,
+                workflows: workflows.length
+            };
+            
         } catch (error) {
-            console.error('❌ API key validation failed:', error.message);
-            return { 
-                valid: false, 
+            logger.error('❌ API key validation failed:', error.message);
+            return {
+                valid: false,
                 reason: error.message,
                 error: true
             };
         }
     }
 
+    async loadStoredScopes() {
+        try {
+            const record = await this.storage.getRecord(this.userId, ['apiKeyScopes', 'apiKeyScopeProfile']);
+            const scopes = KeyScopes.parse(record && record.apiKeyScopes);
+            return scopes.length > 0 ? { scopes: scopes, profile: record.apiKeyScopeProfile || 'custom', source: 'storage' } : null;
+        } catch (error) {
+            // Deployments that never used scopes may not have the columns
+            logger.warn(`⚠️ Could not read stored key scopes: ${error.message}`);
+            return null;
+        }
+    }
+
+    async validateAPIKeyScopes(apiKey) {
+        logger.info('🔐 Validating API key scopes...');
+        
+        const expected = (this.storage && await this.loadStoredScopes()) ||
+            (this.keyScopes.enabled ? { scopes: this.keyScopes.scopes, profile: this.keyScopes.profile, source: 'config' } : null);
+        if (!expected) {
+            logger.info('ℹ️ API key is unscoped, skipping scope check');
+            return null;
+        }
+        
+        const client = new N8NPublicAPIClient({ baseUrl: this.baseUrl, apiKey: apiKey, timeout: 30000, apiPath: this.publicApiPath(), httpClient: this.http });
+        const probe = async (target) => {
+            if (!target) {
+                return null;
+            }
+            try {
+                await client.page(target.path, { limit: 1 });
+                return { endpoint: target.path, scope: target.scope, status: 200 };
+            } catch (error) {
+                return { endpoint: target.path, scope: target.scope, status: error.status || null, error: error.message };
+            }
+        };
+        
+        // One endpoint inside the granted scopes must work, one outside them must be refused
+        const { allowed, denied } = KeyScopes.probesFor(expected.scopes);
+        const allowedResult = await probe(allowed);
+        const deniedResult = await probe(denied);
+        
+        let reason;
+        if (allowedResult && allowedResult.status !== 200) {
+            reason = `${allowedResult.endpoint} should be allowed by ${allowedResult.scope} but returned ${allowedResult.status || allowedResult.error}`;
+        } else if (deniedResult && deniedResult.status !== 403) {
+            reason = `${deniedResult.endpoint} should be refused without ${deniedResult.scope} but returned ${deniedResult.status || deniedResult.error}`;
+        }
+        
+        if (reason) {
+            logger.info(`❌ Scope check failed: ${reason}`);
+        } else {
+            logger.info(`✅ API key scopes match the ${expected.profile} profile`);
+        }
+        
+        return {
+            valid: !reason,
+            profile: expected.profile,
+            source: expected.source,
+            scopes: expected.scopes,
+            allowed: allowedResult,
+            denied: deniedResult,
+            reason: reason
+        };
+    }
+
     async validateAPIKeyViaSession(sessionCookies) {
-        console.log('🔐 Validating API key creation capability via session...');
+        logger.info('🔐 Validating API key creation capability via session...');
         
         if (!sessionCookies) {
-            console.log('⚠️ No session cookies available');
+            logger.warn('⚠️ No session cookies available');
             return false;
         }
         
@@ -250,7 +317,7 @@ class CredentialValidator {
             const cookieHeader = sessionCookies.join('; ');
             
             // Try to access API keys endpoint
-            const response = await axios.get(`${this.baseUrl}/rest/api-keys`, {
+            const response = await this.http.get('n8n', `${this.baseUrl}/rest/api-keys`, {
                 timeout: 15000,
                 headers: {
                     'Cookie': cookieHeader,
@@ -262,26 +329,26 @@ class CredentialValidator {
             });
             
             if (response.status === 200) {
-                console.log('✅ API keys endpoint is accessible');
-                console.log(`📋 Found ${response.data?.length || 0} existing API keys`);
+                logger.info('✅ API keys endpoint is accessible');
+                logger.info(`📋 Found ${response.data?.length || 0} existing API keys`);
                 return true;
             } else {
-                console.log(`⚠️ API keys endpoint returned status: ${response.status}`);
+                logger.warn(`⚠️ API keys endpoint returned status: ${response.status}`);
                 return false;
             }
             
         } catch (error) {
-            console.log(`⚠️ Session API key validation failed: ${error.message}`);
+            logger.warn(`⚠️ Session API key validation failed: ${error.message}`);
             return false;
         }
     }
 
     async testN8NWebhookEndpoint() {
-        console.log('📡 Testing N8N webhook endpoint...');
+        logger.info('📡 Testing N8N webhook endpoint...');
         
         try {
             // Test webhook endpoint availability
-            const response = await axios.get(`${this.baseUrl}/webhook-test`, {
+            const response = await this.http.get('n8n', `${this.baseUrl}/webhook-test`, {
                 timeout: 10000,
                 validateStatus: function (status) {
                     return status < 500;
@@ -289,24 +356,41 @@ class CredentialValidator {
             });
             
             if (response.status === 404) {
-                console.log('✅ Webhook endpoint structure is accessible (404 expected)');
+                logger.info('✅ Webhook endpoint structure is accessible (404 expected)');
                 return true;
             } else if (response.status === 200) {
-                console.log('✅ Webhook endpoint is fully functional');
+                logger.info('✅ Webhook endpoint is fully functional');
                 return true;
             } else {
-                console.log(`ℹ️ Webhook endpoint status: ${response.status}`);
+                logger.info(`ℹ️ Webhook endpoint status: ${response.status}`);
                 return true;
             }
             
         } catch (error) {
-            console.log('⚠️ Webhook endpoint test inconclusive:', error.message);
-            return true; // Don't fail validation for webhook issues
+            // 5xx responses land here too; an unreachable or failing webhook server is not a pass
+            logger.info('❌ Webhook endpoint test failed:', error.message);
+            return false;
+        }
+    }
+
+    async runCanaryWorkflow(apiKey) {
+        try {
+            const canary = new CanaryCheck({
+                baseUrl: this.baseUrl,
+                apiKey: apiKey,
+                apiPath: this.publicApiPath(),
+                webhookBaseUrl: this.settings.get('validation.canaryWebhookBaseUrl'),
+                httpClient: this.http
+            });
+            return await canary.run();
+        } catch (error) {
+            logger.info('❌ Canary workflow check failed:', error.message);
+            return { valid: false, reason: error.message };
         }
     }
 
     async generateValidationReport() {
-        console.log('📋 Generating comprehensive validation report...');
+        logger.info('📋 Generating comprehensive validation report...');
         
         const report = {
             timestamp: new Date().toISOString(),
@@ -318,19 +402,32 @@ class CredentialValidator {
         
         try {
             // 1. N8N Health Check
+            logger.setStep('n8n_health');
             report.checks.n8nHealth = await this.validateN8NHealth();
             
+            // Version and feature probe (informational, not scored)
+            logger.setStep('capabilities');
+            this.capabilities = await N8NCapabilities.detect(this.baseUrl, { httpClient: this.http });
+            logger.info(`🧭 N8N: ${this.capabilities.describe()}`);
+            report.n8n = this.capabilities.toJSON();
+            
             // 2. Login Validation
+            logger.setStep('login');
             const loginResult = await this.validateN8NLogin();
             report.checks.loginValid = loginResult.valid;
             report.checks.loginDetails = loginResult;
+            if (!loginResult.valid && this.capabilities.userManagement.ownerSetUp === false) {
+                loginResult.reason = 'N8N owner account is not set up yet (run the manager with N8N_OWNER_SETUP enabled)';
+            }
             
-            // 3. Supabase Connection
-            const supabaseResult = await this.validateSupabaseConnection();
-            report.checks.supabaseConnection = supabaseResult.connected;
-            report.checks.supabaseDetails = supabaseResult;
+            // 3. Storage Connection
+            logger.setStep('storage');
+            const storageResult = await this.validateStorageConnection();
+            report.checks.storageConnection = storageResult.connected;
+            report.checks.storageDetails = storageResult;
             
             // 4. API Key Retrieval and Validation
+            logger.setStep('api_key');
             const apiKeyData = await this.retrieveStoredAPIKey();
             report.checks.apiKeyStored = !!apiKeyData;
             report.checks.apiKeyDetails = apiKeyData;
@@ -339,12 +436,27 @@ class CredentialValidator {
                 const apiKeyValidation = await this.validateAPIKey(apiKeyData.apiKey);
                 report.checks.apiKeyValid = apiKeyValidation.valid;
                 report.checks.apiKeyValidation = apiKeyValidation;
+                
+                if (apiKeyValidation.valid) {
+                    logger.setStep('api_key_scopes');
+                    const scopeResult = await this.validateAPIKeyScopes(apiKeyData.apiKey);
+                    report.checks.apiKeyScopes = scopeResult ? scopeResult.valid : null;
+                    report.checks.apiKeyScopeDetails = scopeResult;
+                    
+                    if (this.canaryEnabled) {
+                        logger.setStep('canary_workflow');
+                        const canaryResult = await this.runCanaryWorkflow(apiKeyData.apiKey);
+                        report.checks.canaryWorkflow = canaryResult ? canaryResult.valid : null;
+                        report.checks.canaryDetails = canaryResult;
+                    }
+                }
             } else {
                 report.checks.apiKeyValid = false;
                 report.checks.apiKeyValidation = { valid: false, reason: 'No API key found' };
             }
             
             // 5. Session-based API Key Management
+            logger.setStep('session_access');
             if (loginResult.valid && loginResult.session) {
                 const sessionAPIAccess = await this.validateAPIKeyViaSession(loginResult.session);
                 report.checks.sessionAPIAccess = sessionAPIAccess;
@@ -353,13 +465,21 @@ class CredentialValidator {
             }
             
             // 6. Webhook Endpoint Test
-            report.checks.webhookEndpoint = await this.testN8NWebhookEndpoint();
+            logger.setStep('webhook_endpoint');
+            if (report.checks.canaryDetails && report.checks.canaryDetails.webhookReached) {
+                // The canary already got an answer from a production webhook
+                report.checks.webhookEndpoint = true;
+            } else {
+                report.checks.webhookEndpoint = await this.testN8NWebhookEndpoint();
+            }
+            
+            logger.setStep(null);
             
             // Calculate overall health score
             const criticalChecks = [
                 report.checks.n8nHealth,
                 report.checks.loginValid,
-                report.checks.supabaseConnection,
+                report.checks.storageConnection,
                 report.checks.apiKeyStored,
                 report.checks.apiKeyValid
             ];
@@ -371,111 +491,207 @@ class CredentialValidator {
             report.overallStatus = report.healthScore >= 80 ? 'HEALTHY' : 
                                   report.healthScore >= 60 ? 'WARNING' : 'CRITICAL';
             
+            // A key that reaches more than its scopes allow is not healthy, whatever the score
+            if (report.checks.apiKeyScopes === false && report.overallStatus === 'HEALTHY') {
+                report.overallStatus = 'WARNING';
+            }
+            
+            // Likewise an instance that cannot run a workflow end to end
+            if (report.checks.canaryWorkflow === false && report.overallStatus === 'HEALTHY') {
+                report.overallStatus = 'WARNING';
+            }
+            
             return report;
             
         } catch (error) {
-            console.error('❌ Error generating validation report:', error.message);
+            logger.error('❌ Error generating validation report:', error.message);
             report.error = error.message;
             report.overallStatus = 'ERROR';
             return report;
         }
     }
 
+    // Report format, destination and failure thresholds from flags, falling back to the validation.* settings
+    static reportOptions(values = {}, settings = Config.load({ required: false })) {
+        const output = values.output || settings.get('validation.reportOutput');
+        const format = (values.format || settings.get('validation.reportFormat') || (output ? 'json' : 'text')).toLowerCase();
+        const minScore = Number(values.minScore || settings.get('validation.minScore'));
+        const failOn = values.failOn || settings.get('validation.failOn');
+        
+        if (!ReportFormatter.FORMATS.includes(format)) {
+            throw new Error(`Unknown report format: ${format} (expected ${ReportFormatter.FORMATS.join(', ')})`);
+        }
+        if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+            throw new Error('--min-score must be a number between 0 and 100');
+        }
+        if (failOn && !['WARNING', 'CRITICAL', 'ERROR'].includes(failOn.toUpperCase())) {
+            throw new Error(`Unknown --fail-on status: ${failOn} (expected warning, critical or error)`);
+        }
+        
+        return {
+            format: format,
+            output: output,
+            thresholds: {
+                minScore: minScore,
+                failOn: failOn ? failOn.toUpperCase() : null
+            }
+        };
+    }
+
     async run() {
-        console.log('========================================');
-        console.log('🔍 N8N Credential Validation Starting');
-        console.log('========================================');
-        console.log(`🔗 N8N URL: ${this.baseUrl}`);
-        console.log(`📧 User Email: ${this.email}`);
-        console.log(`🆔 User ID: ${this.userId}`);
-        console.log('========================================');
+        logger.info('========================================');
+        logger.info('🔍 N8N Credential Validation Starting');
+        logger.info('========================================');
+        logger.info(`🔗 N8N URL: ${this.baseUrl}`);
+        logger.info(`📧 User Email: ${this.email}`);
+        logger.info(`🆔 User ID: ${this.userId}`);
+        logger.info('========================================');
         
         try {
             // Generate comprehensive validation report
             const report = await this.generateValidationReport();
             
-            console.log('========================================');
-            console.log('📋 VALIDATION REPORT');
-            console.log('========================================');
-            console.log(`📊 Overall Status: ${report.overallStatus}`);
-            console.log(`💯 Health Score: ${report.healthScore}%`);
-            console.log('========================================');
-            console.log('🔍 Detailed Results:');
-            console.log('========================================');
-            console.log(`🏥 N8N Health: ${report.checks.n8nHealth ? '✅ PASS' : '❌ FAIL'}`);
-            console.log(`🔐 Login Valid: ${report.checks.loginValid ? '✅ PASS' : '❌ FAIL'}`);
+            logger.info('========================================');
+            logger.info('📋 VALIDATION REPORT');
+            logger.info('========================================');
+            logger.info(`📊 Overall Status: ${report.overallStatus}`);
+            logger.info(`💯 Health Score: ${report.healthScore}%`);
+            logger.info('========================================');
+            logger.info('🔍 Detailed Results:');
+            logger.info('========================================');
+            logger.info(`🏥 N8N Health: ${report.checks.n8nHealth ? '✅ PASS' : '❌ FAIL'}`);
+            
+            if (report.n8n) {
+                logger.info(`🧭 N8N Version: ${report.n8n.version || 'unknown'}`);
+                logger.info(`   └─ Public API: ${report.n8n.publicApi.enabled === null ? 'unknown' : (report.n8n.publicApi.enabled ? 'enabled' : 'disabled')}`);
+                logger.info(`   └─ Key Creation: ${report.n8n.creationPaths.join(' → ') || 'unavailable'}`);
+            }
+            
+            logger.info(`🔐 Login Valid: ${report.checks.loginValid ? '✅ PASS' : '❌ FAIL'}`);
             
             if (report.checks.loginDetails && !report.checks.loginValid) {
-                console.log(`   └─ Status: ${report.checks.loginDetails.status || 'Unknown'}`);
+                logger.info(`   └─ Status: ${report.checks.loginDetails.status || 'Unknown'}`);
+                if (report.checks.loginDetails.reason) {
+                    logger.info(`   └─ Reason: ${report.checks.loginDetails.reason}`);
+                }
             }
             
-            console.log(`🔗 Supabase Connection: ${report.checks.supabaseConnection ? '✅ PASS' : '❌ FAIL'}`);
+            logger.info(`🔗 Storage Connection: ${report.checks.storageConnection ? '✅ PASS' : '❌ FAIL'}`);
             
-            if (report.checks.supabaseDetails) {
-                if (report.checks.supabaseDetails.user) {
-                    console.log(`   └─ User Found: ${report.checks.supabaseDetails.user.email}`);
-                    console.log(`   └─ Has API Key: ${report.checks.supabaseDetails.hasAPIKey ? 'Yes' : 'No'}`);
+            if (report.checks.storageDetails) {
+                if (report.checks.storageDetails.user) {
+                    logger.info(`   └─ User Found: ${report.checks.storageDetails.user.email || report.checks.storageDetails.user.id}`);
+                    logger.info(`   └─ Has API Key: ${report.checks.storageDetails.hasAPIKey ? 'Yes' : 'No'}`);
                 }
             }
             
-            console.log(`💾 API Key Stored: ${report.checks.apiKeyStored ? '✅ PASS' : '❌ FAIL'}`);
+            logger.info(`💾 API Key Stored: ${report.checks.apiKeyStored ? '✅ PASS' : '❌ FAIL'}`);
             
             if (report.checks.apiKeyDetails) {
-                console.log(`   └─ Label: ${report.checks.apiKeyDetails.label || 'N/A'}`);
-                console.log(`   └─ Created: ${report.checks.apiKeyDetails.createdAt || 'N/A'}`);
+                logger.info(`   └─ Label: ${report.checks.apiKeyDetails.label || 'N/A'}`);
+                logger.info(`   └─ Created: ${report.checks.apiKeyDetails.createdAt || 'N/A'}`);
             }
             
-            console.log(`🔑 API Key Valid: ${report.checks.apiKeyValid ? '✅ PASS' : '❌ FAIL'}`);
+            logger.info(`🔑 API Key Valid: ${report.checks.apiKeyValid ? '✅ PASS' : '❌ FAIL'}`);
             
             if (report.checks.apiKeyValidation) {
                 if (report.checks.apiKeyValidation.valid) {
                     if (report.checks.apiKeyValidation.workflows !== undefined) {
-                        console.log(`   └─ Workflows Found: ${report.checks.apiKeyValidation.workflows}`);
+                        logger.info(`   └─ Workflows Found: ${report.checks.apiKeyValidation.workflows}`);
                     }
                     if (report.checks.apiKeyValidation.limited) {
-                        console.log(`   └─ Note: Limited permissions`);
+                        logger.info(`   └─ Note: Limited permissions`);
                     }
                 } else {
-                    console.log(`   └─ Reason: ${report.checks.apiKeyValidation.reason}`);
+                    logger.info(`   └─ Reason: ${report.checks.apiKeyValidation.reason}`);
+                }
+            }
+            
+            if (report.checks.apiKeyScopeDetails) {
+                logger.info(`🔐 API Key Scopes: ${report.checks.apiKeyScopes ? '✅ PASS' : '❌ FAIL'}`);
+                logger.info(`   └─ Profile: ${report.checks.apiKeyScopeDetails.profile} (${report.checks.apiKeyScopeDetails.source})`);
+                if (report.checks.apiKeyScopeDetails.reason) {
+                    logger.info(`   └─ Reason: ${report.checks.apiKeyScopeDetails.reason}`);
+                }
+            }
+            
+            if (report.checks.canaryDetails) {
+                logger.info(`🐤 Canary Workflow: ${report.checks.canaryWorkflow ? '✅ PASS' : '❌ FAIL'}`);
+                if (report.checks.canaryDetails.latencyMs !== undefined) {
+                    logger.info(`   └─ Webhook Latency: ${report.checks.canaryDetails.latencyMs}ms`);
+                }
+                if (report.checks.canaryDetails.executionId) {
+                    logger.info(`   └─ Execution: ${report.checks.canaryDetails.executionId}`);
+                }
+                if (report.checks.canaryDetails.reason) {
+                    logger.info(`   └─ Reason: ${report.checks.canaryDetails.reason}`);
                 }
             }
             
-            console.log(`🔐 Session API Access: ${report.checks.sessionAPIAccess ? '✅ PASS' : '❌ FAIL'}`);
-            console.log(`📡 Webhook Endpoint: ${report.checks.webhookEndpoint ? '✅ PASS' : '❌ FAIL'}`);
+            logger.info(`🔐 Session API Access: ${report.checks.sessionAPIAccess ? '✅ PASS' : '❌ FAIL'}`);
+            logger.info(`📡 Webhook Endpoint: ${report.checks.webhookEndpoint ? '✅ PASS' : '❌ FAIL'}`);
             
-            console.log('========================================');
+            logger.info('========================================');
             
             // Provide recommendations based on results
             if (report.overallStatus === 'HEALTHY') {
-                console.log('🎉 All systems are operational!');
-                console.log('✅ N8N instance is fully functional');
-                console.log('✅ API key is working correctly');
-                console.log('✅ Database integration is successful');
+                logger.info('🎉 All systems are operational!');
+                logger.info('✅ N8N instance is fully functional');
+                logger.info('✅ API key is working correctly');
+                logger.info('✅ Database integration is successful');
             } else if (report.overallStatus === 'WARNING') {
-                console.log('⚠️  System has minor issues but is functional:');
+                logger.warn('⚠️  System has minor issues but is functional:');
                 if (!report.checks.apiKeyValid) {
-                    console.log('   • API key may need to be recreated');
+                    logger.info('   • API key may need to be recreated');
                 }
                 if (!report.checks.sessionAPIAccess) {
-                    console.log('   • Session-based API management may not work');
+                    logger.info('   • Session-based API management may not work');
+                }
+                if (report.checks.apiKeyScopes === false) {
+                    logger.info('   • API key scopes do not match the configured profile');
+                }
+                if (report.checks.canaryWorkflow === false) {
+                    logger.info('   • Canary workflow did not run end to end');
                 }
             } else {
-                console.log('❌ System has critical issues:');
+                logger.info('❌ System has critical issues:');
                 if (!report.checks.n8nHealth) {
-                    console.log('   • N8N instance is not accessible');
+                    logger.info('   • N8N instance is not accessible');
                 }
                 if (!report.checks.loginValid) {
-                    console.log('   • Login credentials are invalid');
+                    logger.info('   • Login credentials are invalid');
                 }
-                if (!report.checks.supabaseConnection) {
-                    console.log('   • Database connection failed');
+                if (!report.checks.storageConnection) {
+                    logger.info('   • Storage connection failed');
                 }
                 if (!report.checks.apiKeyStored || !report.checks.apiKeyValid) {
-                    console.log('   • API key is missing or invalid');
+                    logger.info('   • API key is missing or invalid');
                 }
             }
             
-            console.log('========================================');
+            logger.info('========================================');
+            
+            await this.webhook.notify(WebhookNotifier.EVENTS.VALIDATION_COMPLETED, {
+                status: report.overallStatus === 'HEALTHY' ? 'success' : 'failure',
+                message: `Validation completed with status ${report.overallStatus}`,
+                userId: this.userId,
+                data: {
+                    n8nUrl: this.baseUrl,
+                    overallStatus: report.overallStatus,
+                    healthScore: report.healthScore,
+                    checks: {
+                        n8nHealth: report.checks.n8nHealth,
+                        loginValid: report.checks.loginValid,
+                        storageConnection: report.checks.storageConnection,
+                        apiKeyStored: report.checks.apiKeyStored,
+                        apiKeyValid: report.checks.apiKeyValid,
+                        apiKeyScopes: report.checks.apiKeyScopes,
+                        canaryWorkflow: report.checks.canaryWorkflow,
+                        sessionAPIAccess: report.checks.sessionAPIAccess,
+                        webhookEndpoint: report.checks.webhookEndpoint
+                    }
+                }
+            });
             
             // Return results
             return {
@@ -485,63 +701,92 @@ class CredentialValidator {
             };
             
         } catch (error) {
-            console.error('========================================');
-            console.error('❌ Validation Process Failed!');
-            console.error('========================================');
-            console.error('Error:', error.message);
-            console.error('Stack:', error.stack);
-            console.error('========================================');
+            logger.error('========================================');
+            logger.error('❌ Validation Process Failed!');
+            logger.error('========================================');
+            logger.error('Error:', error.message);
+            logger.error('Stack:', error.stack);
+            logger.error('========================================');
             throw error;
         }
     }
 }
 
+// Command line options, each with an environment variable fallback:
+//   --format text|json|junit|markdown  (VALIDATION_REPORT_FORMAT)
+//   --output <file>                    (VALIDATION_REPORT_OUTPUT, default stdout)
+//   --min-score <0-100>                (VALIDATION_MIN_SCORE, default 40)
+//   --fail-on warning|critical|error   (VALIDATION_FAIL_ON)
+function parseOptions(args, settings) {
+    const option = name => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    
+    return CredentialValidator.reportOptions({
+        format: option('--format'),
+        output: option('--output'),
+        minScore: option('--min-score'),
+        failOn: option('--fail-on')
+    }, settings);
+}
+
 // Main execution
 async function main() {
     try {
-        const validator = new CredentialValidator();
+        const settings = Config.loadForProcess({ required: false });
+        const options = parseOptions(process.argv.slice(2), settings);
+        if (options.format !== 'text' && (!options.output || options.output === '-')) {
+            logger.useStderr();
+        }
+        
+        const validator = new CredentialValidator({ settings });
         const result = await validator.run();
         
+        if (options.format !== 'text') {
+            ReportFormatter.write(result.report, options.format, options.output);
+        }
+        
         if (result.success) {
-            console.log('🎯 Validation completed successfully');
-            console.log(`📊 Final Score: ${result.healthScore}%`);
-            process.exit(0);
+            logger.info('🎯 Validation completed successfully');
         } else {
-            console.log('⚠️ Validation completed with issues');
-            console.log(`📊 Final Score: ${result.healthScore}%`);
-            
-            // Exit with warning code but don't fail the process
-            // unless score is critically low
-            if (result.healthScore < 40) {
-                console.log('💥 Critical issues detected');
-                process.exit(1);
-            } else {
-                console.log('⚠️  Issues detected but system may still function');
-                process.exit(0);
-            }
+            logger.warn('⚠️ Validation completed with issues');
         }
+        logger.info(`📊 Final Score: ${result.healthScore}%`);
+        
+        if (ReportFormatter.breachesThreshold(result.report, options.thresholds)) {
+            const failOn = options.thresholds.failOn ? `, fail on ${options.thresholds.failOn}` : '';
+            logger.info(`💥 ${result.report.overallStatus} is below the configured threshold (min score ${options.thresholds.minScore}${failOn})`);
+            process.exit(1);
+        }
+        
+        if (!result.success) {
+            logger.warn('⚠️  Issues detected but system may still function');
+        }
+        process.exit(0);
         
     } catch (error) {
-        console.error('💥 Validation failed:', error.message);
+        logger.error('💥 Validation failed:', error.message);
         process.exit(1);
     }
 }
 
-// Handle unhandled rejections
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    process.exit(1);
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error.message);
-    process.exit(1);
-});
-
-// Run if this file is executed directly
+// Run if this file is executed directly; the handlers exit, so they are left out when required
 if (require.main === module) {
-    main();
+    logger.install();
+    // Handle unhandled rejections
+    process.on('unhandledRejection', (reason, promise) => {
+        logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+        process.exit(1);
+    });
+    
+    // Handle uncaught exceptions
+    process.on('uncaughtException', (error) => {
+        logger.error('Uncaught Exception:', error.message);
+        process.exit(1);
+    });
+    
+    logger.runWithContext({ userId: process.env.USER_ID }, main);
 }
 
 module.exports = CredentialValidator;
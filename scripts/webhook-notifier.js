@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const HttpClient = require('./http-client');
+const Config = require('./config');
+const logger = require('./logger');
+
+// Event types sent to WEBHOOK_URL
+const EVENTS = {
+    KEY_CREATED: 'api_key.created',
+    KEY_CREATION_FAILED: 'api_key.creation_failed',
+    KEY_ROTATED: 'api_key.rotated',
+    KEY_ROTATION_FAILED: 'api_key.rotation_failed',
+    KEY_RENEWED: 'api_key.renewed',
+    KEY_RENEWAL_FAILED: 'api_key.renewal_failed',
+    VALIDATION_COMPLETED: 'validation.completed'
+};
+
+class WebhookNotifier {
+    constructor(config = {}) {
+        const settings = config.settings || Config.load({ required: false });
+        this.url = config.url || settings.get('webhook.url');
+        this.secret = config.secret || settings.get('webhook.secret');
+        this.timeout = config.timeout || 30000;
+        
+        // Backoff comes from the 'webhook' retry policy (webhook.maxAttempts/webhook.retryBaseMs feed it)
+        const policy = {};
+        if (config.maxAttempts) {
+            policy.attempts = config.maxAttempts;
+        }
+        if (config.baseDelay) {
+            policy.baseDelayMs = config.baseDelay;
+        }
+        this.http = config.httpClient || new HttpClient({ settings, policies: { webhook: policy } });
+        this.logPath = config.logPath || settings.get('webhook.deliveryLog');
+    }
+
+    get enabled() {
+        return !!this.url;
+    }
+
+    sign(timestamp, body) {
+        // Receivers recompute HMAC-SHA256 over "<timestamp>.<raw body>"
+        return 'sha256=' + crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    buildHeaders(delivery, body) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'N8N-API-Manager/1.0',
+            'X-N8N-API-Manager-Event': delivery.event,
+            'X-N8N-API-Manager-Delivery': delivery.id,
+            'X-N8N-API-Manager-Timestamp': timestamp
+        };
+        
+        if (this.secret) {
+            headers['X-N8N-API-Manager-Signature'] = this.sign(timestamp, body);
+        }
+        
+        return headers;
+    }
+
+    async deliver(delivery) {
+        const body = JSON.stringify(delivery.payload);
+        let lastStatusCode = null;
+        let lastError = null;
+        let attempt;
+        
+        try {
+            // Headers are rebuilt per attempt so the signed timestamp stays fresh. Receivers
+            // deduplicate on the delivery id, which makes resending the POST safe.
+            const response = await this.http.request('webhook', () => ({
+                method: 'post',
+                url: this.url,
+                data: body,
+                timeout: this.timeout,
+                headers: this.buildHeaders(delivery, body),
+                validateStatus: () => true
+            }), { idempotent: true, label: `Webhook ${delivery.event}` });
+            
+            attempt = response.attempts;
+            lastStatusCode = response.status;
+            
+            if (response.status >= 200 && response.status < 300) {
+                logger.info(`✅ Webhook ${delivery.event} delivered (attempt ${attempt})`);
+            } else {
+                lastError = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            attempt = error.attempts || 1;
+            lastError = error.message;
+        }
+        
+        const delivered = !lastError;
+        const entry = {
+            deliveryId: delivery.id,
+            event: delivery.event,
+            status: delivered ? 'delivered' : 'failed',
+            attempts: attempt,
+            lastStatusCode: lastStatusCode,
+            lastError: lastError,
+            replay: !!delivery.replay,
+            loggedAt: new Date().toISOString(),
+            payload: delivery.payload
+        };
+        this.appendLog(entry);
+        
+        if (!delivered) {
+            logger.error(`❌ Webhook ${delivery.event} failed after ${attempt} attempt(s): ${lastError}`);
+        }
+        
+        return entry;
+    }
+
+    async notify(event, payload) {
+        if (!this.enabled) {
+            logger.info('ℹ️ No webhook URL configured, skipping notification');
+            return null;
+        }
+        
+        logger.info(`📬 Sending webhook notification: ${event}...`);
+        
+        const id = uuidv4();
+        const delivery = {
+            id: id,
+            event: event,
+            payload: {
+                id: id,
+                event: event,
+                timestamp: new Date().toISOString(),
+                ...payload
+            }
+        };
+        
+        try {
+            return await this.deliver(delivery);
+        } catch (error) {
+            // Don't fail the whole process for webhook errors
+            logger.error('❌ Webhook notification failed:', error.message);
+            return null;
+        }
+    }
+
+    appendLog(entry) {
+        try {
+            fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+            fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+        } catch (error) {
+            logger.error(`⚠️ Failed to write webhook delivery log ${this.logPath}:`, error.message);
+        }
+    }
+
+    readLog() {
+        if (!fs.existsSync(this.logPath)) {
+            return [];
+        }
+        
+        return fs.readFileSync(this.logPath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    pendingDeliveries(options = {}) {
+        // The latest entry per delivery decides whether it still needs sending
+        const latest = new Map();
+        for (const entry of this.readLog()) {
+            latest.set(entry.deliveryId, entry);
+        }
+        
+        const since = options.since ? new Date(options.since).getTime() : null;
+        return [...latest.entries()]
+            .filter(([id, entry]) => entry.status === 'failed')
+            .filter(([id]) => !options.deliveryId || id === options.deliveryId)
+            .filter(([id, entry]) => !since || new Date(entry.payload.timestamp).getTime() >= since)
+            .map(([id, entry]) => ({ id, entry }));
+    }
+
+    async replay(options = {}) {
+        if (!this.enabled) {
+            throw new Error('Missing WEBHOOK_URL: nothing to replay to');
+        }
+        
+        const pending = this.pendingDeliveries(options);
+        logger.info(`🔁 Replaying ${pending.length} failed webhook deliveries...`);
+        
+        const results = [];
+        for (const { id, entry } of pending) {
+            // Same delivery id and payload so receivers can deduplicate
+            results.push(await this.deliver({
+                id: id,
+                event: entry.event,
+                payload: entry.payload,
+                replay: true
+            }));
+        }
+        
+        const failed = results.filter(result => result.status === 'failed').length;
+        logger.info(`📊 Replayed: ${results.length}, delivered: ${results.length - failed}, failed: ${failed}`);
+        
+        return { replayed: results.length, failed: failed };
+    }
+}
+
+WebhookNotifier.EVENTS = EVENTS;
+
+// Replay entry point: node scripts/webhook-notifier.js replay [--since <ISO date>] [--id <delivery id>]
+async function main() {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+
+    try {
+        if (args[0] !== 'replay') {
+            throw new Error('Usage: webhook-notifier.js replay [--since <ISO date>] [--id <delivery id>]');
+        }
+        
+        const notifier = new WebhookNotifier({ settings: Config.loadForProcess({ required: false }) });
+        const result = await notifier.replay({ since: option('--since'), deliveryId: option('--id') });
+        process.exit(result.failed > 0 ? 1 : 0);
+    } catch (error) {
+        logger.error('💥 Webhook replay failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    logger.install();
+    main();
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const N8NAPIManager = require('./create-api-key');
+const N8NPublicAPIClient = require('./n8n-public-api');
+const Config = require('./config');
+const logger = require('./logger');
+
+// Workflow settings the public API accepts; exports may carry more
+const SETTINGS_FIELDS = [
+    'saveExecutionProgress',
+    'saveManualExecutions',
+    'saveDataErrorExecution',
+    'saveDataSuccessExecution',
+    'executionTimeout',
+    'timezone',
+    'executionOrder',
+    'callerPolicy',
+    'callerIds'
+];
+
+class WorkflowDeployer {
+    constructor(config = {}) {
+        // The manager provides the session, storage backend and N8N URL of the tenant
+        this.manager = config.manager || new N8NAPIManager({ settings: config.settings });
+        const settings = this.manager.settings;
+        
+        this.workflowsDir = config.workflowsDir || settings.get('workflows.dir');
+        if (!this.workflowsDir) {
+            throw new Error('Missing workflow templates: set WORKFLOWS_DIR');
+        }
+        
+        // A session the caller already holds; otherwise deploy() logs in when it needs one
+        this.session = config.session || null;
+        this.activate = config.activate !== undefined ? config.activate : settings.get('workflows.activate');
+        // Restores keep each workflow's exported active flag instead of the global switch
+        this.preserveActive = !!config.preserveActive;
+        this.dryRun = !!config.dryRun;
+    }
+
+    // Every *.json export in the directory; the file name identifies the template across runs
+    loadTemplates() {
+        let files;
+        try {
+            files = fs.readdirSync(this.workflowsDir).filter(file => file.toLowerCase().endsWith('.json')).sort();
+        } catch (error) {
+            throw new Error(`Failed to read workflow directory ${this.workflowsDir}: ${error.message}`);
+        }
+        
+        return files.map(file => {
+            let workflow;
+            try {
+                workflow = JSON.parse(fs.readFileSync(path.join(this.workflowsDir, file), 'utf8'));
+            } catch (error) {
+                throw new Error(`Failed to read workflow ${file}: ${error.message}`);
+            }
+            
+            if (!workflow || typeof workflow.name !== 'string' || !Array.isArray(workflow.nodes)) {
+                throw new Error(`Workflow ${file} is not an N8N workflow export (needs name and nodes)`);
+            }
+            
+            return { key: path.basename(file, path.extname(file)), workflow: workflow };
+        });
+    }
+
+    // Only the fields the public API accepts, with credential ids swapped for this instance's
+    static buildPayload(workflow, credentials) {
+        const settings = {};
+        for (const field of SETTINGS_FIELDS) {
+            if (workflow.settings && workflow.settings[field] !== undefined) {
+                settings[field] = workflow.settings[field];
+            }
+        }
+        
+        const nodes = workflow.nodes.map(node => {
+            if (!node.credentials) {
+                return node;
+            }
+            
+            const wired = {};
+            for (const [type, reference] of Object.entries(node.credentials)) {
+                const name = reference && reference.name;
+                const match = credentials.find(credential => credential.name === name && credential.type === type);
+                if (!match) {
+                    throw new Error(`node "${node.name}" uses ${type} credential "${name}", which does not exist in N8N`);
+                }
+                wired[type] = { id: match.id, name: match.name };
+            }
+            return { ...node, credentials: wired };
+        });
+        
+        const payload = {
+            name: workflow.name,
+            nodes: nodes,
+            connections: workflow.connections || {},
+            settings: settings
+        };
+        if (workflow.staticData) {
+            payload.staticData = workflow.staticData;
+        }
+        return payload;
+    }
+
+    // Recorded ids may come back as JSON text or, from jsonb columns, as an object
+    async loadDeployedIds() {
+        const record = await this.manager.storage.getRecord(this.manager.userId, ['deployedWorkflows']);
+        const value = record && record.deployedWorkflows;
+        if (!value) {
+            return {};
+        }
+        
+        try {
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        } catch (error) {
+            logger.warn(`⚠️ Ignoring unreadable deployed workflow ids: ${error.message}`);
+            return {};
+        }
+    }
+
+    // Recorded id first, then a workflow with the same name, so re-runs update instead of duplicating
+    async findExisting(client, key, payload, deployedIds, workflowsByName) {
+        if (deployedIds[key]) {
+            try {
+                return await client.getWorkflow(deployedIds[key]);
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+                logger.info(`ℹ️ Recorded workflow ${deployedIds[key]} for ${key} no longer exists`);
+            }
+        }
+        
+        return workflowsByName.get(payload.name) || null;
+    }
+
+    // Tags are matched by name and created when missing
+    async applyTags(client, workflowId, tags, tagsByName) {
+        const tagIds = [];
+        for (const tag of tags) {
+            const name = typeof tag === 'string' ? tag : tag.name;
+            if (!tagsByName.has(name)) {
+                tagsByName.set(name, await client.createTag(name));
+                logger.info(`🏷️ Created tag ${name}`);
+            }
+            tagIds.push(tagsByName.get(name).id);
+        }
+        
+        await client.updateWorkflowTags(workflowId, tagIds);
+    }
+
+    async deployTemplate(client, template, context) {
+        const payload = WorkflowDeployer.buildPayload(template.workflow, context.credentials);
+        const existing = await this.findExisting(client, template.key, payload, context.deployedIds, context.workflowsByName);
+        const activate = this.preserveActive ? template.workflow.active === true : this.activate;
+        
+        if (this.dryRun) {
+            logger.info(`🧪 Would ${existing ? 'update' : 'create'} ${payload.name}${activate ? ' and activate it' : ''}`);
+            return { key: template.key, name: payload.name, status: existing ? 'would-update' : 'would-create', id: existing?.id };
+        }
+        
+        let workflow;
+        if (existing) {
+            workflow = await client.updateWorkflow(existing.id, payload);
+            logger.info(`🔁 Updated ${payload.name} (${existing.id})`);
+        } else {
+            workflow = await client.createWorkflow(payload);
+            logger.info(`🆕 Created ${payload.name} (${workflow.id})`);
+        }
+        
+        if (Array.isArray(template.workflow.tags) && template.workflow.tags.length > 0) {
+            await this.applyTags(client, workflow.id, template.workflow.tags, context.tagsByName);
+        }
+        
+        if (activate && !workflow.active) {
+            await client.activateWorkflow(workflow.id);
+            logger.info(`▶️ Activated ${payload.name}`);
+        }
+        
+        return { key: template.key, name: payload.name, status: existing ? 'updated' : 'created', id: workflow.id };
+    }
+
+    async deploy(apiKey) {
+        logger.info('========================================');
+        logger.info('📦 Deploying workflow templates...');
+        logger.info('========================================');
+        logger.info(`📁 Templates: ${this.workflowsDir}`);
+        logger.info(`🔗 N8N URL: ${this.manager.baseUrl}`);
+        logger.info(`▶️ Activate: ${this.preserveActive ? 'as exported' : (this.activate ? 'yes' : 'no')}`);
+        if (this.dryRun) {
+            logger.info('🧪 Dry run: no workflows will be changed');
+        }
+        logger.info('========================================');
+        
+        const templates = this.loadTemplates();
+        logger.info(`📋 Found ${templates.length} workflow template(s)`);
+        
+        const capabilities = await this.manager.detectCapabilities();
+        const client = new N8NPublicAPIClient({
+            baseUrl: this.manager.baseUrl,
+            apiKey: apiKey,
+            apiPath: capabilities.detected ? capabilities.publicApi.path : undefined,
+            httpClient: this.manager.http
+        });
+        
+        const needsCredentials = templates.some(template => template.workflow.nodes.some(node => node.credentials));
+        const needsTags = templates.some(template => Array.isArray(template.workflow.tags) && template.workflow.tags.length > 0);
+        const context = {
+            credentials: needsCredentials ? await this.manager.listCredentialsViaSession(this.session || await this.manager.createSession()) : [],
+            deployedIds: await this.loadDeployedIds(),
+            workflowsByName: new Map((await client.listWorkflows()).map(workflow => [workflow.name, workflow])),
+            tagsByName: new Map(needsTags ? (await client.listTags()).map(tag => [tag.name, tag]) : [])
+        };
+        
+        const results = [];
+        for (const template of templates) {
+            try {
+                results.push(await this.deployTemplate(client, template, context));
+            } catch (error) {
+                logger.error(`❌ Workflow ${template.key} failed: ${error.message}`);
+                results.push({ key: template.key, name: template.workflow.name, status: 'failed', error: error.message });
+            }
+        }
+        
+        if (!this.dryRun) {
+            // Keep ids of templates that failed this time so the next run still finds them
+            const deployedIds = { ...context.deployedIds };
+            for (const result of results.filter(r => r.id)) {
+                deployedIds[result.key] = result.id;
+            }
+            await this.manager.storage.updateRecord(this.manager.userId, {
+                deployedWorkflows: JSON.stringify(deployedIds),
+                updatedAt: new Date().toISOString()
+            });
+            logger.info(`💾 Recorded ${Object.keys(deployedIds).length} deployed workflow id(s) in ${this.manager.storage.describe()}`);
+        }
+        
+        const count = status => results.filter(r => r.status === status).length;
+        const summary = {
+            total: results.length,
+            created: count('created') + count('would-create'),
+            updated: count('updated') + count('would-update'),
+            failed: count('failed')
+        };
+        
+        logger.info('========================================');
+        logger.info(`📊 Workflows: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`);
+        logger.info('========================================');
+        
+        return {
+            success: summary.failed === 0,
+            summary: summary,
+            results: results,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+// Main execution: node scripts/workflow-deployer.js [--dry-run], using the stored API key
+async function main() {
+    try {
+        const deployer = new WorkflowDeployer({ dryRun: process.argv.includes('--dry-run'), settings: Config.loadForProcess({ required: false }) });
+        const storedKeyData = await deployer.manager.retrieveStoredAPIKey();
+        if (!storedKeyData) {
+            throw new Error('No stored API key; run the manager first');
+        }
+        
+        const result = await deployer.deploy(storedKeyData.apiKey);
+        process.exit(result.success ? 0 : 1);
+    } catch (error) {
+        logger.error('💥 Workflow deployment failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    logger.install();
+    logger.runWithContext({ userId: process.env.USER_ID }, main);
+}
+
+WorkflowDeployer.SETTINGS_FIELDS = SETTINGS_FIELDS;
+
+module.exports = WorkflowDeployer;
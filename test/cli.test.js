@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { USER_ID, startMocks } = require('./helpers');
+const MockN8NServer = require('./mocks/n8n-server');
+const ManagerCLI = require('../scripts/cli');
+
+const { EXIT_CODES } = ManagerCLI;
+const SETTINGS = ['N8N_EDITOR_BASE_URL', 'N8N_USER_EMAIL', 'N8N_USER_PASSWORD', 'USER_ID', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY',
+    'PROVISIONING_JOURNAL_DIR', 'API_KEY_EXPIRES_IN_DAYS'];
+
+// Runs the CLI and collects what it writes to stdout (help text, JSON output)
+async function runCLI(argv) {
+    let stdout = '';
+    const cli = new ManagerCLI({
+        stdout: {
+            write: chunk => {
+                stdout += chunk;
+            }
+        }
+    });
+    return { exitCode: await cli.run(argv), stdout };
+}
+
+describe('ManagerCLI', () => {
+    let mocks;
+    let saved;
+
+    beforeEach(async () => {
+        saved = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+        mocks = await startMocks();
+        Object.assign(process.env, {
+            N8N_EDITOR_BASE_URL: mocks.n8n.url,
+            N8N_USER_EMAIL: MockN8NServer.DEFAULT_OWNER.email,
+            N8N_USER_PASSWORD: MockN8NServer.DEFAULT_OWNER.password,
+            USER_ID: USER_ID,
+            SUPABASE_URL: mocks.supabase.url,
+            SUPABASE_SERVICE_ROLE_KEY: mocks.supabase.serviceKey,
+            PROVISIONING_JOURNAL_DIR: mocks.journalDir
+        });
+    });
+
+    afterEach(async () => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+        await mocks.stop();
+    });
+
+    it('exits with a usage error for unknown commands and options', async () => {
+        assert.equal((await runCLI(['bogus'])).exitCode, EXIT_CODES.USAGE);
+        assert.equal((await runCLI(['provision', '--bogus'])).exitCode, EXIT_CODES.USAGE);
+        assert.equal((await runCLI(['rotate', '--grace'])).exitCode, EXIT_CODES.USAGE);
+        
+        const help = await runCLI(['revoke', '--help']);
+        assert.equal(help.exitCode, EXIT_CODES.OK);
+        assert.match(help.stdout, /--orphans/);
+    });
+
+    it('finds the command after flags that take a value', async () => {
+        const help = await runCLI(['--format', 'json', 'validate', '--help']);
+        
+        assert.equal(help.exitCode, EXIT_CODES.OK);
+        assert.match(help.stdout, /^Usage: n8n-api-manager validate/);
+    });
+
+    it('exits with a configuration error when settings are missing', async () => {
+        delete process.env.N8N_USER_PASSWORD;
+        
+        assert.equal((await runCLI(['provision'])).exitCode, EXIT_CODES.CONFIG);
+    });
+
+    it('provisions a key and reuses it on the next run', async () => {
+        assert.equal((await runCLI(['provision', '--skip-validate'])).exitCode, EXIT_CODES.OK);
+        const label = mocks.supabase.row(USER_ID).n8n_api_key_label;
+        
+        assert.equal((await runCLI(['provision'])).exitCode, EXIT_CODES.OK);
+        
+        assert.equal(mocks.supabase.row(USER_ID).n8n_api_key_label, label);
+        assert.equal(mocks.n8n.apiKeys.length, 1);
+    });
+
+    it('reads a profile from the settings file with the password in a secret file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-cli-'));
+        fs.writeFileSync(path.join(dir, 'password'), `${MockN8NServer.DEFAULT_OWNER.password}\n`);
+        fs.writeFileSync(path.join(dir, 'settings.yaml'), [
+            'n8n:',
+            `  password: file:${path.join(dir, 'password')}`,
+            'user:',
+            '  id: someone-else',
+            'profiles:',
+            '  staging:',
+            '    apiKey:',
+            '      expiresInDays: 30'
+        ].join('\n'));
+        delete process.env.N8N_USER_PASSWORD;
+        
+        const result = await runCLI(['--config', path.join(dir, 'settings.yaml'), '--profile', 'staging', 'provision', '--skip-validate']);
+        
+        assert.equal(result.exitCode, EXIT_CODES.OK);
+        assert.ok(mocks.supabase.row(USER_ID).n8n_api_key, 'USER_ID from the environment wins over the file');
+        const expiresInMs = new Date(mocks.supabase.row(USER_ID).n8n_api_key_expires_at).getTime() - Date.now();
+        assert.ok(Math.abs(expiresInMs - 30 * 24 * 60 * 60 * 1000) < 60000, 'profile lifetime was used');
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('exits with a configuration error for an invalid settings file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-cli-'));
+        fs.writeFileSync(path.join(dir, 'settings.json'), JSON.stringify({ n8n: { requestTimeoutMs: 'soon' } }));
+        
+        assert.equal((await runCLI(['--config', path.join(dir, 'settings.json'), 'provision'])).exitCode, EXIT_CODES.CONFIG);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('revokes the stored key and clears it from storage', async () => {
+        await runCLI(['provision', '--skip-validate']);
+        
+        assert.equal((await runCLI(['revoke'])).exitCode, EXIT_CODES.OK);
+        
+        assert.equal(mocks.n8n.apiKeys.length, 0);
+        assert.equal(mocks.supabase.row(USER_ID).n8n_api_key, null);
+    });
+
+    it('reports each doctor check and fails when one does', async () => {
+        const healthy = await runCLI(['doctor', '--format', 'json']);
+        const report = JSON.parse(healthy.stdout);
+        
+        assert.equal(healthy.exitCode, EXIT_CODES.OK);
+        assert.equal(report.checks.find(entry => entry.name === 'stored_key').status, 'warn');
+        
+        mocks.n8n.failures.loginStatus = 401;
+        const broken = await runCLI(['doctor', '--format', 'json']);
+        
+        assert.equal(broken.exitCode, EXIT_CODES.FAILED);
+        assert.equal(JSON.parse(broken.stdout).checks.find(entry => entry.name === 'login').status, 'fail');
+    });
+});
@@ -0,0 +1,162 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const Config = require('../scripts/config');
+const N8NAPIManager = require('../scripts/create-api-key');
+
+const REQUIRED = {
+    N8N_EDITOR_BASE_URL: 'http://n8n.local:5678',
+    N8N_USER_EMAIL: 'owner@example.com',
+    N8N_USER_PASSWORD: 'owner-password',
+    USER_ID: 'user-1',
+    SUPABASE_URL: 'http://supabase.local:8000',
+    SUPABASE_SERVICE_ROLE_KEY: 'service-role-key'
+};
+
+describe('Config.load', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-config-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const writeFile = (name, content) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    };
+
+    const problemsOf = options => {
+        try {
+            Config.load(options);
+        } catch (error) {
+            assert.ok(error instanceof Config.ConfigError, error.message);
+            return error.problems;
+        }
+        assert.fail('expected a ConfigError');
+    };
+
+    it('applies the environment over the profile over the file over defaults', () => {
+        const file = writeFile('settings.yaml', [
+            'apiKey:',
+            '  expiresInDays: 90',
+            '  rotationGraceSeconds: 60',
+            'n8n:',
+            '  requestTimeoutMs: 5000',
+            'profiles:',
+            '  staging:',
+            '    apiKey:',
+            '      expiresInDays: 30',
+            '      rotationGraceSeconds: 10'
+        ].join('\n'));
+        const env = { ...REQUIRED, API_KEY_ROTATION_GRACE_SECONDS: '5' };
+        
+        const config = Config.load({ file, profile: 'staging', env });
+        
+        assert.equal(config.get('apiKey.rotationGraceSeconds'), 5);
+        assert.equal(config.source('apiKey.rotationGraceSeconds'), 'API_KEY_ROTATION_GRACE_SECONDS');
+        assert.equal(config.get('apiKey.expiresInDays'), 30);
+        assert.equal(config.source('apiKey.expiresInDays'), 'profile staging');
+        assert.equal(config.get('n8n.requestTimeoutMs'), 5000);
+        assert.equal(config.source('n8n.requestTimeoutMs'), file);
+        assert.equal(config.get('n8n.longRequestTimeoutMs'), 60000);
+        assert.equal(config.source('n8n.longRequestTimeoutMs'), 'default');
+    });
+
+    it('resolves env: and file: references without changing the environment', () => {
+        const secret = writeFile('password', 'from-secret-file\n');
+        const file = writeFile('settings.json', JSON.stringify({
+            n8n: { password: `file:${secret}` },
+            webhook: { secret: 'env:MOUNTED_WEBHOOK_SECRET' }
+        }));
+        const env = { ...REQUIRED, N8N_USER_PASSWORD: '', MOUNTED_WEBHOOK_SECRET: 'hook-secret', SUPABASE_SERVICE_ROLE_KEY: 'env:MOUNTED_WEBHOOK_SECRET' };
+        const before = { ...env };
+        
+        const config = Config.load({ file, env });
+        
+        assert.equal(config.get('n8n.password'), 'from-secret-file');
+        assert.equal(config.get('webhook.secret'), 'hook-secret');
+        assert.equal(config.get('storage.supabase.serviceRoleKey'), 'hook-secret', 'a reference in a variable is replaced by its value');
+        assert.deepEqual(env, before);
+    });
+
+    it('collects previous encryption secrets from their numbered variables', () => {
+        const env = { API_KEY_ENCRYPTION_SECRET_V1: 'first', API_KEY_ENCRYPTION_SECRET_V2: 'env:ROTATED_SECRET', ROTATED_SECRET: 'second' };
+        
+        const config = Config.load({ env, required: false });
+        
+        assert.deepEqual(config.get('apiKey.previousSecrets'), { 1: 'first', 2: 'second' });
+    });
+
+    it('leaves the process environment alone when loading settings for the process', () => {
+        const file = writeFile('settings.json', JSON.stringify({ n8n: { password: 'from-config-file' } }));
+        const before = { ...process.env };
+        
+        const config = Config.loadForProcess({ file, required: false });
+        
+        assert.equal(config.get('n8n.password'), 'from-config-file');
+        assert.deepEqual({ ...process.env }, before);
+    });
+
+    it('lists every invalid value without echoing secrets', () => {
+        const env = { ...REQUIRED, N8N_REQUEST_TIMEOUT_MS: '10s', STORAGE_BACKEND: 'redis', N8N_USER_PASSWORD: 'env:MISSING_PASSWORD', VALIDATION_CANARY: 'yes' };
+        
+        const problems = problemsOf({ env });
+        
+        assert.equal(problems.length, 4);
+        assert.ok(problems.some(problem => problem.startsWith('n8n.requestTimeoutMs (N8N_REQUEST_TIMEOUT_MS) must be a whole number, got "10s"')));
+        assert.ok(problems.some(problem => problem.includes('must be one of supabase, postgres, file, vault')));
+        assert.ok(problems.some(problem => problem === 'n8n.password (N8N_USER_PASSWORD) refers to MISSING_PASSWORD, which is not set'));
+        assert.ok(problems.some(problem => problem.startsWith('validation.canary')));
+        assert.ok(!problems.some(problem => problem.includes('got "env:MISSING_PASSWORD"')));
+    });
+
+    it('reports unknown settings, unknown profiles and missing required settings', () => {
+        const file = writeFile('settings.yaml', [
+            'n8n:',
+            '  adress: http://typo.local',
+            'environment:',
+            '  USER_ID: user-1',
+            'profiles:',
+            '  production: {}'
+        ].join('\n'));
+        const env = { ...REQUIRED, USER_ID: '' };
+        
+        const problems = problemsOf({ file, profile: 'staging', env });
+        
+        assert.deepEqual(problems, [
+            `unknown setting n8n.adress in ${file}`,
+            `unknown setting environment in ${file}`,
+            `profile "staging" is not defined in ${file} (available: production)`,
+            `user.id is required (set USER_ID, or user.id in ${file})`
+        ]);
+    });
+
+    it('only requires Supabase credentials for the Supabase backend', () => {
+        const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, ...rest } = REQUIRED;
+        
+        assert.deepEqual(problemsOf({ env: { ...rest } }).map(problem => problem.split(' ')[0]), ['storage.supabase.url', 'storage.supabase.serviceRoleKey']);
+        assert.equal(Config.load({ env: { ...rest, STORAGE_BACKEND: 'file' } }).get('storage.backend'), 'file');
+        assert.equal(Config.load({ env: {}, required: false }).get('n8n.url'), null);
+    });
+
+    it('builds managers from passed settings without reading or changing the process environment', () => {
+        const filePath = path.join(dir, 'api-keys.json');
+        const settings = Config.load({ env: { ...REQUIRED, STORAGE_BACKEND: 'file', STORAGE_FILE_PATH: filePath, API_KEY_SCOPE_PROFILE: 'read-only' } });
+        const before = { ...process.env };
+        
+        const manager = new N8NAPIManager({ settings, userId: 'tenant-a', baseUrl: 'http://tenant-a.local' });
+        
+        assert.equal(manager.storage.filePath, filePath);
+        assert.equal(manager.keyScopes.profile, 'read-only');
+        assert.equal(manager.baseUrl, 'http://tenant-a.local');
+        assert.deepEqual({ ...process.env }, before);
+    });
+});
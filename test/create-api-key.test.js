@@ -0,0 +1,385 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn, execFileSync } = require('child_process');
+const path = require('path');
+const { USER_ID, startMocks, createManager } = require('./helpers');
+const MockN8NServer = require('./mocks/n8n-server');
+const KeyEncryption = require('../scripts/key-encryption');
+const HttpClient = require('../scripts/http-client');
+const ProvisioningJournal = require('../scripts/provisioning-journal');
+
+function openJournal(mocks) {
+    return new ProvisioningJournal({ dir: mocks.journalDir, userId: USER_ID });
+}
+
+describe('module loading', () => {
+    it('registers no process handlers when the scripts are only required', () => {
+        const script = "require('./scripts/server'); process.stdout.write(['SIGTERM', 'SIGINT', 'unhandledRejection', 'uncaughtException']" +
+            '.map(event => process.listenerCount(event)).join(","))';
+        const counts = execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), env: { ...process.env, LOG_LEVEL: 'error' } });
+        
+        assert.equal(counts.toString(), '0,0,0,0');
+    });
+});
+
+describe('N8NAPIManager.run', () => {
+    let mocks;
+
+    beforeEach(async () => {
+        mocks = await startMocks();
+    });
+
+    afterEach(async () => {
+        await mocks.stop();
+    });
+
+    it('creates a key through the session and stores it encrypted', async () => {
+        const result = await createManager(mocks).run();
+        
+        assert.equal(result.success, true);
+        assert.equal(result.creationMethod, 'session');
+        assert.equal(result.ownerCreated, false);
+        
+        const issued = mocks.n8n.apiKeys.find(key => key.apiKey === result.apiKey);
+        assert.ok(issued, 'key exists in N8N');
+        assert.equal(issued.label, result.label);
+        
+        const row = mocks.supabase.row(USER_ID);
+        assert.ok(KeyEncryption.fromSettings().isEncrypted(row.n8n_api_key));
+        assert.equal(KeyEncryption.fromSettings().decrypt(row.n8n_api_key), result.apiKey);
+        assert.equal(row.n8n_api_key_label, result.label);
+        assert.equal(row.n8n_instance_url, mocks.n8n.url);
+        assert.equal(row.n8n_setup_error, null);
+    });
+
+    it('waits for an instance that is still starting', async () => {
+        mocks.n8n.failures.startupDelayMs = 300;
+        
+        const result = await createManager(mocks).run();
+        
+        assert.equal(result.success, true);
+        assert.ok(mocks.n8n.requests.filter(request => request.path === '/healthz').length > 1, 'health was polled more than once');
+    });
+
+    it('gives up when the instance never becomes ready', async () => {
+        mocks.n8n.failures.startupDelayMs = 60000;
+        
+        const httpClient = new HttpClient({ policies: { readiness: { attempts: 3 } } });
+        
+        await assert.rejects(createManager(mocks, { httpClient }).run(), /not accessible after 3 attempts/);
+        assert.match(mocks.supabase.row(USER_ID).n8n_setup_error, /not accessible/);
+    });
+
+    it('sets up the owner on a fresh instance', async () => {
+        await mocks.stop();
+        mocks = await startMocks({ n8n: { owner: null } });
+        
+        const result = await createManager(mocks).run();
+        
+        assert.equal(result.success, true);
+        assert.equal(result.ownerCreated, true);
+        assert.equal(mocks.n8n.owner.email, 'owner@example.com');
+    });
+
+    it('records the failure when login is refused', async () => {
+        mocks.n8n.failures.loginStatus = 401;
+        
+        await assert.rejects(createManager(mocks).run(), /Login failed with status 401/);
+        assert.equal(mocks.n8n.apiKeys.length, 0);
+        assert.match(mocks.supabase.row(USER_ID).n8n_setup_error, /Login failed with status 401/);
+    });
+
+    it('fails without storing anything when N8N errors on key creation', async () => {
+        mocks.n8n.failures.errors['POST /rest/api-keys'] = 500;
+        
+        await assert.rejects(createManager(mocks).run(), /status code 500/);
+        assert.equal(mocks.supabase.row(USER_ID).n8n_api_key, undefined);
+    });
+
+    it('retries key creation after a lost response without leaving an orphaned key', async () => {
+        // N8N creates the key but the response never arrives
+        mocks.n8n.failures.errors['POST /rest/api-keys'] = { status: 502, times: 1, afterApply: true };
+        
+        const result = await createManager(mocks).run();
+        
+        assert.equal(result.success, true);
+        assert.equal(mocks.n8n.requests.filter(request => request.method === 'POST' && request.path === '/rest/api-keys').length, 2);
+        assert.deepEqual(mocks.n8n.apiKeys.map(key => key.apiKey), [result.apiKey]);
+    });
+
+    it('retries storage writes through transient Supabase errors', async () => {
+        mocks.supabase.failures.errors.PATCH = { status: 500, times: 2 };
+        
+        const result = await createManager(mocks).run();
+        
+        assert.equal(KeyEncryption.fromSettings().decrypt(mocks.supabase.row(USER_ID).n8n_api_key), result.apiKey);
+        assert.equal(mocks.supabase.failures.errors.PATCH, undefined, 'both scripted failures were hit');
+    });
+
+    it('deletes the new key when it fails validation', async () => {
+        mocks.n8n.failures.errors['* /api/v1/workflows'] = 401;
+        
+        await assert.rejects(createManager(mocks).run(), /failed validation/);
+        
+        assert.equal(mocks.n8n.apiKeys.length, 0);
+        assert.equal(openJournal(mocks).load().status, 'rolled_back');
+    });
+
+    it('puts the previous key back in storage when storing the new one fails', async () => {
+        const first = await createManager(mocks).run();
+        const storedBefore = mocks.supabase.row(USER_ID).n8n_api_key;
+        mocks.supabase.failures.errors.PATCH = { status: 400, times: 1 };
+        
+        await assert.rejects(createManager(mocks).run());
+        
+        const row = mocks.supabase.row(USER_ID);
+        assert.equal(row.n8n_api_key, storedBefore);
+        assert.equal(row.n8n_api_key_label, first.label);
+        assert.deepEqual(mocks.n8n.apiKeys.map(key => key.apiKey), [first.apiKey]);
+    });
+
+    it('fails when Supabase rejects the service role key', async () => {
+        mocks.supabase.failures.unauthorized = true;
+        
+        // supabase-js rejects with a plain PostgREST error object
+        await assert.rejects(createManager(mocks).run(), { message: 'Invalid API key' });
+    });
+
+    it('refuses to create keys when the public API is disabled', async () => {
+        mocks.n8n.publicApiEnabled = false;
+        
+        await assert.rejects(createManager(mocks).run(), /public API is disabled/);
+    });
+
+    it('uses the single legacy key on versions before labelled keys', async () => {
+        mocks.n8n.version = '1.60.0';
+        
+        const result = await createManager(mocks).run();
+        
+        assert.equal(result.creationMethod, 'legacy-session');
+        assert.ok(mocks.n8n.requests.some(request => request.method === 'POST' && request.path === '/rest/me/api-key'));
+    });
+});
+
+describe('N8NAPIManager.recoverInterruptedRun', () => {
+    let mocks;
+
+    beforeEach(async () => {
+        mocks = await startMocks();
+    });
+
+    afterEach(async () => {
+        await mocks.stop();
+    });
+
+    it('rolls back a run killed while its key was being created', async () => {
+        const journal = openJournal(mocks);
+        journal.begin('create');
+        journal.start('create_key', { type: 'delete_api_key', since: Date.now() });
+        const orphan = await createManager(mocks).createAPIKeyViaSession();
+        
+        const result = await createManager(mocks).run();
+        
+        assert.notEqual(result.apiKey, orphan.apiKey);
+        assert.deepEqual(mocks.n8n.apiKeys.map(key => key.apiKey), [result.apiKey]);
+    });
+
+    it('completes a run killed after its key was stored', async () => {
+        const manager = createManager(mocks);
+        const journal = openJournal(mocks);
+        journal.begin('create');
+        journal.start('create_key', { type: 'delete_api_key', since: Date.now() });
+        const apiKeyData = await manager.createAPIKeyViaSession();
+        journal.complete('create_key', { label: apiKeyData.label });
+        await manager.storeAPIKeyJournaled(journal, apiKeyData);
+        
+        const result = await createManager(mocks).ensure();
+        
+        assert.equal(result.path, 'reused');
+        assert.equal(result.label, apiKeyData.label);
+        assert.equal(openJournal(mocks).load().status, 'committed');
+    });
+
+    it('revokes the old key of a rotation killed during its grace period', async () => {
+        const manager = createManager(mocks);
+        const previous = await manager.run();
+        const journal = openJournal(mocks);
+        journal.begin('rotate');
+        const apiKeyData = await manager.createAPIKeyJournaled(journal, () => manager.createAPIKeyViaSession());
+        await manager.storeAPIKeyJournaled(journal, apiKeyData);
+        journal.start('revoke_old_key', null, { label: previous.label, revokeAt: Date.now() });
+        
+        assert.equal(await createManager(mocks).recoverInterruptedRun(), 'completed');
+        
+        assert.deepEqual(mocks.n8n.apiKeys.map(key => key.label), [apiKeyData.label]);
+        assert.equal(mocks.supabase.row(USER_ID).n8n_api_key_previous_revoked, true);
+        assert.equal(openJournal(mocks).load().status, 'committed');
+    });
+
+    it('revokes the old key of a rotation killed before its revoke step was recorded', async () => {
+        const manager = createManager(mocks);
+        const previous = await manager.run();
+        const journal = openJournal(mocks);
+        journal.begin('rotate');
+        const apiKeyData = await manager.createAPIKeyJournaled(journal, () => manager.createAPIKeyViaSession());
+        await manager.storeAPIKeyJournaled(journal, apiKeyData, { label: previous.label });
+        
+        const recovering = createManager(mocks);
+        recovering.rotationGracePeriod = 0;
+        assert.equal(await recovering.recoverInterruptedRun(), 'completed');
+        
+        assert.deepEqual(mocks.n8n.apiKeys.map(key => key.label), [apiKeyData.label]);
+        const row = mocks.supabase.row(USER_ID);
+        assert.equal(row.n8n_api_key_previous_label, previous.label);
+        assert.equal(row.n8n_api_key_previous_revoked, true);
+        assert.equal(openJournal(mocks).load().status, 'committed');
+    });
+
+    it('marks the run and exits non-zero when stopped by SIGTERM', async () => {
+        await createManager(mocks).run();
+        const child = spawn(process.execPath, [path.join(__dirname, '../scripts/create-api-key.js'), 'rotate'], {
+            env: {
+                ...process.env,
+                N8N_EDITOR_BASE_URL: mocks.n8n.url,
+                N8N_USER_EMAIL: MockN8NServer.DEFAULT_OWNER.email,
+                N8N_USER_PASSWORD: MockN8NServer.DEFAULT_OWNER.password,
+                USER_ID: USER_ID,
+                SUPABASE_URL: mocks.supabase.url,
+                SUPABASE_SERVICE_ROLE_KEY: mocks.supabase.serviceKey,
+                PROVISIONING_JOURNAL_DIR: mocks.journalDir,
+                N8N_READINESS_SETTLE_MS: '0',
+                API_KEY_ROTATION_GRACE_SECONDS: '60'
+            },
+            stdio: 'ignore'
+        });
+        const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+        
+        // Stopped while it waits out the grace period, after the new key was stored
+        for (let i = 0; i < 200 && !(openJournal(mocks).load() || { steps: [] }).steps.some(step => step.name === 'revoke_old_key'); i++) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        child.kill('SIGTERM');
+        
+        assert.equal(await exited, 143);
+        const entry = openJournal(mocks).load();
+        assert.equal(entry.status, 'in_progress');
+        assert.equal(entry.interruptedBy, 'SIGTERM');
+    });
+
+    it('has nothing to do after a finished run', async () => {
+        await createManager(mocks).run();
+        
+        assert.equal(await createManager(mocks).recoverInterruptedRun(), null);
+    });
+});
+
+describe('N8NAPIManager.storedKeyExpiry', () => {
+    let mocks;
+
+    beforeEach(async () => {
+        mocks = await startMocks();
+    });
+
+    afterEach(async () => {
+        await mocks.stop();
+    });
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const longAgo = new Date(Date.now() - 400 * DAY_MS).toISOString();
+
+    it('keeps a key issued without an expiry valid past the default lifetime', async () => {
+        const manager = createManager(mocks);
+        await manager.storeAPIKey({ apiKey: 'n8n_api_never_expiring_key', label: `API-${USER_ID}-1`, createdAt: longAgo, expiresAt: null });
+        
+        const stored = await manager.retrieveStoredAPIKey();
+        
+        assert.equal(mocks.supabase.row(USER_ID).n8n_api_key_expires_at, 'infinity');
+        assert.equal(stored.expiresAt, null);
+        assert.equal(manager.storedKeyExpiry(stored), null);
+        assert.equal(manager.isStoredKeyExpired(stored), false);
+    });
+
+    it('uses the stored expiry, and the creation date only when there is none', () => {
+        const manager = createManager(mocks);
+        const expiresAt = new Date(Date.now() + DAY_MS).toISOString();
+        
+        assert.equal(manager.storedKeyExpiry({ createdAt: longAgo, expiresAt: expiresAt }), new Date(expiresAt).getTime());
+        assert.equal(manager.storedKeyExpiry({ createdAt: longAgo, expiresAt: null }), new Date(longAgo).getTime() + 365 * DAY_MS);
+        assert.equal(manager.isStoredKeyExpired({ createdAt: longAgo, expiresAt: null }), true);
+        assert.equal(manager.storedKeyExpiry({ createdAt: null, expiresAt: null }), null);
+        assert.equal(manager.storedKeyExpiry({ createdAt: longAgo, expiresAt: null, neverExpires: true }), null);
+    });
+});
+
+describe('N8NAPIManager.createAPIKeyViaSession', () => {
+    let mocks;
+
+    beforeEach(async () => {
+        mocks = await startMocks();
+    });
+
+    afterEach(async () => {
+        await mocks.stop();
+    });
+
+    it('returns the key with its label and the expiry N8N reported', async () => {
+        const manager = createManager(mocks);
+        
+        const keyData = await manager.createAPIKeyViaSession();
+        
+        assert.match(keyData.apiKey, /^n8n_api_/);
+        assert.match(keyData.label, new RegExp(`^API-${USER_ID}-\\d+$`));
+        const issued = mocks.n8n.apiKeys.find(key => key.id === keyData.id);
+        assert.equal(keyData.expiresAt, new Date(issued.expiresAt * 1000).toISOString());
+        assert.equal(await manager.validateAPIKey(keyData.apiKey), true);
+    });
+
+    it('reuses a session the caller already holds', async () => {
+        const manager = createManager(mocks);
+        const cookieHeader = await manager.createSession();
+        const logins = mocks.n8n.requests.filter(request => request.path === '/rest/login').length;
+        
+        await manager.createAPIKeyViaSession(cookieHeader);
+        
+        assert.equal(mocks.n8n.requests.filter(request => request.path === '/rest/login').length, logins);
+    });
+
+    it('fails when login sets no session cookie', async () => {
+        mocks.n8n.failures.omitCookies = true;
+        
+        await assert.rejects(createManager(mocks).createAPIKeyViaSession(), /No session cookies received/);
+    });
+
+    it('requests scopes and reports what was granted', async () => {
+        const keyData = await createManager(mocks, { scopeProfile: 'read-only' }).createAPIKeyViaSession();
+        
+        assert.ok(keyData.scopes.length > 0);
+        assert.deepEqual(mocks.n8n.apiKeys.find(key => key.id === keyData.id).scopes, keyData.scopes);
+    });
+
+    it('refuses scopes on versions that do not support them', async () => {
+        mocks.n8n.version = '1.85.0';
+        
+        await assert.rejects(createManager(mocks, { scopeProfile: 'read-only' }).createAPIKeyViaSession(), /does not support API key scopes/);
+        assert.equal(mocks.n8n.apiKeys.length, 0);
+    });
+});
+
+// Drives a real headless Chrome through the mock signin and settings pages; slow, so opt-in
+describe('N8NAPIManager.createAPIKeyViaBrowser', { skip: process.env.TEST_BROWSER !== 'true' && 'set TEST_BROWSER=true to run' }, () => {
+    let mocks;
+
+    beforeEach(async () => {
+        mocks = await startMocks();
+    });
+
+    afterEach(async () => {
+        await mocks.stop();
+    });
+
+    it('signs in and reads the new key from the settings page', { timeout: 180000 }, async () => {
+        const keyData = await createManager(mocks).createAPIKeyViaBrowser();
+        
+        assert.ok(mocks.n8n.apiKeys.some(key => key.apiKey === keyData.apiKey));
+    });
+});
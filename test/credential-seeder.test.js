@@ -0,0 +1,72 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const CredentialSeeder = require('../scripts/credential-seeder');
+const KeyEncryption = require('../scripts/key-encryption');
+
+describe('CredentialSeeder.resolve', () => {
+    const keyEncryption = new KeyEncryption({ secret: 'seeder-secret' });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-seeder-'));
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createSeeder(record) {
+        return new CredentialSeeder({
+            manifestPath: path.join(dir, 'credentials.yaml'),
+            manager: {
+                userId: 'user-1',
+                keyEncryption: keyEncryption,
+                storage: {
+                    describe: () => 'test storage',
+                    getRecord: async (userId, fields) => Object.fromEntries(fields.map(field => [field, record[field]]))
+                }
+            }
+        });
+    }
+
+    it('resolves env:, file: and decrypted secret: references', async () => {
+        process.env.SEEDER_TEST_TOKEN = 'slack-token-value';
+        const passwordFile = path.join(dir, 'password');
+        fs.writeFileSync(passwordFile, 'file-password\n');
+        const seeder = createSeeder({ warehousePassword: keyEncryption.encrypt('warehouse-password') });
+        
+        const [credential] = await seeder.resolve([{
+            name: 'Mixed',
+            type: 'test',
+            data: {
+                token: 'env:SEEDER_TEST_TOKEN',
+                password: `file:${passwordFile}`,
+                warehouse: 'secret:warehousePassword',
+                host: 'db.internal:5432'
+            }
+        }]);
+        
+        assert.deepEqual(credential.data, {
+            token: 'slack-token-value',
+            password: 'file-password',
+            warehouse: 'warehouse-password',
+            host: 'db.internal:5432'
+        });
+        delete process.env.SEEDER_TEST_TOKEN;
+    });
+
+    it('reports every reference that cannot be resolved', async () => {
+        const seeder = createSeeder({});
+        
+        await assert.rejects(seeder.resolve([{
+            name: 'Missing',
+            type: 'test',
+            data: { token: 'env:SEEDER_TEST_MISSING', password: 'secret:missingField', key: `file:${path.join(dir, 'absent')}` }
+        }]), error => {
+            assert.match(error.message, /env:SEEDER_TEST_MISSING refers to SEEDER_TEST_MISSING, which is not set/);
+            assert.match(error.message, /secret:missingField is not set/);
+            assert.match(error.message, /could not be read \(ENOENT\)/);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Shared setup for the test suite; must be required before any script so the logger picks up LOG_LEVEL
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.LOG_FORMAT = 'text';
+process.env.API_KEY_ENCRYPTION_SECRET = 'test-encryption-secret';
+for (const name of ['WEBHOOK_URL', 'WEBHOOK_SECRET', 'N8N_OWNER_SETUP', 'N8N_SKIP_ONBOARDING_SURVEY', 'API_KEY_SCOPE_PROFILE', 'API_KEY_SCOPES', 'VALIDATION_CANARY',
+    'WEBHOOK_MAX_ATTEMPTS', 'WEBHOOK_RETRY_BASE_MS', 'HTTP_CIRCUIT_FAILURE_THRESHOLD', 'HTTP_CIRCUIT_RESET_MS',
+    'N8N_API_MANAGER_CONFIG', 'N8N_API_MANAGER_PROFILE']) {
+    delete process.env[name];
+}
+// Retry policies keep their attempts but back off for milliseconds instead of seconds
+const FAST_BACKOFF = { baseDelayMs: 5, maxDelayMs: 20 };
+process.env.HTTP_RETRY_POLICIES = JSON.stringify({
+    default: FAST_BACKOFF,
+    n8n: FAST_BACKOFF,
+    storage: FAST_BACKOFF,
+    webhook: FAST_BACKOFF,
+    readiness: { attempts: 20, baseDelayMs: 20, maxDelayMs: 50 }
+});
+process.env.PROVISIONING_JOURNAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-journal-'));
+
+const MockN8NServer = require('./mocks/n8n-server');
+const MockSupabaseServer = require('./mocks/supabase-server');
+const { SupabaseStorage } = require('../scripts/storage');
+const N8NAPIManager = require('../scripts/create-api-key');
+const CredentialValidator = require('../scripts/validate-credentials');
+
+const USER_ID = 'user-1';
+
+// Starts a mock N8N and a mock Supabase holding one user row
+async function startMocks(options = {}) {
+    const n8n = new MockN8NServer(options.n8n);
+    const supabase = new MockSupabaseServer({
+        rows: [{ id: USER_ID, email: MockN8NServer.DEFAULT_OWNER.email }],
+        ...options.supabase
+    });
+    await n8n.start();
+    await supabase.start();
+    // Each test starts without a journal left by an earlier one
+    const journalDir = fs.mkdtempSync(path.join(process.env.PROVISIONING_JOURNAL_DIR, 'run-'));
+
+    return {
+        n8n: n8n,
+        supabase: supabase,
+        journalDir: journalDir,
+        storage: () => new SupabaseStorage({ url: supabase.url, key: supabase.serviceKey }),
+        stop: async () => {
+            await Promise.all([n8n.stop(), supabase.stop()]);
+            fs.rmSync(journalDir, { recursive: true, force: true });
+        }
+    };
+}
+
+function createManager(mocks, config = {}) {
+    return new N8NAPIManager({
+        baseUrl: mocks.n8n.url,
+        email: MockN8NServer.DEFAULT_OWNER.email,
+        password: MockN8NServer.DEFAULT_OWNER.password,
+        userId: USER_ID,
+        storage: mocks.storage(),
+        readinessSettleTime: 0,
+        journalDir: mocks.journalDir,
+        ...config
+    });
+}
+
+function createValidator(mocks, config = {}) {
+    return new CredentialValidator({
+        baseUrl: mocks.n8n.url,
+        email: MockN8NServer.DEFAULT_OWNER.email,
+        password: MockN8NServer.DEFAULT_OWNER.password,
+        userId: USER_ID,
+        storage: mocks.storage(),
+        ...config
+    });
+}
+
+module.exports = {
+    USER_ID,
+    startMocks,
+    createManager,
+    createValidator
+};
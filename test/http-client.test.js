@@ -0,0 +1,231 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const MockN8NServer = require('./mocks/n8n-server');
+const HttpClient = require('../scripts/http-client');
+const Config = require('../scripts/config');
+
+function createClient(config = {}) {
+    return new HttpClient(config);
+}
+
+describe('HttpClient.request', () => {
+    let n8n;
+
+    beforeEach(async () => {
+        n8n = new MockN8NServer();
+        await n8n.start();
+    });
+
+    afterEach(async () => {
+        await n8n.stop();
+    });
+
+    const healthCount = () => n8n.requests.filter(request => request.path === '/healthz').length;
+
+    it('retries transient statuses and reports the attempts it took', async () => {
+        n8n.failures.errors['GET /healthz'] = { status: 503, times: 2 };
+        
+        const response = await createClient().get('n8n', `${n8n.url}/healthz`);
+        
+        assert.equal(response.status, 200);
+        assert.equal(response.attempts, 3);
+    });
+
+    it('gives up after the policy attempts with an axios-style error', async () => {
+        n8n.failures.errors['GET /healthz'] = 502;
+        
+        await assert.rejects(createClient().get('n8n', `${n8n.url}/healthz`), error => {
+            assert.match(error.message, /status code 502/);
+            assert.equal(error.response.status, 502);
+            assert.equal(error.attempts, 3);
+            return true;
+        });
+    });
+
+    it('does not retry statuses outside retryOn', async () => {
+        n8n.failures.errors['GET /healthz'] = 404;
+        
+        await assert.rejects(createClient().get('n8n', `${n8n.url}/healthz`), /status code 404/);
+        assert.equal(healthCount(), 1);
+    });
+
+    it('stops retrying at the policy deadline', async () => {
+        n8n.failures.errors['GET /healthz'] = 503;
+        const client = createClient({ policies: { n8n: { attempts: 50, baseDelayMs: 40, maxDelayMs: 40, deadlineMs: 150, circuit: false } } });
+        
+        await assert.rejects(client.get('n8n', `${n8n.url}/healthz`), /status code 503/);
+        assert.ok(healthCount() < 50, `stopped after ${healthCount()} attempts`);
+    });
+
+    it('does not resend a create whose outcome is unknown', async () => {
+        n8n.failures.errors['POST /rest/login'] = { status: 502, times: 1, afterApply: true };
+        
+        await assert.rejects(createClient().post('n8n', `${n8n.url}/rest/login`, {}), /status code 502/);
+        assert.equal(n8n.requests.filter(request => request.path === '/rest/login').length, 1);
+    });
+
+    it('resends a create once reconcile has cleaned up', async () => {
+        n8n.failures.errors['POST /rest/login'] = { status: 502, times: 1, afterApply: true };
+        const failures = [];
+        
+        const response = await createClient().post('n8n', `${n8n.url}/rest/login`, {}, { validateStatus: () => true }, {
+            reconcile: failure => {
+                failures.push(failure.status);
+                return true;
+            }
+        });
+        
+        assert.equal(response.attempts, 2);
+        assert.deepEqual(failures, [502]);
+    });
+
+    it('resends a create that was refused before processing', async () => {
+        n8n.failures.errors['POST /rest/login'] = { status: 503, times: 1 };
+        
+        const response = await createClient().post('n8n', `${n8n.url}/rest/login`, {}, { validateStatus: () => true });
+        
+        assert.equal(response.attempts, 2);
+    });
+
+    it('rebuilds a config factory for every attempt', async () => {
+        n8n.failures.errors['GET /healthz'] = { status: 500, times: 1 };
+        const built = [];
+        
+        await createClient().request('n8n', attempt => {
+            built.push(attempt);
+            return { method: 'get', url: `${n8n.url}/healthz` };
+        });
+        
+        assert.deepEqual(built, [1, 2]);
+    });
+});
+
+describe('HttpClient circuit breaker', () => {
+    let n8n;
+
+    beforeEach(async () => {
+        n8n = new MockN8NServer();
+        await n8n.start();
+    });
+
+    afterEach(async () => {
+        await n8n.stop();
+    });
+
+    it('fails fast once open and closes again after a successful probe', async () => {
+        const client = createClient({
+            failureThreshold: 2,
+            resetMs: 100,
+            policies: { n8n: { attempts: 1 } }
+        });
+        n8n.failures.errors['GET /healthz'] = 500;
+        
+        await assert.rejects(client.get('n8n', `${n8n.url}/healthz`), /status code 500/);
+        await assert.rejects(client.get('n8n', `${n8n.url}/healthz`), /status code 500/);
+        const sent = n8n.requests.length;
+        
+        await assert.rejects(client.get('n8n', `${n8n.url}/rest/settings`), { code: 'ECIRCUITOPEN' });
+        assert.equal(n8n.requests.length, sent, 'no request reached N8N while open');
+        
+        delete n8n.failures.errors['GET /healthz'];
+        await new Promise(resolve => setTimeout(resolve, 120));
+        
+        const response = await client.get('n8n', `${n8n.url}/healthz`);
+        assert.equal(response.status, 200);
+        assert.equal(client.breaker(n8n.url).state, 'closed');
+    });
+
+    it('does not count client errors as failures', async () => {
+        const client = createClient({ failureThreshold: 1 });
+        n8n.failures.errors['GET /healthz'] = 404;
+        
+        await assert.rejects(client.get('n8n', `${n8n.url}/healthz`), /status code 404/);
+        
+        assert.equal(client.breaker(n8n.url).state, 'closed');
+    });
+
+    it('does not count thrown authentication errors as failures', async () => {
+        const client = createClient({ failureThreshold: 1, policies: { n8n: { attempts: 1 } } });
+        const unauthorized = Object.assign(new Error('Login failed'), { response: { status: 401 }, retryable: true });
+        
+        await assert.rejects(client.retry('n8n', async () => {
+            throw unauthorized;
+        }, { url: n8n.url }), /Login failed/);
+        
+        assert.equal(client.breaker(n8n.url).state, 'closed');
+    });
+
+    it('keeps a separate circuit per client', async () => {
+        const failing = createClient({ failureThreshold: 1, resetMs: 60000, policies: { n8n: { attempts: 1 } } });
+        n8n.failures.errors['GET /healthz'] = 500;
+        await assert.rejects(failing.get('n8n', `${n8n.url}/healthz`), /status code 500/);
+        assert.equal(failing.breaker(n8n.url).state, 'open');
+        
+        assert.equal(createClient().breaker(n8n.url).state, 'closed');
+    });
+
+    it('keeps polling through an open circuit under a policy without one', async () => {
+        const client = createClient({ failureThreshold: 1, resetMs: 60000, policies: { n8n: { attempts: 1 } } });
+        n8n.failures.errors['GET /healthz'] = { status: 503, times: 4 };
+        await assert.rejects(client.get('n8n', `${n8n.url}/healthz`), /status code 503/);
+        assert.equal(client.breaker(n8n.url).state, 'open');
+        
+        const response = await client.get('readiness', `${n8n.url}/healthz`);
+        
+        assert.equal(response.attempts, 4);
+    });
+});
+
+describe('HttpClient.retry', () => {
+    it('retries until the function stops throwing', async () => {
+        let calls = 0;
+        
+        const result = await createClient().retry('default', async () => {
+            calls++;
+            if (calls < 3) {
+                throw new Error('not yet');
+            }
+            return 'done';
+        });
+        
+        assert.equal(result, 'done');
+        assert.equal(calls, 3);
+    });
+
+    it('ends at once on errors marked not retryable', async () => {
+        let calls = 0;
+        
+        await assert.rejects(createClient().retry('default', async () => {
+            calls++;
+            throw Object.assign(new Error('fatal'), { retryable: false });
+        }), /fatal/);
+        
+        assert.equal(calls, 1);
+    });
+});
+
+describe('HttpClient policies', () => {
+    const settingsFrom = env => Config.load({ env, required: false });
+
+    it('layers http.retryPolicies and explicit overrides over the defaults', () => {
+        const settings = settingsFrom({ HTTP_RETRY_POLICIES: JSON.stringify({ n8n: { attempts: 7 }, custom: { deadlineMs: 1000 } }) });
+        
+        const client = new HttpClient({ settings, policies: { n8n: { baseDelayMs: 1 } } });
+        
+        assert.equal(client.policy('n8n').attempts, 7);
+        assert.equal(client.policy('n8n').baseDelayMs, 1);
+        assert.equal(client.policy('n8n').maxDelayMs, HttpClient.DEFAULT_POLICIES.n8n.maxDelayMs);
+        assert.equal(client.policy('custom').deadlineMs, 1000);
+        assert.equal(client.policy('custom').attempts, HttpClient.DEFAULT_POLICIES.default.attempts);
+        assert.equal(client.policy('unknown'), client.policy('default'));
+    });
+
+    it('keeps honouring the webhook retry variables', () => {
+        assert.equal(new HttpClient({ settings: settingsFrom({ WEBHOOK_MAX_ATTEMPTS: '2' }) }).policy('webhook').attempts, 2);
+    });
+
+    it('rejects malformed HTTP_RETRY_POLICIES', () => {
+        assert.throws(() => settingsFrom({ HTTP_RETRY_POLICIES: '{not json' }), /http\.retryPolicies \(HTTP_RETRY_POLICIES\) must be a JSON object/);
+    });
+});
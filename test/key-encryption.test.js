@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const KeyEncryption = require('../scripts/key-encryption');
+
+describe('KeyEncryption', () => {
+    const keyEncryption = new KeyEncryption({ secret: 'current-secret', keyVersion: '2' });
+
+    it('round-trips a value through the enc:v1: envelope', () => {
+        const encrypted = keyEncryption.encrypt('n8n_api_secret_value');
+        
+        assert.match(encrypted, /^enc:v1:2:[\w-]+\.[\w-]+\.[\w-]+:[\w-]+\.[\w-]+\.[\w-]+$/);
+        assert.equal(keyEncryption.versionOf(encrypted), '2');
+        assert.equal(keyEncryption.decrypt(encrypted), 'n8n_api_secret_value');
+        assert.notEqual(keyEncryption.encrypt('n8n_api_secret_value'), encrypted, 'every value gets a fresh data key and IV');
+    });
+
+    it('returns values stored before encryption unchanged', () => {
+        assert.equal(keyEncryption.decrypt('n8n_api_plaintext'), 'n8n_api_plaintext');
+        assert.equal(keyEncryption.needsReencryption('n8n_api_plaintext'), true);
+    });
+
+    it('rejects tampered and malformed values', () => {
+        const [version, wrappedKey, sealedValue] = keyEncryption.encrypt('n8n_api_secret_value').slice('enc:v1:'.length).split(':');
+        const [iv, tag, ciphertext] = sealedValue.split('.');
+        const flipped = Buffer.from(ciphertext, 'base64url');
+        flipped[0] ^= 1;
+        
+        assert.throws(() => keyEncryption.decrypt(`enc:v1:${version}:${wrappedKey}:${iv}.${tag}.${flipped.toString('base64url')}`),
+            /Failed to decrypt API key \(key version 2\)/);
+        assert.throws(() => keyEncryption.decrypt(`enc:v1:${version}:${wrappedKey}`), /Malformed encrypted API key value/);
+    });
+
+    it('needs the secret of the version a value was written with', () => {
+        const encrypted = keyEncryption.encrypt('n8n_api_secret_value');
+        
+        assert.throws(() => new KeyEncryption({ secret: 'other-secret', keyVersion: '2' }).decrypt(encrypted), /Failed to decrypt/);
+        assert.throws(() => new KeyEncryption({ secret: 'next-secret', keyVersion: '3' }).decrypt(encrypted), /No encryption secret configured for key version 2/);
+        
+        const rotated = new KeyEncryption({ secret: 'next-secret', keyVersion: '3', previousSecrets: { 2: 'current-secret' } });
+        assert.equal(rotated.decrypt(encrypted), 'n8n_api_secret_value');
+        assert.equal(rotated.needsReencryption(encrypted), true);
+        assert.equal(rotated.needsReencryption(rotated.encrypt('n8n_api_secret_value')), false);
+    });
+});
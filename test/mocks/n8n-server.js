@@ -0,0 +1,595 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Stand-in for the parts of N8N the manager talks to: readiness, settings, login and owner
+// setup, API keys (labelled and legacy), credentials, the public API, webhooks and the
+// signin/settings pages used by browser automation. State lives in memory per instance.
+
+const DEFAULT_OWNER = {
+    email: 'owner@example.com',
+    password: 'Password123',
+    firstName: 'Admin',
+    lastName: 'User'
+};
+
+// Scopes checked on public API routes when a key was created with scopes
+const ROUTE_SCOPES = {
+    'GET /workflows': 'workflow:list',
+    'POST /workflows': 'workflow:create',
+    'GET /workflows/:id': 'workflow:read',
+    'PUT /workflows/:id': 'workflow:update',
+    'DELETE /workflows/:id': 'workflow:delete',
+    'POST /workflows/:id/activate': 'workflow:activate',
+    'POST /workflows/:id/deactivate': 'workflow:deactivate',
+    'GET /workflows/:id/tags': 'workflowTags:list',
+    'PUT /workflows/:id/tags': 'workflowTags:update',
+    'GET /executions': 'execution:list',
+    'GET /executions/:id': 'execution:read',
+    'DELETE /executions/:id': 'execution:delete',
+    'GET /tags': 'tag:list',
+    'POST /tags': 'tag:create',
+    'POST /credentials': 'credential:create'
+};
+
+function compareVersions(a, b) {
+    const left = a.split('.').map(part => parseInt(part, 10) || 0);
+    const right = b.split('.').map(part => parseInt(part, 10) || 0);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+class MockN8NServer {
+    constructor(options = {}) {
+        this.version = options.version || '1.95.0';
+        this.publicApiEnabled = options.publicApiEnabled !== false;
+        // Follows the version unless forced, so tests can change the version after construction
+        this.scopesOverride = options.scopesSupported;
+        
+        // Scripted failure modes, safe to change while the server runs:
+        //   startupDelayMs - every request answers 503 until this long after start()
+        //   loginStatus    - POST /rest/login always answers with this status
+        //   omitCookies    - successful logins and owner setup send no session cookie
+        //   errors         - { 'POST /rest/api-keys': 500, '* /api/v1/workflows': 401 } by exact path; an entry
+        //                    may also be { status, times, afterApply } to fail only the next `times`
+        //                    requests, or to carry them out first and lose the response (a 502 after commit)
+        this.failures = {
+            startupDelayMs: 0,
+            loginStatus: null,
+            omitCookies: false,
+            errors: {},
+            ...(options.failures || {})
+        };
+        
+        this.users = [];
+        this.sessions = new Map();
+        this.apiKeys = [];
+        this.credentials = (options.credentials || []).map((credential, index) => ({ id: `c${index + 1}`, ...credential }));
+        this.workflows = [];
+        this.executions = [];
+        this.tags = [];
+        this.requests = [];
+        this.nextId = 1;
+        
+        // Pass owner: null for a fresh instance that still needs owner setup
+        if (options.owner !== null) {
+            this.addUser({ ...DEFAULT_OWNER, ...(options.owner || {}), role: 'global:owner' });
+        }
+        
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.startedAt = Date.now();
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            this.server.closeAllConnections();
+            this.server.close(() => resolve());
+        });
+    }
+
+    id(prefix) {
+        return `${prefix}${this.nextId++}`;
+    }
+
+    get scopesSupported() {
+        return this.scopesOverride !== undefined ? this.scopesOverride : compareVersions(this.version, '1.93.0') >= 0;
+    }
+
+    get owner() {
+        return this.users.find(user => user.role === 'global:owner') || null;
+    }
+
+    addUser(user) {
+        const created = { id: this.id('u'), role: 'global:member', ...user };
+        this.users.push(created);
+        return created;
+    }
+
+    settings() {
+        const labelled = compareVersions(this.version, '1.72.0') >= 0;
+        return {
+            versionCli: this.version,
+            publicApi: {
+                enabled: this.publicApiEnabled,
+                latestVersion: 1,
+                path: 'api'
+            },
+            userManagement: {
+                authenticationMethod: 'email',
+                showSetupOnFirstLoad: !this.owner
+            },
+            enterprise: labelled ? { apiKeyScopes: this.scopesSupported } : {}
+        };
+    }
+
+    // Creates a key as if the given user had used the settings page
+    issueKey(user, options = {}) {
+        const key = {
+            id: this.id('k'),
+            userId: user.id,
+            label: options.label || 'My API Key',
+            apiKey: `n8n_api_${crypto.randomBytes(32).toString('hex')}`,
+            scopes: Array.isArray(options.scopes) ? options.scopes : [],
+            expiresAt: options.expiresAt === undefined ? null : options.expiresAt,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        this.apiKeys.push(key);
+        return key;
+    }
+
+    createSession(user) {
+        const token = crypto.randomBytes(16).toString('hex');
+        this.sessions.set(token, user.id);
+        return `n8n-auth=${token}; Path=/; HttpOnly; SameSite=Lax`;
+    }
+
+    sessionUser(req) {
+        const matches = (req.headers.cookie || '').matchAll(/n8n-auth=([^;\s]+)/g);
+        for (const match of matches) {
+            const userId = this.sessions.get(match[1]);
+            if (userId) {
+                return this.users.find(user => user.id === userId) || null;
+            }
+        }
+        return null;
+    }
+
+    apiKeyFor(req) {
+        const value = req.headers['x-n8n-api-key'];
+        const key = this.apiKeys.find(candidate => candidate.apiKey === value);
+        if (!key) {
+            return null;
+        }
+        if (key.expiresAt && key.expiresAt * 1000 < Date.now()) {
+            return null;
+        }
+        return key;
+    }
+
+    send(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    }
+
+    html(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+        res.end(`<!DOCTYPE html><html><head><title>n8n</title></head><body>${body}</body></html>`);
+    }
+
+    redirect(res, location, headers = {}) {
+        res.writeHead(302, { Location: location, ...headers });
+        res.end();
+    }
+
+    parseBody(req, raw) {
+        if (!raw) {
+            return {};
+        }
+        if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+            return Object.fromEntries(new URLSearchParams(raw));
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    handle(req, res) {
+        let raw = '';
+        req.on('data', chunk => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+            
+            if (Date.now() - this.startedAt < this.failures.startupDelayMs) {
+                return this.send(res, 503, { status: 'error', message: 'n8n is starting up. Please wait' });
+            }
+            
+            const scripted = this.takeScriptedFailure(req.method, url.pathname);
+            if (scripted && !scripted.afterApply) {
+                return this.send(res, scripted.status, { code: scripted.status, message: `Scripted failure (${scripted.status})` });
+            }
+            
+            const body = this.parseBody(req, raw);
+            if (body === null) {
+                return this.send(res, 400, { code: 400, message: 'Invalid JSON body' });
+            }
+            
+            // Applied against a response that goes nowhere, then answered with the scripted status
+            const target = scripted ? { writeHead: () => {}, end: () => {} } : res;
+            try {
+                this.route(req, target, url, body);
+            } catch (error) {
+                this.send(target, 500, { code: 500, message: error.message });
+            }
+            if (scripted) {
+                this.send(res, scripted.status, { code: scripted.status, message: `Scripted failure (${scripted.status})` });
+            }
+        });
+    }
+
+    takeScriptedFailure(method, pathname) {
+        const key = [`${method} ${pathname}`, `* ${pathname}`].find(candidate => this.failures.errors[candidate]);
+        if (!key) {
+            return null;
+        }
+        
+        const entry = this.failures.errors[key];
+        if (typeof entry === 'number') {
+            return { status: entry };
+        }
+        if (entry.times !== undefined && --entry.times <= 0) {
+            delete this.failures.errors[key];
+        }
+        return entry;
+    }
+
+    route(req, res, url, body) {
+        const { pathname } = url;
+        const method = req.method;
+        
+        if (pathname === '/healthz' || pathname === '/healthz/readiness') {
+            return this.send(res, 200, { status: 'ok' });
+        }
+        if (pathname.startsWith('/rest/')) {
+            return this.routeRest(req, res, method, pathname.slice(5), body);
+        }
+        if (pathname.startsWith('/api/v1/')) {
+            return this.routePublicApi(req, res, method, pathname.slice(7), url.searchParams, body);
+        }
+        if (pathname.startsWith('/webhook/')) {
+            return this.routeWebhook(res, method, pathname.slice(9), body);
+        }
+        if (pathname === '/webhook-test' || pathname.startsWith('/webhook-test/')) {
+            return this.send(res, 404, { code: 404, message: 'The requested webhook is not registered.' });
+        }
+        return this.routePages(req, res, method, pathname, body);
+    }
+
+    routeRest(req, res, method, path, body) {
+        if (method === 'GET' && path === '/settings') {
+            return this.send(res, 200, { data: this.settings() });
+        }
+        
+        if (method === 'POST' && path === '/login') {
+            if (this.failures.loginStatus) {
+                return this.send(res, this.failures.loginStatus, { code: this.failures.loginStatus, message: 'Scripted login failure' });
+            }
+            const email = body.emailOrLdapLoginId || body.email;
+            const user = this.users.find(candidate => candidate.email === email && candidate.password === body.password);
+            if (!user) {
+                return this.send(res, 401, { code: 401, message: 'Wrong username or password. Do you have caps lock on?' });
+            }
+            const headers = this.failures.omitCookies ? {} : { 'Set-Cookie': this.createSession(user) };
+            return this.send(res, 200, { data: this.publicUser(user) }, headers);
+        }
+        
+        if (method === 'POST' && path === '/owner/setup') {
+            if (this.owner) {
+                return this.send(res, 400, { code: 400, message: 'Instance owner already setup' });
+            }
+            if (!body.email || !body.password || !body.firstName || !body.lastName) {
+                return this.send(res, 400, { code: 400, message: 'Missing owner fields' });
+            }
+            const owner = this.addUser({
+                email: body.email,
+                password: body.password,
+                firstName: body.firstName,
+                lastName: body.lastName,
+                role: 'global:owner'
+            });
+            const headers = this.failures.omitCookies ? {} : { 'Set-Cookie': this.createSession(owner) };
+            return this.send(res, 200, { data: this.publicUser(owner) }, headers);
+        }
+        
+        const user = this.sessionUser(req);
+        if (!user) {
+            return this.send(res, 401, { status: 'error', message: 'Unauthorized' });
+        }
+        
+        if (method === 'GET' && path === '/login') {
+            return this.send(res, 200, { data: this.publicUser(user) });
+        }
+        if (method === 'POST' && path === '/me/survey') {
+            user.personalizationAnswers = body;
+            return this.send(res, 200, { data: { success: true } });
+        }
+        if (method === 'GET' && path === '/users') {
+            return this.send(res, 200, { data: this.users.map(candidate => this.publicUser(candidate)) });
+        }
+        if (method === 'GET' && path === '/credentials') {
+            return this.send(res, 200, { data: this.credentials.map(({ data, ...credential }) => credential) });
+        }
+        
+        const labelled = compareVersions(this.version, '1.72.0') >= 0;
+        if (labelled && path === '/api-keys') {
+            if (method === 'GET') {
+                const keys = this.apiKeys.filter(key => key.userId === user.id)
+                    .map(key => ({ ...key, apiKey: `${key.apiKey.slice(0, 12)}******${key.apiKey.slice(-4)}` }));
+                return this.send(res, 200, { data: keys });
+            }
+            if (method === 'POST') {
+                if (body.scopes && !this.scopesSupported) {
+                    return this.send(res, 400, { code: 400, message: 'request/body must NOT have additional properties' });
+                }
+                const key = this.issueKey(user, { label: body.label, scopes: body.scopes, expiresAt: body.expiresAt });
+                return this.send(res, 200, { data: key });
+            }
+        }
+        const keyMatch = path.match(/^\/api-keys\/([^/]+)$/);
+        if (labelled && keyMatch && method === 'DELETE') {
+            const index = this.apiKeys.findIndex(key => key.id === keyMatch[1] && key.userId === user.id);
+            if (index === -1) {
+                return this.send(res, 404, { code: 404, message: 'API key not found' });
+            }
+            this.apiKeys.splice(index, 1);
+            return this.send(res, 200, { data: { success: true } });
+        }
+        
+        // Before 1.72 every user had one key, replaced on each POST
+        if (!labelled && path === '/me/api-key') {
+            const current = this.apiKeys.find(key => key.userId === user.id);
+            if (method === 'GET') {
+                return this.send(res, 200, { data: { apiKey: current ? current.apiKey : null } });
+            }
+            if (method === 'POST') {
+                this.apiKeys = this.apiKeys.filter(key => key.userId !== user.id);
+                return this.send(res, 200, { data: { apiKey: this.issueKey(user).apiKey } });
+            }
+            if (method === 'DELETE') {
+                this.apiKeys = this.apiKeys.filter(key => key.userId !== user.id);
+                return this.send(res, 200, { data: { success: true } });
+            }
+        }
+        
+        return this.send(res, 404, { code: 404, message: `Cannot ${method} /rest${path}` });
+    }
+
+    publicUser(user) {
+        const { password, ...visible } = user;
+        return visible;
+    }
+
+    // Cursor is the offset of the next page, as N8N's opaque cursors are to clients
+    paginate(res, items, query) {
+        const limit = Math.min(parseInt(query.get('limit') || '100', 10), 250);
+        const offset = query.get('cursor') ? parseInt(Buffer.from(query.get('cursor'), 'base64').toString(), 10) : 0;
+        const data = items.slice(offset, offset + limit);
+        const next = offset + limit < items.length ? Buffer.from(String(offset + limit)).toString('base64') : null;
+        return this.send(res, 200, { data: data, nextCursor: next });
+    }
+
+    routePublicApi(req, res, method, path, query, body) {
+        if (!this.publicApiEnabled) {
+            return this.send(res, 404, { message: 'Not Found' });
+        }
+        
+        const key = this.apiKeyFor(req);
+        if (!key) {
+            return this.send(res, 401, { message: 'unauthorized' });
+        }
+        
+        const route = `${method} ${path.replace(/^\/(workflows|executions|tags|credentials)\/[^/]+/, '/$1/:id')}`;
+        const scope = ROUTE_SCOPES[route];
+        if (key.scopes.length > 0 && scope && !key.scopes.includes(scope)) {
+            return this.send(res, 403, { message: 'Forbidden' });
+        }
+        
+        const [, collection, id, action] = path.split('/');
+        const workflow = collection === 'workflows' && id ? this.workflows.find(candidate => candidate.id === id) : null;
+        if (collection === 'workflows' && id && !workflow) {
+            return this.send(res, 404, { message: 'Not Found' });
+        }
+        
+        if (route === 'GET /workflows') {
+            const name = query.get('name');
+            return this.paginate(res, this.workflows.filter(candidate => !name || candidate.name === name), query);
+        }
+        if (route === 'POST /workflows') {
+            if (!body.name || !Array.isArray(body.nodes) || !body.connections || !body.settings) {
+                return this.send(res, 400, { message: 'request/body must have required properties name, nodes, connections, settings' });
+            }
+            const created = { ...body, id: this.id('w'), active: false, tags: [], createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+            this.workflows.push(created);
+            return this.send(res, 200, created);
+        }
+        if (route === 'GET /workflows/:id') {
+            return this.send(res, 200, workflow);
+        }
+        if (route === 'PUT /workflows/:id') {
+            Object.assign(workflow, body, { id: workflow.id, updatedAt: new Date().toISOString() });
+            return this.send(res, 200, workflow);
+        }
+        if (route === 'DELETE /workflows/:id') {
+            this.workflows.splice(this.workflows.indexOf(workflow), 1);
+            return this.send(res, 200, workflow);
+        }
+        if (method === 'POST' && collection === 'workflows' && (action === 'activate' || action === 'deactivate')) {
+            workflow.active = action === 'activate';
+            return this.send(res, 200, workflow);
+        }
+        if (collection === 'workflows' && action === 'tags') {
+            if (method === 'PUT') {
+                workflow.tags = body.map(tag => this.tags.find(candidate => candidate.id === tag.id)).filter(Boolean);
+            }
+            return this.send(res, 200, workflow.tags);
+        }
+        
+        if (route === 'GET /executions') {
+            const workflowId = query.get('workflowId');
+            const includeData = query.get('includeData') === 'true';
+            const executions = this.executions
+                .filter(execution => !workflowId || execution.workflowId === workflowId)
+                .slice()
+                .reverse()
+                .map(({ data, ...execution }) => includeData ? { ...execution, data } : execution);
+            return this.paginate(res, executions, query);
+        }
+        if (collection === 'executions' && id) {
+            const execution = this.executions.find(candidate => candidate.id === id);
+            if (!execution) {
+                return this.send(res, 404, { message: 'Not Found' });
+            }
+            if (method === 'DELETE') {
+                this.executions.splice(this.executions.indexOf(execution), 1);
+            }
+            return this.send(res, 200, execution);
+        }
+        
+        if (route === 'GET /tags') {
+            return this.paginate(res, this.tags, query);
+        }
+        if (route === 'POST /tags') {
+            if (this.tags.some(tag => tag.name === body.name)) {
+                return this.send(res, 409, { message: 'Tag already exists' });
+            }
+            const tag = { id: this.id('t'), name: body.name };
+            this.tags.push(tag);
+            return this.send(res, 201, tag);
+        }
+        
+        if (route === 'POST /credentials') {
+            const credential = { id: this.id('c'), name: body.name, type: body.type, data: body.data, createdAt: new Date().toISOString() };
+            this.credentials.push(credential);
+            return this.send(res, 200, { id: credential.id, name: credential.name, type: credential.type });
+        }
+        
+        if (method === 'GET' && path === '/users') {
+            return this.paginate(res, this.users.map(user => this.publicUser(user)), query);
+        }
+        
+        return this.send(res, 404, { message: 'Not Found' });
+    }
+
+    // Production webhooks of active workflows; the response echoes the posted body
+    routeWebhook(res, method, path, body) {
+        const workflow = this.workflows.find(candidate => candidate.active && (candidate.nodes || []).some(node =>
+            node.type === 'n8n-nodes-base.webhook' &&
+            node.parameters.path === path &&
+            (node.parameters.httpMethod || 'GET') === method));
+        if (!workflow) {
+            return this.send(res, 404, { code: 404, message: `The requested webhook "${method} ${path}" is not registered.` });
+        }
+        
+        const output = { ...body };
+        this.executions.push({
+            id: this.id('e'),
+            workflowId: workflow.id,
+            mode: 'webhook',
+            status: 'success',
+            finished: true,
+            startedAt: new Date().toISOString(),
+            stoppedAt: new Date().toISOString(),
+            data: { resultData: { runData: { webhook: [{ data: { main: [[{ json: output }]] } }] } } }
+        });
+        return this.send(res, 200, output);
+    }
+
+    // Plain HTML pages shaped like the N8N editor for browser automation
+    routePages(req, res, method, pathname, body) {
+        const user = this.sessionUser(req);
+        
+        if (pathname === '/signin') {
+            if (method === 'POST') {
+                const match = this.users.find(candidate => candidate.email === body.email && candidate.password === body.password);
+                if (!match) {
+                    return this.redirect(res, '/signin?error=1');
+                }
+                return this.redirect(res, '/home/workflows', { 'Set-Cookie': this.createSession(match) });
+            }
+            const error = req.url.includes('error=1') ? '<div class="n8n-notice--error">Wrong username or password</div>' : '';
+            return this.html(res, 200, `${error}
+                <form method="post" action="/signin">
+                    <input type="email" name="email" placeholder="Email">
+                    <input type="password" name="password" placeholder="Password">
+                    <button type="submit">Sign in</button>
+                </form>`);
+        }
+        
+        if (!user) {
+            return pathname === '/' ? this.html(res, 200, '<a href="/signin">Sign in</a>') : this.redirect(res, '/signin');
+        }
+        
+        if (pathname === '/settings/api') {
+            if (method === 'POST') {
+                const key = this.issueKey(user, { label: body.label });
+                return this.html(res, 200, `<h1>API keys</h1>
+                    <p>Copy your API key now, it will not be shown again.</p>
+                    <input type="text" readonly data-test-id="api-key-value" value="${key.apiKey}">`);
+            }
+            return this.html(res, 200, `<h1>API keys</h1>
+                <button type="button" data-test-id="create-api-key" onclick="document.getElementById('create').style.display = 'block'">Create an API key</button>
+                <form id="create" method="post" action="/settings/api" style="display: none">
+                    <input type="text" name="label" placeholder="API key label">
+                    <button type="submit">Save</button>
+                </form>`);
+        }
+        
+        return this.html(res, 200, `<nav><a href="/settings/api">Settings</a></nav><h1>Workflows</h1>`);
+    }
+}
+
+// Run standalone for manual testing: node test/mocks/n8n-server.js
+async function main() {
+    const server = new MockN8NServer({
+        version: process.env.MOCK_N8N_VERSION,
+        owner: process.env.MOCK_N8N_FRESH === 'true' ? null : {
+            email: process.env.N8N_USER_EMAIL || DEFAULT_OWNER.email,
+            password: process.env.N8N_USER_PASSWORD || DEFAULT_OWNER.password
+        },
+        failures: {
+            startupDelayMs: parseInt(process.env.MOCK_N8N_STARTUP_DELAY_MS || '0', 10)
+        }
+    });
+    const url = await server.start(parseInt(process.env.MOCK_N8N_PORT || '5678', 10));
+    console.log(`🧪 Mock N8N ${server.version} listening on ${url}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('💥 Mock N8N failed to start:', error.message);
+        process.exit(1);
+    });
+}
+
+MockN8NServer.DEFAULT_OWNER = DEFAULT_OWNER;
+
+module.exports = MockN8NServer;
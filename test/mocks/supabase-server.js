@@ -0,0 +1,231 @@
+const http = require('http');
+const { DEFAULT_COLUMNS, DEFAULT_TABLE } = require('../../scripts/storage/storage-adapter');
+
+// Stand-in for the Supabase PostgREST endpoint (/rest/v1) as used by the storage backend:
+// select and update with eq, is.null and or filters on one table, ordering and paging, service
+// role key checks and PostgREST error shapes for unknown tables and columns.
+
+const DEFAULT_SERVICE_KEY = 'mock-service-role-key';
+
+class MockSupabaseServer {
+    constructor(options = {}) {
+        this.table = options.table || DEFAULT_TABLE;
+        this.serviceKey = options.serviceKey || DEFAULT_SERVICE_KEY;
+        this.columns = new Set(['id', ...Object.values(DEFAULT_COLUMNS), ...(options.columns || [])]);
+        this.rows = (options.rows || []).map(row => ({ ...row }));
+        for (const row of this.rows) {
+            Object.keys(row).forEach(column => this.columns.add(column));
+        }
+        
+        // Scripted failure modes, safe to change while the server runs:
+        //   unauthorized - every request is refused as if the service role key were wrong
+        //   errors       - { GET: 500, PATCH: 500 } status per HTTP method, or { status, times } to fail
+        //                  only the next `times` requests
+        this.failures = {
+            unauthorized: false,
+            errors: {},
+            ...(options.failures || {})
+        };
+        
+        this.requests = [];
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            this.server.closeAllConnections();
+            this.server.close(() => resolve());
+        });
+    }
+
+    row(id) {
+        return this.rows.find(candidate => String(candidate.id) === String(id)) || null;
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    // The operators used by the storage backend: eq, is.null, not.is.null and or=(...) of those
+    parseFilter(column, expression) {
+        const match = expression.match(/^(not\.)?is\.null$/) || expression.match(/^eq\.(.*)$/);
+        if (!match) {
+            throw Object.assign(new Error(`Unsupported filter ${column}=${expression}`), { code: 'PGRST100', status: 400 });
+        }
+        if (expression.startsWith('eq.')) {
+            return { columns: [column], test: row => String(row[column]) === match[1] };
+        }
+        const isNull = row => row[column] === undefined || row[column] === null;
+        return { columns: [column], test: match[1] ? row => !isNull(row) : isNull };
+    }
+
+    parseFilters(params) {
+        const filters = [];
+        for (const [column, expression] of params) {
+            if (['select', 'limit', 'order', 'offset', 'columns'].includes(column)) {
+                continue;
+            }
+            if (column === 'or') {
+                const alternatives = expression.replace(/^\(|\)$/g, '').split(',').map(part => {
+                    const [, name, rest] = part.match(/^([^.]+)\.(.+)$/);
+                    return this.parseFilter(name, rest);
+                });
+                filters.push({
+                    columns: alternatives.flatMap(filter => filter.columns),
+                    test: row => alternatives.some(filter => filter.test(row))
+                });
+                continue;
+            }
+            filters.push(this.parseFilter(column, expression));
+        }
+        return filters;
+    }
+
+    checkColumns(columns) {
+        const unknown = columns.find(column => column !== '*' && !this.columns.has(column));
+        if (unknown) {
+            throw Object.assign(new Error(`column ${this.table}.${unknown} does not exist`), { code: '42703', status: 400 });
+        }
+    }
+
+    project(row, select) {
+        if (!select || select.includes('*')) {
+            return { ...row };
+        }
+        return Object.fromEntries(select.map(column => [column, row[column] === undefined ? null : row[column]]));
+    }
+
+    handle(req, res) {
+        let raw = '';
+        req.on('data', chunk => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+            
+            const apiKey = req.headers.apikey;
+            const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+            if (this.failures.unauthorized || apiKey !== this.serviceKey || bearer !== this.serviceKey) {
+                return this.send(res, 401, { message: 'Invalid API key', hint: 'Double check your Supabase `anon` or `service_role` API key.' });
+            }
+            
+            const scripted = this.takeScriptedFailure(req.method);
+            if (scripted) {
+                return this.send(res, scripted, { code: 'XX000', message: `Scripted failure (${scripted})`, details: null, hint: null });
+            }
+            
+            const match = url.pathname.match(/^\/rest\/v1\/([^/]+)$/);
+            if (!match) {
+                return this.send(res, 404, { message: 'no Route matched with those values' });
+            }
+            const table = decodeURIComponent(match[1]);
+            if (table !== this.table) {
+                return this.send(res, 404, { code: '42P01', message: `relation "public.${table}" does not exist`, details: null, hint: null });
+            }
+            
+            try {
+                this.route(req, res, url, raw);
+            } catch (error) {
+                this.send(res, error.status || 500, { code: error.code || 'XX000', message: error.message, details: null, hint: null });
+            }
+        });
+    }
+
+    takeScriptedFailure(method) {
+        const entry = this.failures.errors[method];
+        if (!entry || typeof entry === 'number') {
+            return entry || null;
+        }
+        if (entry.times !== undefined && --entry.times <= 0) {
+            delete this.failures.errors[method];
+        }
+        return entry.status;
+    }
+
+    route(req, res, url, raw) {
+        const select = url.searchParams.get('select') ? url.searchParams.get('select').split(',').map(column => column.trim()) : null;
+        const filters = this.parseFilters(url.searchParams);
+        this.checkColumns([...(select || []), ...filters.flatMap(filter => filter.columns)]);
+        
+        const matching = this.rows.filter(row => filters.every(filter => filter.test(row)));
+        const single = (req.headers.accept || '').includes('application/vnd.pgrst.object+json');
+        
+        if (req.method === 'GET') {
+            const order = url.searchParams.get('order');
+            if (order) {
+                const column = order.split('.')[0];
+                matching.sort((a, b) => (String(a[column]) < String(b[column]) ? -1 : String(a[column]) > String(b[column]) ? 1 : 0));
+            }
+            const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+            const limit = url.searchParams.get('limit') ? parseInt(url.searchParams.get('limit'), 10) : undefined;
+            const data = matching.slice(offset, limit === undefined ? undefined : offset + limit).map(row => this.project(row, select));
+            if (single) {
+                if (data.length !== 1) {
+                    return this.send(res, 406, {
+                        code: 'PGRST116',
+                        message: 'JSON object requested, multiple (or no) rows returned',
+                        details: `The result contains ${data.length} rows`,
+                        hint: null
+                    });
+                }
+                return this.send(res, 200, data[0]);
+            }
+            return this.send(res, 200, data);
+        }
+        
+        if (req.method === 'PATCH') {
+            const values = raw ? JSON.parse(raw) : {};
+            const unknown = Object.keys(values).find(column => !this.columns.has(column));
+            if (unknown) {
+                return this.send(res, 400, {
+                    code: 'PGRST204',
+                    message: `Could not find the '${unknown}' column of '${this.table}' in the schema cache`,
+                    details: null,
+                    hint: null
+                });
+            }
+            matching.forEach(row => Object.assign(row, values));
+            
+            if ((req.headers.prefer || '').includes('return=representation')) {
+                return this.send(res, 200, matching.map(row => this.project(row, select)));
+            }
+            res.writeHead(204);
+            return res.end();
+        }
+        
+        return this.send(res, 405, { message: `Method ${req.method} is not supported by the mock` });
+    }
+}
+
+// Run standalone for manual testing: node test/mocks/supabase-server.js
+async function main() {
+    const server = new MockSupabaseServer({
+        serviceKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        rows: process.env.USER_ID ? [{ id: process.env.USER_ID, email: process.env.N8N_USER_EMAIL || null }] : []
+    });
+    const url = await server.start(parseInt(process.env.MOCK_SUPABASE_PORT || '54321', 10));
+    console.log(`🧪 Mock Supabase listening on ${url} (table ${server.table}, ${server.rows.length} row(s))`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('💥 Mock Supabase failed to start:', error.message);
+        process.exit(1);
+    });
+}
+
+MockSupabaseServer.DEFAULT_SERVICE_KEY = DEFAULT_SERVICE_KEY;
+
+module.exports = MockSupabaseServer;
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const ReportFormatter = require('../scripts/report-formatter');
+
+describe('ReportFormatter.sanitize', () => {
+    const report = {
+        overallStatus: 'HEALTHY',
+        checks: {
+            loginValid: true,
+            loginDetails: { status: 200, session: 'n8n-auth=session-cookie' },
+            apiKeyStored: true,
+            apiKeyDetails: { apiKey: 'n8n_api_stored_key', label: 'API-user-1-1', expiresAt: null }
+        }
+    };
+
+    it('drops the stored key and the session cookie and keeps the rest', () => {
+        const sanitized = ReportFormatter.sanitize(report);
+        
+        assert.deepEqual(sanitized.checks.apiKeyDetails, { label: 'API-user-1-1', expiresAt: null });
+        assert.deepEqual(sanitized.checks.loginDetails, { status: 200 });
+        assert.equal(sanitized.overallStatus, 'HEALTHY');
+        assert.doesNotMatch(JSON.stringify(sanitized), /n8n_api_stored_key|session-cookie/);
+    });
+
+    it('leaves the original report untouched', () => {
+        ReportFormatter.sanitize(report);
+        
+        assert.equal(report.checks.apiKeyDetails.apiKey, 'n8n_api_stored_key');
+        assert.equal(report.checks.loginDetails.session, 'n8n-auth=session-cookie');
+    });
+
+    it('accepts reports whose checks did not run', () => {
+        assert.deepEqual(ReportFormatter.sanitize({ overallStatus: 'ERROR', checks: { loginValid: false } }),
+            { overallStatus: 'ERROR', checks: { loginValid: false } });
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const { FileStorage } = require('../scripts/storage');
+const ApiManagerServer = require('../scripts/server');
+
+describe('ApiManagerServer key jobs', () => {
+    let dir;
+    let server;
+    let url;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-server-'));
+        const storage = new FileStorage({ filePath: path.join(dir, 'api-keys.json') });
+        fs.writeFileSync(storage.filePath, JSON.stringify({
+            'tenant-a': { instanceUrl: 'http://a.local', n8nUserEmail: 'a@example.com', n8nUserPassword: 'password-a' }
+        }));
+        process.env.PORT = '0';
+        process.env.API_MANAGER_TOKEN = 'server-test-token';
+        server = new ApiManagerServer({ storage });
+        await server.start();
+        url = `http://127.0.0.1:${server.server.address().port}`;
+    });
+
+    after(async () => {
+        await server.stop();
+        delete process.env.PORT;
+        delete process.env.API_MANAGER_TOKEN;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const post = (pathname, body) => fetch(`${url}${pathname}`, {
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer server-test-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    it('rejects request bodies that override the stored tenant', async () => {
+        for (const pathname of ['/provision', '/rotate']) {
+            const response = await post(pathname, { userId: 'tenant-a', n8nUrl: 'http://attacker.local', password: 'guess' });
+            
+            assert.equal(response.status, 400);
+            assert.match((await response.json()).error, /n8nUrl, password cannot be set per request/);
+        }
+        assert.equal(server.jobs.size, 0);
+    });
+
+    it('reports unknown tenants before looking at the body', async () => {
+        const response = await post('/provision', { userId: 'tenant-x', email: 'x@example.com' });
+        
+        assert.equal(response.status, 404);
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const MockSupabaseServer = require('./mocks/supabase-server');
+const { SupabaseStorage, FileStorage } = require('../scripts/storage');
+const BatchProvisioner = require('../scripts/batch-provision');
+const KeyEncryptionMigrator = require('../scripts/migrate-key-encryption');
+const RenewalScheduler = require('../scripts/renewal-scheduler');
+const KeyEncryption = require('../scripts/key-encryption');
+
+const TENANTS = {
+    'tenant-a': { instanceUrl: 'http://a.local', apiKey: 'key-a' },
+    'tenant-b': { instanceUrl: 'http://b.local', apiKey: null },
+    'tenant-c': { instanceUrl: 'http://c.local', apiKey: 'key-c', setupError: 'login failed' },
+    'tenant-d': { instanceUrl: null, apiKey: null }
+};
+
+describe('SupabaseStorage.listRecords', () => {
+    let supabase;
+    let storage;
+
+    beforeEach(async () => {
+        // A custom table and column map, so nothing depends on the starter kit names
+        supabase = new MockSupabaseServer({
+            table: 'tenants',
+            rows: Object.entries(TENANTS).map(([id, tenant]) => ({
+                id: id,
+                url: tenant.instanceUrl,
+                key: tenant.apiKey,
+                n8n_setup_error: tenant.setupError || null
+            }))
+        });
+        await supabase.start();
+        storage = new SupabaseStorage({
+            url: supabase.url,
+            key: supabase.serviceKey,
+            table: 'tenants',
+            columns: { instanceUrl: 'url', apiKey: 'key' }
+        });
+    });
+
+    afterEach(async () => {
+        await supabase.stop();
+    });
+
+    it('filters on set and unset fields through the column map', async () => {
+        const pending = await storage.listRecords(['instanceUrl'], { present: ['instanceUrl'], anyOf: { apiKey: false, setupError: true } });
+        
+        assert.deepEqual(pending, [
+            { userId: 'tenant-b', instanceUrl: 'http://b.local' },
+            { userId: 'tenant-c', instanceUrl: 'http://c.local' }
+        ]);
+    });
+
+    it('pages through the records in user id order', async () => {
+        const first = await storage.listRecords(['apiKey'], { present: ['apiKey'], limit: 1 });
+        const second = await storage.listRecords(['apiKey'], { present: ['apiKey'], limit: 1, offset: 1 });
+        
+        assert.deepEqual([...first, ...second].map(record => record.userId), ['tenant-a', 'tenant-c']);
+        await storage.ping();
+    });
+
+    it('skips a conditional update when the expected value changed', async () => {
+        assert.equal(await storage.updateRecord('tenant-a', { apiKey: 'new' }, { apiKey: 'stale' }), 0);
+        assert.equal(supabase.row('tenant-a').key, 'key-a');
+        
+        assert.equal(await storage.updateRecord('tenant-a', { apiKey: 'new' }, { apiKey: 'key-a' }), 1);
+        assert.equal(supabase.row('tenant-a').key, 'new');
+    });
+});
+
+describe('FileStorage tenants', () => {
+    let dir;
+    let storage;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-storage-'));
+        storage = new FileStorage({ filePath: path.join(dir, 'api-keys.json') });
+        fs.writeFileSync(storage.filePath, JSON.stringify(TENANTS));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('finds every tenant with an instance URL for the batch provisioner, keyed or not', async () => {
+        const provisioner = new BatchProvisioner({ storage });
+        
+        const tenants = await provisioner.findTenants();
+        
+        assert.deepEqual(tenants.map(tenant => tenant.userId), ['tenant-a', 'tenant-b', 'tenant-c']);
+        assert.equal(BatchProvisioner.tenantConfig(tenants[1], storage).baseUrl, 'http://b.local');
+    });
+
+    it('fails only the tenant whose record cannot be read during a renewal scan', async () => {
+        const keyEncryption = KeyEncryption.fromSettings();
+        const future = new Date(Date.now() + 300 * 24 * 60 * 60 * 1000).toISOString();
+        fs.writeFileSync(storage.filePath, JSON.stringify({
+            'tenant-a': { instanceUrl: 'http://a.local', apiKey: keyEncryption.encrypt('key-a'), apiKeyExpiresAt: future,
+                n8nUserEmail: 'a@example.com', n8nUserPassword: keyEncryption.encrypt('password-a') },
+            'tenant-b': { instanceUrl: 'http://b.local', apiKey: keyEncryption.encrypt('key-b'), apiKeyExpiresAt: future,
+                n8nUserEmail: 'b@example.com', n8nUserPassword: 'enc:v1:1:not-a-ciphertext' }
+        }));
+        
+        const result = await new RenewalScheduler({ storage }).scan();
+        
+        assert.deepEqual(result.results.map(tenant => [tenant.userId, tenant.status]).sort(), [['tenant-a', 'ok'], ['tenant-b', 'failed']]);
+    });
+
+    it('re-encrypts stored keys through the configured backend', async () => {
+        const migrator = new KeyEncryptionMigrator({ storage });
+        
+        const result = await migrator.run();
+        
+        assert.deepEqual(result.summary, { scanned: 2, current: 0, migrated: 2, skipped: 0, failed: 0 });
+        const vault = JSON.parse(fs.readFileSync(storage.filePath, 'utf8'));
+        assert.match(vault['tenant-a'].apiKey, /^enc:v1:/);
+        assert.equal(migrator.keyEncryption.decrypt(vault['tenant-c'].apiKey), 'key-c');
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMocks, createManager, createValidator } = require('./helpers');
+
+describe('CredentialValidator.generateValidationReport', () => {
+    let mocks;
+    let apiKey;
+
+    beforeEach(async () => {
+        mocks = await startMocks();
+        ({ apiKey } = await createManager(mocks).run());
+    });
+
+    afterEach(async () => {
+        await mocks.stop();
+    });
+
+    it('reports HEALTHY when every check passes', async () => {
+        const report = await createValidator(mocks).generateValidationReport();
+        
+        assert.equal(report.overallStatus, 'HEALTHY');
+        assert.equal(report.healthScore, 100);
+        assert.equal(report.n8n.version, mocks.n8n.version);
+        for (const check of ['n8nHealth', 'loginValid', 'storageConnection', 'apiKeyStored', 'apiKeyValid', 'sessionAPIAccess', 'webhookEndpoint']) {
+            assert.equal(report.checks[check], true, check);
+        }
+        assert.equal(report.checks.apiKeyDetails.apiKey, apiKey);
+    });
+
+    it('runs the canary workflow end to end and cleans up its execution', async () => {
+        const report = await createValidator(mocks).generateValidationReport();
+        
+        assert.equal(report.checks.canaryWorkflow, true);
+        assert.equal(typeof report.checks.canaryDetails.latencyMs, 'number');
+        assert.equal(mocks.n8n.workflows.filter(workflow => workflow.active).length, 1);
+        assert.equal(mocks.n8n.executions.length, 0);
+        
+        // A second run reuses the deployed canary
+        await createValidator(mocks).generateValidationReport();
+        assert.equal(mocks.n8n.workflows.length, 1);
+    });
+
+    it('drops to WARNING when the canary webhook fails', async () => {
+        mocks.n8n.failures.errors['POST /webhook/n8n-api-manager-canary'] = 500;
+        
+        const report = await createValidator(mocks).generateValidationReport();
+        
+        assert.equal(report.checks.canaryWorkflow, false);
+        assert.match(report.checks.canaryDetails.reason, /status 500/);
+        assert.equal(report.overallStatus, 'WARNING');
+    });
+
+    it('leaves the instance untouched when the canary is disabled', async () => {
+        const report = await createValidator(mocks, { canary: false }).generateValidationReport();
+        
+        assert.equal(report.checks.canaryWorkflow, undefined);
+        assert.equal(mocks.n8n.workflows.length, 0);
+        assert.equal(report.overallStatus, 'HEALTHY');
+    });
+
+    it('fails the key checks once the key is revoked in N8N', async () => {
+        mocks.n8n.apiKeys = [];
+        
+        const report = await createValidator(mocks).generateValidationReport();
+        
+        assert.equal(report.checks.apiKeyStored, true);
+        assert.equal(report.checks.apiKeyValid, false);
+        assert.equal(report.checks.apiKeyValidation.status, 401);
+        assert.equal(report.healthScore, 80);
+    });
+
+    it('reports invalid credentials when login is refused', async () => {
+        mocks.n8n.failures.loginStatus = 401;
+        
+        const report = await createValidator(mocks).generateValidationReport();
+        
+        assert.equal(report.checks.loginValid, false);
+        assert.equal(report.checks.loginDetails.status, 401);
+        assert.equal(report.checks.sessionAPIAccess, false);
+    });
+
+    it('is CRITICAL when storage is unreachable', async () => {
+        mocks.supabase.failures.errors.GET = 500;
+        
+        const report = await createValidator(mocks).generateValidationReport();
+        
+        assert.equal(report.checks.storageConnection, false);
+        assert.equal(report.checks.apiKeyStored, false);
+        assert.equal(report.checks.apiKeyValid, false);
+        assert.equal(report.overallStatus, 'CRITICAL');
+    });
+
+    it('is CRITICAL when N8N is down', async () => {
+        await mocks.n8n.stop();
+        
+        const report = await createValidator(mocks).generateValidationReport();
+        
+        assert.equal(report.checks.n8nHealth, false);
+        assert.equal(report.checks.loginValid, false);
+        assert.equal(report.checks.webhookEndpoint, false);
+        assert.equal(report.overallStatus, 'CRITICAL');
+    });
+});
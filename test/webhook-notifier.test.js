@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const WebhookNotifier = require('../scripts/webhook-notifier');
+
+const SECRET = 'webhook-signing-secret';
+
+// What a receiver does: recompute the HMAC over "<timestamp>.<raw body>" and compare in constant time
+function verify(secret, headers, body) {
+    const expected = Buffer.from('sha256=' + crypto.createHmac('sha256', secret)
+        .update(`${headers['x-n8n-api-manager-timestamp']}.${body}`).digest('hex'));
+    const provided = Buffer.from(headers['x-n8n-api-manager-signature'] || '');
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+describe('WebhookNotifier signatures', () => {
+    let dir;
+    let server;
+    let url;
+    let received;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-webhook-'));
+        received = [];
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const createNotifier = config => new WebhookNotifier({ url, logPath: path.join(dir, 'deliveries.jsonl'), ...config });
+
+    it('signs the timestamp and raw body so the receiver can verify them', async () => {
+        const entry = await createNotifier({ secret: SECRET }).notify(WebhookNotifier.EVENTS.KEY_CREATED, { userId: 'user-1' });
+        
+        assert.equal(entry.status, 'delivered');
+        const [{ headers, body }] = received;
+        assert.equal(headers['x-n8n-api-manager-event'], 'api_key.created');
+        assert.equal(headers['x-n8n-api-manager-delivery'], JSON.parse(body).id);
+        assert.match(headers['x-n8n-api-manager-signature'], /^sha256=[0-9a-f]{64}$/);
+        assert.equal(verify(SECRET, headers, body), true);
+    });
+
+    it('fails verification for a changed body, timestamp or secret', async () => {
+        await createNotifier({ secret: SECRET }).notify(WebhookNotifier.EVENTS.KEY_CREATED, { userId: 'user-1' });
+        const [{ headers, body }] = received;
+        
+        assert.equal(verify(SECRET, headers, body.replace('user-1', 'user-2')), false);
+        assert.equal(verify(SECRET, { ...headers, 'x-n8n-api-manager-timestamp': '0' }, body), false);
+        assert.equal(verify('another-secret', headers, body), false);
+    });
+
+    it('sends no signature without a secret', async () => {
+        await createNotifier({ secret: '' }).notify(WebhookNotifier.EVENTS.KEY_CREATED, { userId: 'user-1' });
+        
+        assert.equal(received[0].headers['x-n8n-api-manager-signature'], undefined);
+    });
+});